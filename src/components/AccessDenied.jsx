@@ -0,0 +1,27 @@
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { ROLE_LABELS } from '../utils/permissions';
+
+export default function AccessDenied() {
+  const { user } = useAuth();
+  const roleLabel = ROLE_LABELS[user?.role];
+
+  return (
+    <div className="text-center p-12">
+      <h1 className="text-2xl font-bold text-slate-800 mb-2">
+        Access Restricted
+      </h1>
+      <p className="text-slate-600 mb-6">
+        {roleLabel
+          ? `Your role (${roleLabel}) does not have access to this page.`
+          : 'Your account has no role assigned yet. Please ask an administrator to grant you access.'}
+      </p>
+      <Link
+        to="/dashboard"
+        className="rounded-md bg-sky-600 px-4 py-2 text-sm font-medium text-white shadow-sm hover:bg-sky-700"
+      >
+        Return to Dashboard
+      </Link>
+    </div>
+  );
+}
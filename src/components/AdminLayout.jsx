@@ -2,10 +2,21 @@
 import { useState, useEffect } from 'react';
 import { Outlet, NavLink, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
-import { FiGrid, FiUsers, FiLogOut, FiActivity, FiChevronsLeft, FiMenu, FiX } from 'react-icons/fi';
+import { FiGrid, FiUsers, FiBarChart2, FiList, FiLogOut, FiActivity, FiChevronsLeft, FiMenu, FiX } from 'react-icons/fi';
+import { ROLE_LABELS } from '../utils/permissions';
+
+// Sidebar links; items with a `permission` are only shown to roles that have it.
+const navItems = [
+  { to: '/dashboard', icon: FiGrid, label: 'Dashboard' },
+  { to: '/volunteers', icon: FiUsers, label: 'Volunteers', permission: 'volunteers.view' },
+  { to: '/benchmark', icon: FiBarChart2, label: 'Model Benchmark', permission: 'sessions.view' },
+  { to: '/annotation-queue', icon: FiList, label: 'Annotation Queue', permission: 'annotations.edit' },
+];
 
 // This component is now separate to be reused by both desktop and mobile sidebars
-const SidebarContent = ({ isCollapsed, onLinkClick }) => (
+const SidebarContent = ({ isCollapsed, onLinkClick }) => {
+  const { can } = useAuth();
+  return (
   <>
     {/* Header */}
     <div className="flex h-14 items-center border-b border-slate-700 px-4 lg:h-[60px]">
@@ -18,15 +29,15 @@ const SidebarContent = ({ isCollapsed, onLinkClick }) => (
     </div>
     {/* Nav */}
     <nav className="flex-1 space-y-2 px-2 py-4 text-sm font-medium lg:px-4">
-      <NavItem to="/dashboard" icon={FiGrid} isCollapsed={isCollapsed} onClick={onLinkClick}>
-        Dashboard
-      </NavItem>
-      <NavItem to="/volunteers" icon={FiUsers} isCollapsed={isCollapsed} onClick={onLinkClick}>
-        Volunteers
-      </NavItem>
+      {navItems.filter(item => !item.permission || can(item.permission)).map(item => (
+        <NavItem key={item.to} to={item.to} icon={item.icon} isCollapsed={isCollapsed} onClick={onLinkClick}>
+          {item.label}
+        </NavItem>
+      ))}
     </nav>
   </>
-);
+  );
+};
 
 const NavItem = ({ to, children, icon: Icon, isCollapsed, onClick }) => (
   <div className="group relative">
@@ -53,9 +64,16 @@ const NavItem = ({ to, children, icon: Icon, isCollapsed, onClick }) => (
 );
 
 export default function AdminLayout() {
-  const { logout } = useAuth();
+  const { logout, hasUnsavedWork, user } = useAuth();
   const location = useLocation();
 
+  const handleLogout = () => {
+    if (hasUnsavedWork && !window.confirm('You have unsaved anomaly edits. Log out and discard them?')) {
+      return;
+    }
+    logout();
+  };
+
   // State for desktop sidebar
   const [isCollapsed, setIsCollapsed] = useState(false);
   // State for mobile sidebar
@@ -126,8 +144,17 @@ export default function AdminLayout() {
               {/* Page title or search can go here */}
             </div>
 
+            {user?.username && (
+              <div className="hidden items-center gap-2 text-sm text-slate-600 sm:flex">
+                <span className="font-medium text-slate-800">{user.username}</span>
+                <span className="rounded-full bg-slate-100 px-2 py-0.5 text-xs font-semibold text-slate-600">
+                  {ROLE_LABELS[user.role] || 'No role'}
+                </span>
+              </div>
+            )}
+
             <button
-              onClick={logout}
+              onClick={handleLogout}
               className="flex items-center gap-2 rounded-md px-3 py-1.5 text-sm text-slate-600 hover:bg-rose-100 hover:text-rose-700 transition-colors"
             >
               <FiLogOut />
@@ -0,0 +1,147 @@
+import { useState, useEffect, useMemo } from 'react';
+import { ScaleIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import { api } from '../utils/api';
+import { normalizePointClass } from '../utils/anomalyClasses';
+import { GOLD_ANNOTATOR, normalizeAnnotationSets, getAnnotatorClasses, buildConfusion, mergeConfusions, computeAgreement, describeKappa } from '../utils/agreement';
+
+const annotatorLabel = (annotator) => (annotator === GOLD_ANNOTATOR ? 'Gold (adjudicated)' : annotator);
+const formatPercent = (value) => (value != null ? `${value.toFixed(1)}%` : 'n/a');
+const formatKappa = (value) => (value != null ? value.toFixed(3) : 'n/a');
+
+// Percent agreement and Cohen's kappa between two annotators over a chosen set of sessions,
+// per session and pooled over all of them.
+export default function AgreementReportModal({ sessionIds, onClose }) {
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [annotatorA, setAnnotatorA] = useState(null);
+  const [annotatorB, setAnnotatorB] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+    Promise.all(sessionIds.map(async id => {
+      const [session, sets] = await Promise.all([
+        api.get(`/api/sessions/${id}/`, { ...options, errorMessage: `Failed to fetch session ${id}` }),
+        api.get(`/api/sessions/${id}/annotation-sets/`, { ...options, errorMessage: `Failed to fetch the annotation sets of session ${id}` }),
+      ]);
+      const rows = (session.timeseries_data || []).map(row => ({ timestamp: row.timestamp, anomaly_class: normalizePointClass(row) }));
+      return { id, date: session.session_date, rows, sets: normalizeAnnotationSets(sets?.results || sets) };
+    }))
+      .then(setSessions)
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [sessionIds]);
+
+  const annotators = useMemo(
+    () => Array.from(new Set(sessions.flatMap(session => session.sets.map(set => set.annotator)))).sort(),
+    [sessions]
+  );
+  const a = annotatorA ?? (annotators.length > 1 ? annotators[0] : GOLD_ANNOTATOR);
+  const b = annotatorB ?? (annotators.length > 1 ? annotators[1] : annotators[0] ?? GOLD_ANNOTATOR);
+
+  const report = useMemo(() => {
+    if (a === b) return null;
+    const perSession = sessions.map(session => {
+      const classesA = getAnnotatorClasses(session.rows, a, session.sets);
+      const classesB = getAnnotatorClasses(session.rows, b, session.sets);
+      const confusion = classesA && classesB ? buildConfusion(classesA, classesB) : null;
+      return { ...session, confusion, agreement: confusion ? computeAgreement(confusion) : null };
+    });
+    const compared = perSession.filter(session => session.confusion);
+    return { perSession, pooled: computeAgreement(mergeConfusions(compared.map(session => session.confusion))), comparedCount: compared.length };
+  }, [sessions, a, b]);
+
+  const options = [GOLD_ANNOTATOR, ...annotators];
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-50 flex justify-center items-center" aria-modal="true" role="dialog">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl m-4 max-h-[90vh] flex flex-col">
+        <div className="flex items-center justify-between border-b pb-3 mb-4">
+          <div className="flex items-center gap-2">
+            <ScaleIcon className="w-6 h-6 text-indigo-500" />
+            <h3 className="text-lg font-bold text-gray-900">Annotator Agreement ({sessionIds.length} sessions)</h3>
+          </div>
+          <button onClick={onClose} className="p-1 rounded-full hover:bg-slate-100"><XMarkIcon className="w-6 h-6 text-slate-500" /></button>
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-slate-500 py-8 text-center">Loading sessions and annotation sets...</p>
+        ) : error ? (
+          <p className="text-sm text-red-600 py-8 text-center">{error}</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm mb-4">
+              <select value={a} onChange={(e) => setAnnotatorA(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+                {options.map(option => <option key={option} value={option}>{annotatorLabel(option)}</option>)}
+              </select>
+              <span className="text-slate-500">vs</span>
+              <select value={b} onChange={(e) => setAnnotatorB(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+                {options.map(option => <option key={option} value={option}>{annotatorLabel(option)}</option>)}
+              </select>
+            </div>
+
+            {!report ? (
+              <p className="text-sm text-slate-500">Choose two different label sets to compare.</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 mb-4">
+                  <div className="rounded-lg bg-slate-50 p-3">
+                    <p className="text-xs font-medium text-slate-500">Pooled percent agreement</p>
+                    <p className="text-xl font-bold text-slate-900">{formatPercent(report.pooled.percentAgreement)}</p>
+                  </div>
+                  <div className="rounded-lg bg-slate-50 p-3">
+                    <p className="text-xs font-medium text-slate-500">Pooled Cohen's kappa</p>
+                    <p className="text-xl font-bold text-slate-900">
+                      {formatKappa(report.pooled.kappa)}
+                      <span className="ml-2 text-xs font-medium text-slate-500">{describeKappa(report.pooled.kappa)}</span>
+                    </p>
+                  </div>
+                  <div className="rounded-lg bg-slate-50 p-3">
+                    <p className="text-xs font-medium text-slate-500">Sessions compared</p>
+                    <p className="text-xl font-bold text-slate-900">{report.comparedCount} <span className="text-xs font-medium text-slate-500">of {sessionIds.length}</span></p>
+                  </div>
+                </div>
+                <div className="overflow-y-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead className="bg-gray-50 sticky top-0">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-semibold text-gray-600">Session</th>
+                        <th className="px-3 py-2 text-left font-semibold text-gray-600">Run Date</th>
+                        <th className="px-3 py-2 text-right font-semibold text-gray-600">Points</th>
+                        <th className="px-3 py-2 text-right font-semibold text-gray-600">Agreement</th>
+                        <th className="px-3 py-2 text-right font-semibold text-gray-600">Kappa</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {report.perSession.map(session => (
+                        <tr key={session.id}>
+                          <td className="px-3 py-2 text-slate-800">#{session.id}</td>
+                          <td className="px-3 py-2 text-slate-600">{new Date(session.date).toLocaleDateString('en-GB')}</td>
+                          {session.agreement ? (
+                            <>
+                              <td className="px-3 py-2 text-right text-slate-600">{session.agreement.total}</td>
+                              <td className="px-3 py-2 text-right text-slate-800">{formatPercent(session.agreement.percentAgreement)}</td>
+                              <td className="px-3 py-2 text-right text-slate-800">{formatKappa(session.agreement.kappa)}</td>
+                            </>
+                          ) : (
+                            <td colSpan={3} className="px-3 py-2 text-right text-slate-400">Not labelled by both</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
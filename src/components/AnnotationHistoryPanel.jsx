@@ -0,0 +1,63 @@
+import { ClockIcon, EyeIcon, ArrowUturnLeftIcon, TagIcon } from '@heroicons/react/24/outline';
+import { HISTORY_KINDS } from '../utils/annotationHistory';
+
+// Lists the saved change sets of a session, newest first. An anomaly change set can be
+// previewed on the timeline or reverted to; an admin label change can be restored.
+export default function AnnotationHistoryPanel({ entries, isLoading, error, previewId, onPreview, canRevert, onRevert, onRestoreAdminLabel }) {
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center gap-2 border-b pb-3 mb-4">
+        <ClockIcon className="w-6 h-6 text-sky-500" />
+        <h3 className="text-lg font-bold text-gray-900">Change History</h3>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Loading history...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-slate-500">No changes have been saved for this session yet.</p>
+      ) : (
+        <ul className="divide-y divide-slate-100 max-h-96 overflow-y-auto text-sm">
+          {entries.map((entry, index) => (
+            <li key={entry.id} className={`flex flex-wrap items-center justify-between gap-2 py-2 px-2 rounded-md ${previewId === entry.id ? 'bg-sky-50' : ''}`}>
+              <div>
+                <p className="font-medium text-slate-800">
+                  {entry.kind === HISTORY_KINDS.ADMIN_LABEL ? (
+                    <span className="inline-flex items-center gap-1"><TagIcon className="w-4 h-4 text-slate-400" />Admin label: {entry.adminLabel.from ?? 'none'} → {entry.adminLabel.to ?? 'none'}</span>
+                  ) : (
+                    `${entry.changes.length} point${entry.changes.length === 1 ? '' : 's'} changed`
+                  )}
+                  {index === 0 && <span className="ml-2 rounded-full bg-slate-100 px-2 py-0.5 text-xs font-semibold text-slate-600">Latest</span>}
+                </p>
+                <p className="text-xs text-slate-500">{entry.author || 'Unknown user'} · {new Date(entry.created_at).toLocaleString('en-GB')}</p>
+              </div>
+              <div className="flex items-center gap-1">
+                {entry.kind === HISTORY_KINDS.ANOMALIES ? (
+                  <>
+                    <button onClick={() => onPreview(previewId === entry.id ? null : entry.id)} className={`p-1 rounded hover:bg-sky-100 ${previewId === entry.id ? 'text-sky-700' : 'text-slate-500 hover:text-slate-800'}`} title={previewId === entry.id ? 'Hide preview' : 'Preview on the timeline'}>
+                      <EyeIcon className="w-4 h-4" />
+                    </button>
+                    {canRevert && index > 0 && (
+                      <button onClick={() => onRevert(entry)} className="flex items-center gap-1 rounded-md border border-slate-300 bg-white px-2 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50" title="Undo every label change saved after this one">
+                        <ArrowUturnLeftIcon className="w-3.5 h-3.5" />
+                        Revert to here
+                      </button>
+                    )}
+                  </>
+                ) : (
+                  canRevert && entry.adminLabel.to && (
+                    <button onClick={() => onRestoreAdminLabel(entry)} className="flex items-center gap-1 rounded-md border border-slate-300 bg-white px-2 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50">
+                      <ArrowUturnLeftIcon className="w-3.5 h-3.5" />
+                      Restore label
+                    </button>
+                  )
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
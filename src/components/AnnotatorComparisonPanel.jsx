@@ -0,0 +1,122 @@
+import { MagnifyingGlassPlusIcon, ScaleIcon } from '@heroicons/react/24/outline';
+import { GOLD_ANNOTATOR, describeKappa } from '../utils/agreement';
+import { findClassSegments, getClassInfo } from '../utils/anomalyClasses';
+
+const annotatorLabel = (annotator) => (annotator === GOLD_ANNOTATOR ? 'Gold (adjudicated)' : annotator);
+
+// One row of the overlay: the classes an annotator gave, drawn like the anomaly timeline.
+const LabelTrack = ({ label, classes }) => {
+  const segments = findClassSegments(classes.map(anomalyClass => ({ anomaly_class: anomalyClass })));
+  return (
+    <div className="flex items-center gap-3">
+      <span className="w-28 shrink-0 truncate text-xs font-medium text-slate-600" title={label}>{label}</span>
+      <div className="relative h-3 flex-1 rounded-full bg-slate-200 overflow-hidden">
+        {segments.map(segment => (
+          <div key={segment.start} className="absolute h-full" style={{ left: `${(segment.start / classes.length) * 100}%`, width: `${Math.max(((segment.end - segment.start + 1) / classes.length) * 100, 0.3)}%`, backgroundColor: getClassInfo(segment.anomalyClass).color }} />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Compares two annotators' labels on the session: overlay tracks, agreement statistics,
+// and the list of disagreements, each of which can be settled into the gold label.
+export default function AnnotatorComparisonPanel({ annotators, annotatorA, annotatorB, onAnnotatorsChange, comparison, isLoading, error, formatTimestamp, canAdjudicate, onZoom, onSettle }) {
+  const options = [GOLD_ANNOTATOR, ...annotators];
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-4 border-b pb-3 mb-4">
+        <div className="flex items-center gap-2">
+          <ScaleIcon className="w-6 h-6 text-indigo-500" />
+          <h3 className="text-lg font-bold text-gray-900">Annotator Agreement</h3>
+        </div>
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <select value={annotatorA} onChange={(e) => onAnnotatorsChange(e.target.value, annotatorB)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+            {options.map(option => <option key={option} value={option}>{annotatorLabel(option)}</option>)}
+          </select>
+          <span className="text-slate-500">vs</span>
+          <select value={annotatorB} onChange={(e) => onAnnotatorsChange(annotatorA, e.target.value)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+            {options.map(option => <option key={option} value={option}>{annotatorLabel(option)}</option>)}
+          </select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Loading annotation sets...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : annotators.length === 0 ? (
+        <p className="text-sm text-slate-500">No annotator has saved an independent annotation set for this session yet.</p>
+      ) : !comparison ? (
+        <p className="text-sm text-slate-500">Choose two different label sets to compare.</p>
+      ) : (
+        <div className="space-y-5">
+          <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+            <div className="rounded-lg bg-slate-50 p-3">
+              <p className="text-xs font-medium text-slate-500">Percent agreement</p>
+              <p className="text-xl font-bold text-slate-900">{comparison.agreement.percentAgreement != null ? `${comparison.agreement.percentAgreement.toFixed(1)}%` : 'n/a'}</p>
+            </div>
+            <div className="rounded-lg bg-slate-50 p-3">
+              <p className="text-xs font-medium text-slate-500">Cohen's kappa</p>
+              <p className="text-xl font-bold text-slate-900">
+                {comparison.agreement.kappa != null ? comparison.agreement.kappa.toFixed(3) : 'n/a'}
+                <span className="ml-2 text-xs font-medium text-slate-500">{describeKappa(comparison.agreement.kappa)}</span>
+              </p>
+            </div>
+            <div className="rounded-lg bg-slate-50 p-3">
+              <p className="text-xs font-medium text-slate-500">Disagreeing points</p>
+              <p className="text-xl font-bold text-slate-900">{comparison.agreement.total - comparison.agreement.agreed} <span className="text-xs font-medium text-slate-500">of {comparison.agreement.total}</span></p>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <LabelTrack label={annotatorLabel(annotatorA)} classes={comparison.classesA} />
+            <LabelTrack label={annotatorLabel(annotatorB)} classes={comparison.classesB} />
+            <div className="flex items-center gap-3">
+              <span className="w-28 shrink-0 text-xs font-medium text-red-600">Disagreement</span>
+              <div className="relative h-3 flex-1 rounded-full bg-slate-200 overflow-hidden">
+                {comparison.segments.map(segment => (
+                  <div key={segment.start} className="absolute h-full bg-red-500" style={{ left: `${(segment.start / comparison.classesA.length) * 100}%`, width: `${Math.max(((segment.end - segment.start + 1) / comparison.classesA.length) * 100, 0.3)}%` }} />
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {comparison.segments.length === 0 ? (
+            <p className="text-sm text-emerald-700">These two label sets agree on every point.</p>
+          ) : (
+            <div>
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">Disagreements ({comparison.segments.length})</h4>
+              {!canAdjudicate && <p className="text-xs text-slate-500 mb-2">Only adjudicators can settle disagreements into the gold label, and only while editing the gold labels.</p>}
+              <ul className="divide-y divide-slate-100 max-h-72 overflow-y-auto text-sm">
+                {comparison.segments.map(segment => (
+                  <li key={segment.start} className="flex flex-wrap items-center justify-between gap-2 py-2">
+                    <div>
+                      <p className="font-medium text-slate-800">{formatTimestamp(segment.startTimestamp)} – {formatTimestamp(segment.endTimestamp)}</p>
+                      <p className="text-xs text-slate-500">
+                        {annotatorLabel(annotatorA)}: <span style={{ color: getClassInfo(comparison.classesA[segment.start]).stroke }}>{comparison.classesA[segment.start]}</span>
+                        {' · '}
+                        {annotatorLabel(annotatorB)}: <span style={{ color: getClassInfo(comparison.classesB[segment.start]).stroke }}>{comparison.classesB[segment.start]}</span>
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-1">
+                      <button onClick={() => onZoom(segment)} className="p-1 rounded hover:bg-slate-100 text-slate-500 hover:text-slate-800" title="Zoom to disagreement">
+                        <MagnifyingGlassPlusIcon className="w-4 h-4" />
+                      </button>
+                      {canAdjudicate && [annotatorA, annotatorB].filter(annotator => annotator !== GOLD_ANNOTATOR).map(annotator => (
+                        <button key={annotator} onClick={() => onSettle(segment, annotator)} className="rounded-md border border-indigo-200 bg-white px-2 py-1 text-xs font-semibold text-indigo-700 hover:bg-indigo-50">
+                          Use {annotator}
+                        </button>
+                      ))}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
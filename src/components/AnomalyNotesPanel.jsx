@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { ChatBubbleLeftEllipsisIcon, MagnifyingGlassPlusIcon, PencilSquareIcon, TrashIcon } from '@heroicons/react/24/outline';
+
+// Side panel on the session page listing the notes on anomaly segments, with a form to add one
+// to a timeline segment or to a range selected on the chart in note mode.
+export default function AnomalyNotesPanel({ notes, segments, pendingRange, formatTimestamp, canEdit, onAdd, onUpdate, onDelete, onZoom, onClearPendingRange }) {
+  const [target, setTarget] = useState('');
+  const [text, setText] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editText, setEditText] = useState('');
+
+  // A fresh range from the chart becomes the target of the next note.
+  useEffect(() => {
+    if (pendingRange) setTarget('range');
+  }, [pendingRange]);
+
+  const targetRange = target === 'range'
+    ? pendingRange
+    : segments.find(segment => segment.key === target) || null;
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!targetRange || !text.trim()) return;
+    onAdd({ startTimestamp: targetRange.startTimestamp, endTimestamp: targetRange.endTimestamp, text });
+    setText('');
+    setTarget('');
+    if (target === 'range') onClearPendingRange();
+  };
+
+  const handleSaveEdit = (id) => {
+    if (!editText.trim()) return;
+    onUpdate(id, editText.trim());
+    setEditingId(null);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center gap-2 border-b pb-3 mb-4">
+        <ChatBubbleLeftEllipsisIcon className="w-6 h-6 text-amber-500" />
+        <h3 className="text-lg font-bold text-gray-900">Notes ({notes.length})</h3>
+      </div>
+
+      {canEdit && (
+        <form onSubmit={handleAdd} className="space-y-2 mb-6">
+          <select value={target} onChange={(e) => setTarget(e.target.value)} className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+            <option value="">Choose what the note is about...</option>
+            {pendingRange && (
+              <option value="range">Selected chart range ({formatTimestamp(pendingRange.startTimestamp)} – {formatTimestamp(pendingRange.endTimestamp)})</option>
+            )}
+            {segments.map(segment => (
+              <option key={segment.key} value={segment.key}>{segment.label}</option>
+            ))}
+          </select>
+          <textarea
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            rows={3}
+            placeholder="e.g. HR spike with no pace change, possible strap artifact"
+            className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500"
+          />
+          <button type="submit" disabled={!targetRange || !text.trim()} className="w-full rounded-md bg-amber-500 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-amber-600 disabled:bg-slate-300 disabled:cursor-not-allowed">
+            Add Note
+          </button>
+          <p className="text-xs text-slate-500">Pick an anomaly segment, or switch the chart to note mode and drag across a range.</p>
+        </form>
+      )}
+
+      {notes.length === 0 ? (
+        <p className="text-sm text-slate-500">No notes on this session yet.</p>
+      ) : (
+        <ul className="space-y-3 max-h-[32rem] overflow-y-auto">
+          {notes.map((note, index) => (
+            <li key={note.id} className="rounded-lg border border-amber-200 bg-amber-50/60 p-3 text-sm">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-semibold text-amber-800">
+                  Note {index + 1} · {formatTimestamp(note.start_timestamp)} – {formatTimestamp(note.end_timestamp)}
+                </span>
+                <div className="flex items-center gap-1">
+                  <button onClick={() => onZoom(note)} className="p-1 rounded hover:bg-amber-100 text-slate-500 hover:text-slate-800" title="Zoom to note">
+                    <MagnifyingGlassPlusIcon className="w-4 h-4" />
+                  </button>
+                  {canEdit && (
+                    <>
+                      <button onClick={() => { setEditingId(note.id); setEditText(note.text); }} className="p-1 rounded hover:bg-amber-100 text-slate-500 hover:text-slate-800" title="Edit note">
+                        <PencilSquareIcon className="w-4 h-4" />
+                      </button>
+                      <button onClick={() => onDelete(note.id)} className="p-1 rounded hover:bg-red-100 text-slate-500 hover:text-red-600" title="Delete note">
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+              {editingId === note.id ? (
+                <div className="mt-2 space-y-2">
+                  <textarea value={editText} onChange={(e) => setEditText(e.target.value)} rows={3} className="block w-full rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500" />
+                  <div className="flex gap-2">
+                    <button onClick={() => handleSaveEdit(note.id)} className="rounded-md bg-sky-600 px-3 py-1 text-xs font-semibold text-white hover:bg-sky-700">Update</button>
+                    <button onClick={() => setEditingId(null)} className="rounded-md border border-slate-300 bg-white px-3 py-1 text-xs font-semibold text-slate-700 hover:bg-slate-50">Cancel</button>
+                  </div>
+                </div>
+              ) : (
+                <p className="mt-1 whitespace-pre-wrap text-slate-700">{note.text}</p>
+              )}
+              {(note.author || note.created_at) && (
+                <p className="mt-1 text-xs text-slate-400">
+                  {note.author}{note.author && note.created_at && ' · '}{note.created_at && new Date(note.created_at).toLocaleString('en-GB')}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,94 @@
+import { useMemo, useState, useEffect } from 'react';
+import { WrenchScrewdriverIcon } from '@heroicons/react/24/outline';
+import { ARTIFACT_RULES, ANY_ARTIFACT_KEY, getRuleKey, parseRuleParam } from '../utils/artifactRules';
+
+// A rule parameter field. Only valid numbers reach the rule, so clearing the field to type a new
+// value doesn't flag every point in the meantime; leaving the field shows the value in use again.
+const RuleParamInput = ({ param, value, disabled, onChange }) => {
+  const [text, setText] = useState(String(value));
+  useEffect(() => setText(String(value)), [value]);
+  const handleChange = (e) => {
+    setText(e.target.value);
+    const parsed = parseRuleParam(param, e.target.value);
+    if (parsed != null && parsed !== value) onChange(parsed);
+  };
+  return (
+    <input
+      type="number"
+      min={param.min}
+      value={text}
+      onChange={handleChange}
+      onBlur={() => setText(String(value))}
+      disabled={disabled}
+      className={`w-20 rounded-md border-gray-300 shadow-sm text-xs focus:ring-sky-500 focus:border-sky-500 disabled:bg-slate-100 ${parseRuleParam(param, text) == null ? 'ring-1 ring-red-400' : ''}`}
+      title={`At least ${param.min} ${param.unit}`}
+    />
+  );
+};
+
+// Turns the artifact rules on and off and tunes their parameters. Active rules show up next to the
+// ML models in the chart's prediction list and in the model evaluation.
+export default function ArtifactRulesPanel({ rows, settings, maxHeartRate, onChange, onReset }) {
+  const counts = useMemo(() => Object.fromEntries([ANY_ARTIFACT_KEY, ...ARTIFACT_RULES.map(rule => getRuleKey(rule.id))]
+    .map(key => [key, rows.filter(row => row[key] === 1).length])), [rows]);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-4 border-b pb-3 mb-4">
+        <div className="flex items-center gap-2">
+          <WrenchScrewdriverIcon className="w-6 h-6 text-stone-500" />
+          <h3 className="text-lg font-bold text-gray-900">Artifact Rules</h3>
+          <span className="text-xs text-slate-500">{counts[ANY_ARTIFACT_KEY].toLocaleString()} of {rows.length.toLocaleString()} points flagged by any rule</span>
+        </div>
+        <button type="button" onClick={onReset} className="rounded-md border border-slate-300 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 hover:bg-slate-50">
+          Reset to defaults
+        </button>
+      </div>
+      <ul className="divide-y divide-slate-100">
+        {ARTIFACT_RULES.map(rule => {
+          const ruleSettings = settings[rule.id];
+          const isUnavailable = rule.id === 'above_max' && !maxHeartRate;
+          return (
+            <li key={rule.id} className="flex flex-wrap items-center justify-between gap-3 py-3">
+              <label className="flex items-start gap-3 min-w-[16rem] flex-1">
+                <input
+                  type="checkbox"
+                  className="mt-0.5 h-4 w-4 rounded border-gray-300 text-stone-600 focus:ring-stone-500"
+                  checked={ruleSettings.enabled}
+                  onChange={(e) => onChange(rule.id, { enabled: e.target.checked })}
+                />
+                <span>
+                  <span className="flex items-center gap-2 text-sm font-semibold text-slate-800">
+                    <span className="inline-block h-2.5 w-2.5 rounded-full" style={{ backgroundColor: rule.color }} />
+                    {rule.label}
+                  </span>
+                  <span className="block text-xs text-slate-500">
+                    {rule.description}
+                    {rule.id === 'above_max' && (maxHeartRate ? ` Max for this volunteer: ${maxHeartRate} bpm.` : " Unavailable: the volunteer's date of birth is unknown.")}
+                  </span>
+                </span>
+              </label>
+              <div className="flex flex-wrap items-center gap-3">
+                {rule.params.map(param => (
+                  <label key={param.key} className="flex items-center gap-1.5 text-xs text-slate-600">
+                    {param.label}
+                    <RuleParamInput
+                      param={param}
+                      value={ruleSettings[param.key]}
+                      disabled={!ruleSettings.enabled}
+                      onChange={value => onChange(rule.id, { [param.key]: value })}
+                    />
+                    {param.unit}
+                  </label>
+                ))}
+                <span className="w-24 text-right text-xs text-slate-500">
+                  {ruleSettings.enabled && !isUnavailable ? `${counts[getRuleKey(rule.id)].toLocaleString()} points` : 'Off'}
+                </span>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,118 @@
+import { useState } from 'react';
+import { ShieldCheckIcon, MagnifyingGlassPlusIcon, ChevronDownIcon } from '@heroicons/react/24/outline';
+
+const GRADE_COLORS = {
+  A: 'bg-emerald-100 text-emerald-800 border-emerald-300',
+  B: 'bg-lime-100 text-lime-800 border-lime-300',
+  C: 'bg-amber-100 text-amber-800 border-amber-300',
+  D: 'bg-orange-100 text-orange-800 border-orange-300',
+  F: 'bg-red-100 text-red-800 border-red-300',
+};
+
+// The gap list is long on bad recordings, so only the longest ones are listed until expanded.
+const VISIBLE_GAPS = 5;
+
+const formatSeconds = (seconds) => {
+  if (seconds < 60) return `${seconds.toFixed(seconds < 10 ? 1 : 0)} s`;
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes} min ${Math.round(seconds % 60)} s`;
+};
+
+const Metric = ({ label, value, detail, isProblem }) => (
+  <div className="rounded-lg border border-slate-200 p-3">
+    <p className="text-xs font-medium text-slate-500">{label}</p>
+    <p className={`text-lg font-bold ${isProblem ? 'text-amber-700' : 'text-slate-800'}`}>{value}</p>
+    {detail && <p className="text-xs text-slate-400">{detail}</p>}
+  </div>
+);
+
+// How trustworthy the recording is, from the loaded time series. Sampling gaps and runs without a
+// heart rate are also shaded on the chart so they aren't mistaken for anomalies.
+export default function DataQualityPanel({ quality, formatTimestamp, timestamps, onZoomToGap }) {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [showAllGaps, setShowAllGaps] = useState(false);
+  const longestGaps = [...quality.gaps].sort((a, b) => b.duration - a.duration);
+  const visibleGaps = showAllGaps ? longestGaps : longestGaps.slice(0, VISIBLE_GAPS);
+  const maxBinCount = quality.gps ? Math.max(...quality.gps.bins.map(bin => bin.count)) : 0;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <button type="button" onClick={() => setIsExpanded(value => !value)} className="flex w-full flex-wrap items-center justify-between gap-3 text-left">
+        <div className="flex items-center gap-3">
+          <ShieldCheckIcon className="w-6 h-6 text-sky-500" />
+          <h3 className="text-lg font-bold text-gray-900">Data Quality</h3>
+          <span className={`rounded-md border px-2 py-0.5 text-sm font-bold ${GRADE_COLORS[quality.grade]}`} title={`Score ${quality.score} of 100`}>
+            {quality.grade} · {quality.gradeLabel}
+          </span>
+        </div>
+        <div className="flex items-center gap-2 text-xs text-slate-500">
+          <span>{quality.issues.length ? quality.issues.join(' · ') : 'No problems found'}</span>
+          <ChevronDownIcon className={`w-5 h-5 transition-transform ${isExpanded ? 'rotate-180' : ''}`} />
+        </div>
+      </button>
+
+      {isExpanded && (
+        <div className="mt-4 space-y-5">
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
+            <Metric label="Missing heart rate" value={`${quality.nullHeartRatePercent.toFixed(1)}%`} detail={`${quality.nullHeartRate.toLocaleString()} of ${quality.points.toLocaleString()} points`} isProblem={quality.nullHeartRate > 0} />
+            <Metric label="Sampling interval" value={quality.medianInterval != null ? formatSeconds(quality.medianInterval) : 'N/A'} detail="median" />
+            <Metric label="Sampling gaps" value={quality.gaps.length} detail={`${formatSeconds(quality.gapSeconds)} in total (${quality.gapPercent.toFixed(1)}%)`} isProblem={quality.gaps.length > 0} />
+            <Metric label="Timestamps out of order" value={quality.outOfOrder} isProblem={quality.outOfOrder > 0} />
+            <Metric label="Duplicate timestamps" value={quality.duplicates} isProblem={quality.duplicates > 0} />
+          </div>
+
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">Sampling gaps</h4>
+              {quality.gaps.length === 0 ? (
+                <p className="text-sm text-slate-500">The sampling has no gaps.</p>
+              ) : (
+                <>
+                  <ul className="divide-y divide-slate-100 text-sm">
+                    {visibleGaps.map(gap => (
+                      <li key={gap.startIndex} className="flex items-center justify-between gap-2 py-1.5">
+                        <span className="text-slate-700">
+                          {formatTimestamp(timestamps[gap.startIndex])} – {formatTimestamp(timestamps[gap.endIndex])}
+                          <span className="ml-2 font-semibold text-slate-900">{formatSeconds(gap.duration)}</span>
+                        </span>
+                        <button type="button" onClick={() => onZoomToGap(gap)} className="p-1 rounded hover:bg-sky-100 text-slate-500 hover:text-sky-700" title="Zoom to gap">
+                          <MagnifyingGlassPlusIcon className="w-4 h-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                  {longestGaps.length > VISIBLE_GAPS && (
+                    <button type="button" onClick={() => setShowAllGaps(value => !value)} className="mt-1 text-xs font-semibold text-sky-700 hover:underline">
+                      {showAllGaps ? 'Show the longest only' : `Show all ${longestGaps.length} gaps`}
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+            <div>
+              <h4 className="text-sm font-semibold text-slate-700 mb-2">GPS accuracy</h4>
+              {!quality.gps ? (
+                <p className="text-sm text-slate-500">This session has no GPS accuracy readings.</p>
+              ) : (
+                <>
+                  <p className="text-xs text-slate-500 mb-2">Median {quality.gps.median.toFixed(1)} m · 90th percentile {quality.gps.p90.toFixed(1)} m · worst {quality.gps.max.toFixed(1)} m</p>
+                  <ul className="space-y-1">
+                    {quality.gps.bins.map(bin => (
+                      <li key={bin.label} className="flex items-center gap-2 text-xs">
+                        <span className="w-16 shrink-0 text-slate-600">{bin.label}</span>
+                        <div className="h-3 flex-1 rounded bg-slate-100">
+                          <div className="h-full rounded bg-sky-500" style={{ width: `${maxBinCount ? (bin.count / maxBinCount) * 100 : 0}%` }} />
+                        </div>
+                        <span className="w-14 shrink-0 text-right text-slate-500">{((bin.count / quality.gps.count) * 100).toFixed(1)}%</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
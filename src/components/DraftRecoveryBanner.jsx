@@ -0,0 +1,39 @@
+import { DocumentArrowUpIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Offers to bring back unsaved anomaly edits found by useAnnotationDraft.
+export default function DraftRecoveryBanner({ pendingDraft, conflictCount, restoreDraft, discardDraft }) {
+  if (!pendingDraft) return null;
+  const savedAt = new Date(pendingDraft.savedAt).toLocaleString('en-GB');
+  const pointCount = pendingDraft.edits.length;
+  const noteCount = pendingDraft.notes?.length ?? 0;
+
+  return (
+    <div className={`mb-6 rounded-lg border p-4 text-sm ${pendingDraft.serverChanged ? 'border-amber-200 bg-amber-50 text-amber-900' : 'border-sky-200 bg-sky-50 text-sky-900'}`}>
+      <div className="flex items-start gap-3">
+        {pendingDraft.serverChanged
+          ? <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+          : <DocumentArrowUpIcon className="h-5 w-5 flex-shrink-0" />}
+        <div className="flex-grow">
+          <p className="font-semibold">
+            You have unsaved anomaly edits for this session from {savedAt} ({pointCount} point{pointCount === 1 ? '' : 's'}
+            {pendingDraft.notes && `, segment notes (${noteCount} in total)`}).
+          </p>
+          {pendingDraft.serverChanged && (
+            <p className="mt-1">
+              The labels on the server have changed since then. Merging applies your edits on top of the current labels
+              {conflictCount > 0 && `; ${conflictCount} point${conflictCount === 1 ? ' was' : 's were'} also changed on the server and will keep the server's label`}.
+            </p>
+          )}
+          <div className="mt-3 flex flex-wrap gap-2">
+            <button onClick={restoreDraft} className="rounded-md bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-sky-700">
+              {pendingDraft.serverChanged ? 'Merge draft' : 'Restore draft'}
+            </button>
+            <button onClick={discardDraft} className="rounded-md border border-slate-300 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50">
+              Discard draft
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
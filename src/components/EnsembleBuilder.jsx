@@ -0,0 +1,87 @@
+import { useState } from 'react';
+import { Squares2X2Icon, TrashIcon } from '@heroicons/react/24/outline';
+
+// Builds k-of-n ensembles from the ML models and lists the saved ones. A saved ensemble shows
+// up in the chart's ML Prediction menu and in the model evaluation.
+export default function EnsembleBuilder({ sources, recipes, onSave, onDelete }) {
+  const [name, setName] = useState('');
+  const [models, setModels] = useState([]);
+  const [k, setK] = useState(1);
+
+  const toggleModel = (key) => {
+    setModels(prev => (prev.includes(key) ? prev.filter(m => m !== key) : [...prev, key]));
+  };
+
+  const voteThreshold = Math.min(k, Math.max(models.length, 1));
+  const isValid = name.trim() && models.length > 0;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!isValid) return;
+    if (recipes.some(r => r.name === name.trim()) && !window.confirm(`Replace the saved ensemble "${name.trim()}"?`)) return;
+    onSave({ name: name.trim(), models, k: voteThreshold });
+    setName('');
+  };
+
+  const handleEdit = (recipe) => {
+    setName(recipe.name);
+    setModels(recipe.models);
+    setK(recipe.k);
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex items-center gap-2 border-b pb-3 mb-4">
+        <Squares2X2Icon className="w-6 h-6 text-purple-500" />
+        <h3 className="text-lg font-bold text-gray-900">Custom Ensembles</h3>
+      </div>
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <form onSubmit={handleSave} className="space-y-3">
+          <p className="text-sm text-slate-600">A point is an anomaly when at least <strong>k</strong> of the chosen models flag it.</p>
+          <div className="flex flex-wrap gap-2">
+            {sources.map(source => (
+              <label key={source.key} className={`flex items-center gap-1.5 rounded-full border px-3 py-1 text-xs font-semibold cursor-pointer ${models.includes(source.key) ? 'bg-purple-600 text-white border-transparent' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+                <input type="checkbox" className="sr-only" checked={models.includes(source.key)} onChange={() => toggleModel(source.key)} />
+                {source.label}
+              </label>
+            ))}
+          </div>
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label htmlFor="ensemble-k" className="block text-xs font-medium text-slate-500 mb-1">Votes needed (k)</label>
+              <input id="ensemble-k" type="number" min={1} max={Math.max(models.length, 1)} value={voteThreshold} onChange={(e) => setK(Math.max(1, Number(e.target.value) || 1))} className="w-24 rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500" />
+            </div>
+            <span className="pb-2 text-sm text-slate-500">of {models.length}</span>
+            <div className="flex-1 min-w-[10rem]">
+              <label htmlFor="ensemble-name" className="block text-xs font-medium text-slate-500 mb-1">Name</label>
+              <input id="ensemble-name" type="text" value={name} onChange={(e) => setName(e.target.value)} placeholder="e.g. Deep models majority" className="w-full rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500" />
+            </div>
+            <button type="submit" disabled={!isValid} className="rounded-md bg-purple-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-purple-700 disabled:bg-slate-300 disabled:cursor-not-allowed">
+              Save Ensemble
+            </button>
+          </div>
+        </form>
+        <div>
+          <h4 className="text-sm font-semibold text-slate-700 mb-2">Saved ensembles ({recipes.length})</h4>
+          {recipes.length === 0 ? (
+            <p className="text-sm text-slate-500">None yet. Saved ensembles are kept in this browser and work on every session.</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 text-sm">
+              {recipes.map(recipe => (
+                <li key={recipe.name} className="flex items-center justify-between gap-2 py-2">
+                  <button type="button" onClick={() => handleEdit(recipe)} className="text-left" title="Load into the builder">
+                    <p className="font-medium text-slate-800">{recipe.name} <span className="text-xs text-slate-500">({recipe.k} of {recipe.models.length})</span></p>
+                    <p className="text-xs text-slate-500">{recipe.models.map(key => sources.find(s => s.key === key)?.label || key).join(', ')}</p>
+                  </button>
+                  <button type="button" onClick={() => onDelete(recipe.name)} className="p-1 rounded hover:bg-red-100 text-slate-500 hover:text-red-600" title="Delete ensemble">
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+import { ZONE_MODELS } from '../utils/heartRateZones';
+
+const formatMinutes = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+};
+
+const MAX_SOURCE_LABELS = {
+  custom: 'entered manually',
+  age: 'age-predicted (220 − age)',
+  observed: "this session's highest reading; the volunteer's age is unknown",
+};
+
+// Time-in-zone bars with the zone model settings. The zones can also be drawn as bands on the chart.
+export default function HeartRateZonesPanel({ timeInZones, settings, maxHeartRate, maxHeartRateSource, onSettingsChange, showOnChart, onShowOnChartChange }) {
+  const maxPercent = Math.max(...timeInZones.zones.map(zone => zone.percent), 0);
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-md">
+      <div className="flex flex-wrap items-end justify-between gap-4 mb-4">
+        <div className="flex flex-wrap items-end gap-3">
+          <div>
+            <label htmlFor="zone-model" className="block text-xs font-medium text-slate-500 mb-1">Zone model</label>
+            <select id="zone-model" value={settings.model} onChange={(e) => onSettingsChange({ model: e.target.value })} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+              <option value={ZONE_MODELS.PERCENT_MAX}>% of max heart rate</option>
+              <option value={ZONE_MODELS.KARVONEN}>Karvonen (heart-rate reserve)</option>
+            </select>
+          </div>
+          <div>
+            <label htmlFor="zone-max-hr" className="block text-xs font-medium text-slate-500 mb-1">Max HR (bpm)</label>
+            <input id="zone-max-hr" type="number" min={1} value={settings.customMaxHeartRate ?? ''} placeholder={maxHeartRate ? String(Math.round(maxHeartRate)) : ''} onChange={(e) => onSettingsChange({ customMaxHeartRate: Number(e.target.value) || null })} className="w-24 rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500" />
+          </div>
+          {settings.model === ZONE_MODELS.KARVONEN && (
+            <div>
+              <label htmlFor="zone-rest-hr" className="block text-xs font-medium text-slate-500 mb-1">Resting HR (bpm)</label>
+              <input id="zone-rest-hr" type="number" min={1} value={settings.restingHeartRate} onChange={(e) => onSettingsChange({ restingHeartRate: Number(e.target.value) || 0 })} className="w-24 rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500" />
+            </div>
+          )}
+        </div>
+        <label className="flex items-center text-sm font-medium text-slate-700">
+          <input type="checkbox" className="h-4 w-4 rounded border-gray-300 text-sky-600 focus:ring-sky-500" checked={showOnChart} onChange={(e) => onShowOnChartChange(e.target.checked)} />
+          <span className="ml-2">Show zones on chart</span>
+        </label>
+      </div>
+
+      {timeInZones.zones.length === 0 ? (
+        <p className="text-sm text-slate-500">Enter a maximum heart rate to see the zones.</p>
+      ) : (
+        <>
+          <p className="text-xs text-slate-500 mb-3">Max HR {Math.round(maxHeartRate)} bpm, {MAX_SOURCE_LABELS[maxHeartRateSource]}.</p>
+          <ul className="space-y-2">
+            {[...timeInZones.zones].reverse().map(zone => (
+              <li key={zone.id} className="flex items-center gap-3 text-sm">
+                <span className="w-44 shrink-0">
+                  <span className="font-semibold text-slate-800">{zone.label}</span>
+                  <span className="ml-1 text-xs text-slate-500">{zone.name} · {Math.round(zone.lower)}–{Math.round(zone.upper)}</span>
+                </span>
+                <div className="h-4 flex-1 rounded bg-slate-100">
+                  <div className="h-full rounded" style={{ width: `${maxPercent ? (zone.percent / maxPercent) * 100 : 0}%`, backgroundColor: zone.color }} />
+                </div>
+                <span className="w-24 shrink-0 text-right text-slate-700">{formatMinutes(zone.seconds)} <span className="text-xs text-slate-500">({zone.percent.toFixed(0)}%)</span></span>
+              </li>
+            ))}
+          </ul>
+          {timeInZones.belowSeconds > 0 && (
+            <p className="mt-2 text-xs text-slate-500">{formatMinutes(timeInZones.belowSeconds)} below Zone 1.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
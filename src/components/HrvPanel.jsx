@@ -0,0 +1,48 @@
+import { HeartIcon } from '@heroicons/react/24/outline';
+
+const formatMs = (value) => (value != null ? `${value.toFixed(1)} ms` : 'N/A');
+
+// Time-domain HRV from the session's RR intervals, with the ectopic beats that were left out of it.
+export default function HrvPanel({ metrics, showEctopicBeats, onShowEctopicBeatsChange, onLabelEctopicBeats }) {
+  const items = [
+    { label: 'RMSSD', value: formatMs(metrics.rmssd), title: 'Root mean square of successive differences' },
+    { label: 'SDNN', value: formatMs(metrics.sdnn), title: 'Standard deviation of the normal-to-normal intervals' },
+    { label: 'pNN50', value: metrics.pnn50 != null ? `${metrics.pnn50.toFixed(1)}%` : 'N/A', title: 'Successive differences above 50 ms' },
+    { label: 'Mean RR', value: formatMs(metrics.meanRr), title: 'Mean normal-to-normal interval' },
+  ];
+
+  return (
+    <div className="bg-white p-4 rounded-xl shadow-md">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+        <div className="flex items-center gap-2">
+          <HeartIcon className="w-5 h-5 text-sky-500" />
+          <h3 className="text-sm font-semibold text-slate-800">Heart Rate Variability</h3>
+          <span className="text-xs text-slate-500">from {metrics.beats.toLocaleString()} RR intervals</span>
+        </div>
+        <label className="flex items-center text-sm font-medium text-slate-700">
+          <input type="checkbox" className="h-4 w-4 rounded border-gray-300 text-orange-600 focus:ring-orange-500" checked={showEctopicBeats} onChange={(e) => onShowEctopicBeatsChange(e.target.checked)} disabled={metrics.ectopicBeats === 0} />
+          <span className="ml-2">Mark ectopic beats on chart</span>
+        </label>
+      </div>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        {items.map(item => (
+          <div key={item.label} className="rounded-lg border border-slate-200 p-3" title={item.title}>
+            <p className="text-xs font-medium text-slate-500">{item.label}</p>
+            <p className="text-lg font-bold text-slate-800">{item.value}</p>
+          </div>
+        ))}
+      </div>
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-2 text-sm">
+        <p className={metrics.ectopicBeats > 0 ? 'font-medium text-orange-700' : 'text-slate-500'}>
+          {metrics.ectopicBeats.toLocaleString()} ectopic beat{metrics.ectopicBeats === 1 ? '' : 's'}
+          <span className="font-normal text-slate-500"> (RR more than 20% off its neighbours) and {metrics.artifacts.toLocaleString()} implausible interval{metrics.artifacts === 1 ? '' : 's'}, left out of the metrics.</span>
+        </p>
+        {onLabelEctopicBeats && metrics.ectopicBeats > 0 && (
+          <button type="button" onClick={onLabelEctopicBeats} className="rounded-md bg-orange-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-orange-700">
+            Label ectopic beats as Arrhythmic
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,39 @@
+import { ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+export default function IdleTimeoutModal({ isOpen, remainingSeconds, hasUnsavedWork, onStay, onLogout }) {
+  if (!isOpen) return null;
+  const minutes = Math.floor(remainingSeconds / 60);
+  const seconds = (remainingSeconds % 60).toString().padStart(2, '0');
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[70] flex justify-center items-center" aria-modal="true" role="dialog">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md m-4">
+        <div className="flex items-start">
+          <div className="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-amber-100 sm:mx-0 sm:h-10 sm:w-10">
+            <ClockIcon className="h-6 w-6 text-amber-600" aria-hidden="true" />
+          </div>
+          <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Are you still there?</h3>
+            <p className="mt-2 text-sm text-gray-500">
+              You will be logged out in <span className="font-mono font-semibold text-gray-900">{minutes}:{seconds}</span> because of inactivity.
+            </p>
+            {hasUnsavedWork && (
+              <p className="mt-3 flex items-start gap-2 rounded-md bg-red-50 p-2 text-sm text-red-700">
+                <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+                You have unsaved anomaly edits. If you are logged out, they are kept as a draft on this computer and offered again when you reopen the session.
+              </p>
+            )}
+          </div>
+        </div>
+        <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse">
+          <button type="button" onClick={onStay} className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-sky-600 text-base font-medium text-white hover:bg-sky-700 sm:ml-3 sm:w-auto sm:text-sm">
+            Stay signed in
+          </button>
+          <button type="button" onClick={onLogout} className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm">
+            Log out now
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
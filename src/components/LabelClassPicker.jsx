@@ -0,0 +1,22 @@
+import { LABEL_CLASSES } from '../utils/anomalyClasses';
+
+// Chooses the class that clicks and drags on the heart-rate chart apply to points.
+export default function LabelClassPicker({ value, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-sm font-medium text-slate-700">Label as:</span>
+      {LABEL_CLASSES.map(option => (
+        <button
+          key={option.value}
+          type="button"
+          onClick={() => onChange(option.value)}
+          className={`flex items-center gap-1.5 rounded-full border px-3 py-1 text-xs font-semibold transition-colors ${value === option.value ? 'text-white border-transparent' : 'text-slate-700 bg-white border-slate-300 hover:bg-slate-50'}`}
+          style={value === option.value ? { backgroundColor: option.color } : {}}
+        >
+          <span className="h-2.5 w-2.5 rounded-full border border-white/70" style={{ backgroundColor: option.color }} />
+          {option.value}
+        </button>
+      ))}
+    </div>
+  );
+}
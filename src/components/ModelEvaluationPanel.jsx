@@ -0,0 +1,84 @@
+import { useState } from 'react';
+import { CpuChipIcon, CloudArrowDownIcon } from '@heroicons/react/24/outline';
+
+const formatScore = (value) => (value != null ? value.toFixed(3) : '–');
+
+// Precision, recall, F1 and the confusion matrix of every ML model against the manual labels,
+// either point-wise or point-adjusted (an event counts as found if any of its points is flagged).
+export default function ModelEvaluationPanel({ results, onExport }) {
+  const [protocol, setProtocol] = useState('pointwise');
+  const evaluated = results.filter(result => result.points > 0);
+  const best = evaluated.reduce((top, result) => ((result[protocol].f1 ?? -1) > (top?.[protocol].f1 ?? -1) ? result : top), null);
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-4 border-b pb-3 mb-4">
+        <div className="flex items-center gap-2">
+          <CpuChipIcon className="w-6 h-6 text-purple-500" />
+          <h3 className="text-lg font-bold text-gray-900">Model Evaluation</h3>
+          <span className="text-xs text-slate-500">against the manual labels, updated as you edit</span>
+        </div>
+        <div className="flex items-center gap-2">
+          <div className="inline-flex rounded-md shadow-sm">
+            <button type="button" onClick={() => setProtocol('pointwise')} className={`rounded-l-md border px-3 py-1.5 text-xs font-semibold ${protocol === 'pointwise' ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+              Point-wise
+            </button>
+            <button type="button" onClick={() => setProtocol('adjusted')} className={`-ml-px rounded-r-md border px-3 py-1.5 text-xs font-semibold ${protocol === 'adjusted' ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+              Event-wise (point-adjust)
+            </button>
+          </div>
+          {onExport && (
+            <button onClick={onExport} disabled={evaluated.length === 0} className="flex items-center gap-1.5 rounded-md bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:bg-slate-400">
+              <CloudArrowDownIcon className="w-4 h-4" />
+              Export
+            </button>
+          )}
+        </div>
+      </div>
+
+      {evaluated.length === 0 ? (
+        <p className="text-sm text-slate-500">This session has no ML predictions to evaluate.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-3 py-2 text-left font-semibold text-gray-600">Model</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Anomalies the model found">TP</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Normal points the model flagged">FP</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Anomalies the model missed">FN</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Normal points the model left alone">TN</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600">Precision</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600">Recall</th>
+                <th className="px-3 py-2 text-right font-semibold text-gray-600">F1</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {results.map(result => (
+                <tr key={result.key} className={best?.key === result.key ? 'bg-purple-50/60' : ''}>
+                  <td className="px-3 py-2 font-medium text-slate-800">{result.label}</td>
+                  {result.points > 0 ? (
+                    <>
+                      <td className="px-3 py-2 text-right text-slate-700">{result[protocol].tp}</td>
+                      <td className="px-3 py-2 text-right text-slate-700">{result[protocol].fp}</td>
+                      <td className="px-3 py-2 text-right text-slate-700">{result[protocol].fn}</td>
+                      <td className="px-3 py-2 text-right text-slate-700">{result[protocol].tn}</td>
+                      <td className="px-3 py-2 text-right text-slate-800">{formatScore(result[protocol].precision)}</td>
+                      <td className="px-3 py-2 text-right text-slate-800">{formatScore(result[protocol].recall)}</td>
+                      <td className="px-3 py-2 text-right font-semibold text-slate-900">{formatScore(result[protocol].f1)}</td>
+                    </>
+                  ) : (
+                    <td colSpan={7} className="px-3 py-2 text-right text-slate-400">No predictions in this session</td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-slate-500">
+            {evaluated[0].events} labelled anomaly event(s). Scores with nothing to divide by are shown as –. The best F1 is highlighted.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,13 +1,46 @@
-import { Navigate } from 'react-router-dom';
+import { Navigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { getLoginPath } from '../utils/auth';
 import AdminLayout from './AdminLayout';
 
 export default function ProtectedRoute() {
-  const { isAuthenticated } = useAuth();
+  const { isAuthenticated, isUserLoading, profileError, retryProfile, logout } = useAuth();
+  const location = useLocation();
 
   if (!isAuthenticated) {
-    return <Navigate to="/login" replace />;
+    // Keep the requested page (including its query string) so login can send us back to it.
+    return <Navigate to={getLoginPath(location)} replace />;
+  }
+
+  // Wait for the profile so role-restricted pages don't flash "Access Restricted".
+  if (isUserLoading) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50">
+        <p className="text-slate-500">Loading your profile...</p>
+      </div>
+    );
+  }
+
+  // Without the profile we don't know the user's role, so rather than showing a panel with
+  // every action missing, say what went wrong and let them try again.
+  if (profileError) {
+    return (
+      <div className="flex min-h-screen items-center justify-center bg-slate-50 p-6">
+        <div className="w-full max-w-sm rounded-xl bg-white p-6 text-center shadow-md">
+          <h2 className="text-lg font-semibold text-slate-800">Could not load your profile</h2>
+          <p className="mt-2 text-sm text-rose-700">{profileError}</p>
+          <div className="mt-5 flex justify-center gap-3">
+            <button type="button" onClick={retryProfile} className="rounded-md bg-sky-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-sky-700">
+              Try again
+            </button>
+            <button type="button" onClick={() => logout()} className="rounded-md border border-slate-300 bg-white px-4 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-50">
+              Log out
+            </button>
+          </div>
+        </div>
+      </div>
+    );
   }
 
   return <AdminLayout />;
-}
\ No newline at end of file
+}
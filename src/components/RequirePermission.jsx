@@ -0,0 +1,13 @@
+import { useAuth } from '../context/AuthContext';
+import AccessDenied from './AccessDenied';
+
+// Route-level guard: renders the page only if the current role grants `permission`.
+export default function RequirePermission({ permission, children }) {
+  const { can } = useAuth();
+
+  if (!can(permission)) {
+    return <AccessDenied />;
+  }
+
+  return children;
+}
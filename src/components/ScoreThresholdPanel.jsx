@@ -0,0 +1,136 @@
+import { useState, useMemo } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceDot } from 'recharts';
+import { AdjustmentsHorizontalIcon } from '@heroicons/react/24/outline';
+import { getScoreKey, getScoreRange, computePrCurve } from '../utils/anomalyScores';
+import { evaluateModels } from '../utils/evaluation';
+
+const formatScore = (value) => (value != null ? value.toFixed(3) : '–');
+
+// Thresholds a model's continuous scores instead of using its own 0/1 predictions. The chart overlay,
+// the timelines and the model evaluation all follow the slider; the precision-recall curve shows
+// every threshold at once against the manual labels.
+export default function ScoreThresholdPanel({ rows, sources, thresholds, onThresholdChange }) {
+  const [preferredKey, setSelectedKey] = useState(sources[0]?.key);
+  const source = sources.find(s => s.key === preferredKey) || sources[0];
+  const scoreKey = source ? getScoreKey(source.key) : null;
+
+  const range = useMemo(() => (scoreKey ? getScoreRange(rows, scoreKey) : null), [rows, scoreKey]);
+  const curve = useMemo(() => (scoreKey ? computePrCurve(rows, scoreKey) : null), [rows, scoreKey]);
+  // The rows already carry the thresholded predictions, so this is the score at the current threshold.
+  const current = useMemo(() => (source ? evaluateModels(rows, [source])[0] : null), [rows, source]);
+
+  if (!source || !range) {
+    return (
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+        <p className="text-sm text-slate-500">This session has no continuous model scores.</p>
+      </div>
+    );
+  }
+
+  const threshold = thresholds[source.key];
+  const isThresholded = threshold != null;
+  const step = range.max > range.min ? (range.max - range.min) / 200 : 'any';
+  const currentPoint = isThresholded && curve.points.length
+    ? curve.points.reduce((closest, point) => (Math.abs(point.threshold - threshold) < Math.abs(closest.threshold - threshold) ? point : closest))
+    : null;
+
+  return (
+    <div className="bg-white p-6 rounded-xl shadow-lg border border-slate-200">
+      <div className="flex flex-wrap items-center justify-between gap-4 border-b pb-3 mb-4">
+        <div className="flex items-center gap-2">
+          <AdjustmentsHorizontalIcon className="w-6 h-6 text-purple-500" />
+          <h3 className="text-lg font-bold text-gray-900">Score Threshold</h3>
+        </div>
+        <div className="flex items-center gap-2">
+          <label htmlFor="score-model" className="text-sm font-medium text-slate-700">Model:</label>
+          <select id="score-model" value={source.key} onChange={(e) => setSelectedKey(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+            {sources.map(s => <option key={s.key} value={s.key}>{s.label}{thresholds[s.key] != null ? ' (thresholded)' : ''}</option>)}
+          </select>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="space-y-4">
+          <div>
+            <div className="flex items-center justify-between text-sm">
+              <span className="font-medium text-slate-700">Threshold: <span className="font-mono">{isThresholded ? formatScore(threshold) : '–'}</span></span>
+              <span className="text-xs text-slate-500">{formatScore(range.min)} to {formatScore(range.max)}</span>
+            </div>
+            <input
+              type="range"
+              min={range.min}
+              max={range.max}
+              step={step}
+              value={isThresholded ? threshold : (range.min + range.max) / 2}
+              onChange={(e) => onThresholdChange(source.key, Number(e.target.value))}
+              className="mt-2 w-full"
+              style={{ accentColor: source.color }}
+            />
+            <p className="mt-1 text-xs text-slate-500">
+              {isThresholded
+                ? 'A point is flagged when its score is at or above the threshold.'
+                : "Using the model's own predictions. Move the slider to threshold its scores instead."}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button type="button" onClick={() => onThresholdChange(source.key, curve.best.threshold)} disabled={!curve.best} className="rounded-md bg-purple-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-purple-700 disabled:bg-slate-400">
+              Use best F1 threshold{curve.best ? ` (${formatScore(curve.best.threshold)})` : ''}
+            </button>
+            <button type="button" onClick={() => onThresholdChange(source.key, null)} disabled={!isThresholded} className="rounded-md border border-slate-300 bg-white px-3 py-1.5 text-xs font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+              Use model&apos;s own predictions
+            </button>
+          </div>
+          {current?.points > 0 && (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-slate-500">
+                  <th className="py-1 text-left font-semibold"></th>
+                  <th className="py-1 text-right font-semibold">Precision</th>
+                  <th className="py-1 text-right font-semibold">Recall</th>
+                  <th className="py-1 text-right font-semibold">F1</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {[['Point-wise', current.pointwise], ['Event-wise (point-adjust)', current.adjusted]].map(([label, scores]) => (
+                  <tr key={label}>
+                    <td className="py-1 font-medium text-slate-700">{label}</td>
+                    <td className="py-1 text-right text-slate-700">{formatScore(scores.precision)}</td>
+                    <td className="py-1 text-right text-slate-700">{formatScore(scores.recall)}</td>
+                    <td className="py-1 text-right font-semibold text-slate-900">{formatScore(scores.f1)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-semibold text-slate-700">Precision-recall curve</h4>
+            {curve.averagePrecision != null && <span className="text-xs text-slate-500">Average precision: <strong>{formatScore(curve.averagePrecision)}</strong></span>}
+          </div>
+          {curve.points.length === 0 ? (
+            <p className="mt-2 text-sm text-slate-500">Label some anomalies to see the curve.</p>
+          ) : (
+            <div className="h-56 mt-2">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={curve.points} margin={{ top: 5, right: 10, left: 0, bottom: 15 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="recall" type="number" domain={[0, 1]} tick={{ fontSize: 11 }} label={{ value: 'Recall', position: 'insideBottom', offset: -8, fontSize: 12 }} />
+                  <YAxis dataKey="precision" type="number" domain={[0, 1]} tick={{ fontSize: 11 }} width={40} />
+                  <Tooltip
+                    formatter={(value, name) => [formatScore(value), name]}
+                    labelFormatter={(_, payload) => (payload?.[0] ? `Threshold ${formatScore(payload[0].payload.threshold)}` : '')}
+                    contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '0.5rem' }}
+                  />
+                  <Line type="stepAfter" dataKey="precision" name="Precision" stroke={source.color} strokeWidth={2} dot={false} isAnimationActive={false} />
+                  {currentPoint && <ReferenceDot x={currentPoint.recall} y={currentPoint.precision} r={5} fill={source.color} stroke="#fff" />}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
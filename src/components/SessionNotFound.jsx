@@ -1,13 +1,20 @@
-import { Link } from 'react-router-dom';
+import { Link, useParams, useRouteError } from 'react-router-dom';
 
 export default function SessionNotFound() {
+  const error = useRouteError();
+  const { sessionId } = useParams();
+  // Loaders throw an ApiError (from utils/api) that carries the HTTP status.
+  const isMissing = error?.status === 404;
+
   return (
     <div className="text-center p-12">
       <h1 className="text-2xl font-bold text-slate-800 mb-2">
-        Oops! Session Not Found
+        {isMissing ? 'Oops! Session Not Found' : 'Could Not Load Session'}
       </h1>
       <p className="text-slate-600 mb-6">
-        We couldn't find the session you were looking for. It may have been deleted, or the link is incorrect.
+        {isMissing
+          ? `We couldn't find session ${sessionId ?? ''}. It may have been deleted, or the link is incorrect.`
+          : error?.message || 'Something went wrong while loading this session. Please try again.'}
       </p>
       <Link 
         to="/dashboard" // Link to a safe, existing page like the dashboard
@@ -17,4 +24,4 @@ export default function SessionNotFound() {
       </Link>
     </div>
   );
-}
\ No newline at end of file
+}
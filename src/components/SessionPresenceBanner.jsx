@@ -0,0 +1,28 @@
+import { ExclamationTriangleIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+
+// Shown on the session pages when useSessionEditPresence sees the same session in another tab.
+export default function SessionPresenceBanner({ otherTabCount, otherTabIsEditing, otherTabSavedAt }) {
+  if (otherTabSavedAt) {
+    return (
+      <div className="mb-6 flex flex-wrap items-center justify-between gap-3 rounded-lg border border-sky-200 bg-sky-50 p-3 text-sm text-sky-800">
+        <span className="flex items-center gap-2">
+          <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+          Another tab saved anomaly changes to this session at {new Date(otherTabSavedAt).toLocaleTimeString('en-GB')}. The labels shown here may be out of date.
+        </span>
+        <button onClick={() => window.location.reload()} className="flex items-center gap-1.5 rounded-md bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-sky-700">
+          <ArrowPathIcon className="h-4 w-4" />
+          Reload
+        </button>
+      </div>
+    );
+  }
+  if (otherTabCount === 0) return null;
+  return (
+    <div className={`mb-6 flex items-center gap-2 rounded-lg border p-3 text-sm ${otherTabIsEditing ? 'border-red-200 bg-red-50 text-red-800' : 'border-amber-200 bg-amber-50 text-amber-800'}`}>
+      <ExclamationTriangleIcon className="h-5 w-5 flex-shrink-0" />
+      {otherTabIsEditing
+        ? 'This session has unsaved anomaly edits in another tab. Saving in both tabs will overwrite each other\'s changes.'
+        : 'This session is also open in another tab. Avoid editing anomaly labels in both tabs at once.'}
+    </div>
+  );
+}
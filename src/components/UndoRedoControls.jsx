@@ -0,0 +1,20 @@
+import { ArrowUturnLeftIcon, ArrowUturnRightIcon } from '@heroicons/react/24/outline';
+
+// Undo/redo buttons for the anomaly label history (see useLabelHistory), with the depth of each stack.
+export default function UndoRedoControls({ history, disabled }) {
+  if (history.undoDepth === 0 && history.redoDepth === 0) return null;
+  const buttonClass = 'flex items-center gap-1.5 rounded-md border border-slate-300 bg-white px-2.5 py-1.5 text-xs font-semibold text-slate-700 shadow-sm hover:bg-slate-50 disabled:opacity-50 disabled:cursor-not-allowed';
+
+  return (
+    <div className="flex items-center gap-1.5">
+      <button onClick={history.undo} disabled={disabled || history.undoDepth === 0} className={buttonClass} title="Undo (Ctrl+Z)">
+        <ArrowUturnLeftIcon className="w-4 h-4" />
+        Undo ({history.undoDepth})
+      </button>
+      <button onClick={history.redo} disabled={disabled || history.redoDepth === 0} className={buttonClass} title="Redo (Ctrl+Shift+Z)">
+        <ArrowUturnRightIcon className="w-4 h-4" />
+        Redo ({history.redoDepth})
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,40 @@
+import { ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+
+// Shown by the session pages while useUnsavedChangesGuard is holding back a navigation.
+export default function UnsavedChangesDialog({ blocker, isSaving, onSaveAndLeave, onDiscard }) {
+  if (blocker.state !== 'blocked') return null;
+
+  const handleDiscard = () => {
+    onDiscard?.();
+    blocker.proceed();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 z-[60] flex justify-center items-center" aria-modal="true" role="dialog">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md m-4">
+        <div className="flex items-start">
+          <div className="mx-auto flex-shrink-0 flex items-center justify-center h-12 w-12 rounded-full bg-amber-100 sm:mx-0 sm:h-10 sm:w-10">
+            <ExclamationTriangleIcon className="h-6 w-6 text-amber-600" aria-hidden="true" />
+          </div>
+          <div className="mt-3 text-center sm:mt-0 sm:ml-4 sm:text-left">
+            <h3 className="text-lg leading-6 font-medium text-gray-900">Unsaved anomaly edits</h3>
+            <p className="mt-2 text-sm text-gray-500">
+              You have changed anomaly labels on this session without saving. What would you like to do before leaving?
+            </p>
+          </div>
+        </div>
+        <div className="mt-5 sm:mt-4 sm:flex sm:flex-row-reverse gap-3">
+          <button type="button" onClick={onSaveAndLeave} disabled={isSaving} className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-sky-600 text-base font-medium text-white hover:bg-sky-700 disabled:bg-slate-400 sm:w-auto sm:text-sm">
+            {isSaving ? 'Saving...' : 'Save and leave'}
+          </button>
+          <button type="button" onClick={handleDiscard} disabled={isSaving} className="mt-3 w-full inline-flex justify-center rounded-md border border-red-200 shadow-sm px-4 py-2 bg-white text-base font-medium text-red-700 hover:bg-red-50 disabled:opacity-50 sm:mt-0 sm:w-auto sm:text-sm">
+            Discard
+          </button>
+          <button type="button" onClick={() => blocker.reset()} disabled={isSaving} className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50 sm:mt-0 sm:w-auto sm:text-sm">
+            Stay
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
-import { useAuth } from '../context/AuthContext';
 import { FiEdit, FiSave, FiX, FiAlertTriangle, FiCheckCircle } from 'react-icons/fi';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+import { useAuth } from '../context/AuthContext';
+import { api } from '../utils/api';
 
 // Field names for a user-friendly display in the summary
 const FIELD_LABELS = {
@@ -44,8 +43,8 @@ const FormSelect = ({ label, name, value, onChange, disabled, options }) => (
 export default function VolunteerDetailModal({ volunteer, onClose, onUpdate }) {
   const [formData, setFormData] = useState(volunteer);
   const [isEditMode, setIsEditMode] = useState(false);
-  const { authToken } = useAuth();
   const [isSaving, setIsSaving] = useState(false);
+  const { can } = useAuth();
   const modalRef = useRef();
 
   // New state for the confirmation process
@@ -102,18 +101,9 @@ export default function VolunteerDetailModal({ volunteer, onClose, onUpdate }) {
     const dataToUpdate = { ...formData };
 
     try {
-      const response = await fetch(`${API_BASE_URL}/api/volunteers/${formData.id}/`, {
-        method: 'PATCH',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Token ${authToken}`,
-        },
-        body: JSON.stringify(dataToUpdate),
+      const updatedVolunteer = await api.patch(`/api/volunteers/${formData.id}/`, dataToUpdate, {
+        errorMessage: 'Failed to save changes. Please try again.',
       });
-
-      if (!response.ok) throw new Error('Failed to save changes. Please try again.');
-
-      const updatedVolunteer = await response.json();
       onUpdate(updatedVolunteer);
       alert('Changes saved successfully!');
       onClose(); // This will close both the modal and the confirmation dialog
@@ -180,7 +170,7 @@ export default function VolunteerDetailModal({ volunteer, onClose, onUpdate }) {
                     Save Changes
                   </button>
                 </>
-              ) : (
+              ) : can('volunteers.edit') && (
                 <button type="button" onClick={() => setIsEditMode(true)} className="flex items-center justify-center px-5 py-2 text-sm font-medium text-white bg-gradient-to-r from-amber-500 to-orange-600 rounded-lg shadow-md hover:from-amber-600 hover:to-orange-700 transition-all">
                   <FiEdit className="mr-2" />
                   Edit Details
@@ -1,52 +1,195 @@
-import { createContext, useState, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { createContext, useState, useContext, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { api, ApiError, setUnauthorizedHandler } from '../utils/api';
+import { AUTH_TOKEN_KEY, getAuthToken, setAuthToken as storeAuthToken, removeAuthToken, getLoginPath, getPostLoginPath } from '../utils/auth';
+import { hasPermission, resolveRole } from '../utils/permissions';
+import useIdleTimer from '../hooks/useIdleTimer';
+import IdleTimeoutModal from '../components/IdleTimeoutModal';
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
 const AuthContext = createContext(null);
 
+// Lab machines are shared, so idle sessions are logged out. Set the timeout to 0 to disable it.
+const IDLE_TIMEOUT_MINUTES = Number(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES ?? 30);
+const IDLE_WARNING_SECONDS = Number(import.meta.env.VITE_IDLE_WARNING_SECONDS ?? 60);
+
 export function AuthProvider({ children }) {
   const navigate = useNavigate();
+  const location = useLocation();
   // We check localStorage for a saved token to see if the user was already logged in.
-  const [authToken, setAuthToken] = useState(() => localStorage.getItem("authToken"));
+  const [authToken, setAuthToken] = useState(() => getAuthToken());
+  // Pages with unsaved edits (e.g. anomaly labels) report them here so logout can warn first.
+  const [hasUnsavedWork, setHasUnsavedWork] = useState(false);
+  // Such pages also register a function that writes their edits to the local draft (see useAnnotationDraft).
+  const draftSaverRef = useRef(null);
+  // The signed-in user's profile and role, tagged with the token it was loaded for,
+  // so we never show one user's permissions while the next user's profile is loading.
+  const [profile, setProfile] = useState({ token: null, user: null, error: null });
+  // Bumped by retryProfile to load the profile again after a failure.
+  const [profileAttempt, setProfileAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!authToken) return undefined;
+    const controller = new AbortController();
+    api.get('/api-auth/me/', { signal: controller.signal })
+      .then(data => setProfile({ token: authToken, user: { ...data, role: resolveRole(data) }, error: null }))
+      .catch(err => {
+        if (err.name === 'AbortError') return;
+        console.error('Failed to load user profile:', err.message);
+        // Without a profile we can't tell the role; ProtectedRoute shows the error with a retry
+        // instead of letting the UI fall back to no permissions.
+        setProfile({ token: authToken, user: null, error: err instanceof ApiError ? err.message : 'Could not connect to the server.' });
+      });
+    return () => controller.abort();
+  }, [authToken, profileAttempt]);
+
+  const hasProfile = !!authToken && profile.token === authToken;
+  const user = hasProfile ? profile.user : null;
+  const profileError = hasProfile ? profile.error : null;
+  const isUserLoading = !!authToken && !hasProfile;
+  const can = useCallback((permission) => hasPermission(user?.role, permission), [user]);
+  const retryProfile = useCallback(() => {
+    setProfile({ token: null, user: null, error: null });
+    setProfileAttempt(attempt => attempt + 1);
+  }, []);
+
+  const registerDraftSaver = useCallback((saver) => {
+    draftSaverRef.current = saver;
+    return () => {
+      if (draftSaverRef.current === saver) draftSaverRef.current = null;
+    };
+  }, []);
+
+  // A forced logout (idle, another tab, an expired token) can't wait for an "unsaved changes" prompt,
+  // so the page's edits are written to its local draft before we leave it.
+  // Resolves to true when a draft with unsaved edits was kept, so the login page can say so.
+  const keepUnsavedWorkAsDraft = useCallback(async () => {
+    if (!draftSaverRef.current) return false;
+    try {
+      return await draftSaverRef.current();
+    } catch (err) {
+      console.error('Could not keep the unsaved edits as a draft:', err.message);
+      return false;
+    }
+  }, []);
+
+  // When the backend rejects our token (e.g. it expired), the API client has already
+  // removed it from storage. We only need to update our state and go to the login page,
+  // remembering the current page so the user lands back on it after signing in again.
+  useEffect(() => {
+    return setUnauthorizedHandler(async () => {
+      const draftSaved = await keepUnsavedWorkAsDraft();
+      setAuthToken(null);
+      setHasUnsavedWork(false);
+      navigate(getLoginPath(window.location), { replace: true, state: { draftSaved, skipUnsavedGuard: true } });
+    });
+  }, [navigate, keepUnsavedWorkAsDraft]);
+
+  // Keep every open tab in sync: the 'storage' event fires in the *other* tabs
+  // when one tab logs in or out (localStorage is shared across the browser).
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key !== AUTH_TOKEN_KEY && event.key !== null) return;
+      const newToken = getAuthToken();
+      if (!newToken) {
+        // Our token is gone too, so the edits can't be saved to the server; keep them as a draft.
+        keepUnsavedWorkAsDraft().then(draftSaved => {
+          setAuthToken(null);
+          setHasUnsavedWork(false);
+          navigate(getLoginPath(window.location), { replace: true, state: { reason: 'other_tab', draftSaved, skipUnsavedGuard: true } });
+        });
+        return;
+      }
+      if (authToken && newToken !== authToken) {
+        // Someone signed in from another tab, possibly as another user. The edits here belong to the
+        // previous login, so they are kept as its draft instead of being saved under the new identity, and
+        // the page is loaded again for the new login (ProtectedRoute unmounts it while the profile loads).
+        keepUnsavedWorkAsDraft().then(draftSaved => {
+          setProfile({ token: null, user: null, error: null });
+          setAuthToken(newToken);
+          setHasUnsavedWork(false);
+          const { pathname, search, hash } = window.location;
+          navigate(`${pathname}${search}${hash}`, { replace: true, state: { skipUnsavedGuard: true } });
+          if (draftSaved) alert('Someone signed in from another tab, so this tab now uses that login. Your unsaved anomaly edits were kept as a draft for the previous account.');
+        });
+        return;
+      }
+      setAuthToken(newToken);
+      if (window.location.pathname.startsWith('/login')) {
+        navigate(getPostLoginPath(window.location.search), { replace: true });
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [navigate, keepUnsavedWorkAsDraft, authToken]);
 
   const login = async (username, password) => {
     try {
       // We no longer need the CSRF handshake. We just send the username and password to the new login view.
-      const response = await fetch(`${API_BASE_URL}/api-auth/login/`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ username, password }),
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        localStorage.setItem("authToken", data.token); // Save the token from the backend
-        setAuthToken(data.token);
-        navigate('/dashboard');
-        return null;
-      } else {
+      const data = await api.post('/api-auth/login/', { username, password }, { auth: false });
+      storeAuthToken(data.token); // Save the token from the backend
+      setAuthToken(data.token);
+      // Go back to the page that sent us to the login screen (see ProtectedRoute), or the dashboard.
+      navigate(getPostLoginPath(location.search), { replace: true });
+      return null;
+    } catch (err) {
+      // DRF answers bad credentials with 400 (or 401); anything else is the server's problem, not the user's.
+      if (err instanceof ApiError && (err.status === 400 || err.status === 401)) {
         return "Invalid username or password.";
       }
-    } catch (err) {
+      if (err instanceof ApiError) {
+        return `The server could not sign you in (error ${err.status}). Please try again later.`;
+      }
       return "Could not connect to the server.";
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem("authToken");
+  const logout = useCallback(async ({ reason } = {}) => {
+    const draftSaved = reason === 'idle' ? await keepUnsavedWorkAsDraft() : false;
+    const token = getAuthToken();
+    // Clear the local session first so nothing can use the token while the revoke request is in flight.
+    removeAuthToken();
     setAuthToken(null);
-    navigate('/login', { replace: true });
-  };
+    setHasUnsavedWork(false);
+    if (reason === 'idle') {
+      navigate(getLoginPath(window.location), { replace: true, state: { reason, draftSaved, skipUnsavedGuard: true } });
+    } else {
+      navigate('/login', { replace: true, state: { skipUnsavedGuard: true } });
+    }
+    if (!token) return;
+    try {
+      // Revoke the token on the backend too, so a copied token stops working after logout.
+      await api.post('/api-auth/logout/', null, { auth: false, headers: { Authorization: `Token ${token}` } });
+    } catch (err) {
+      console.error('Token revocation failed:', err.message);
+    }
+  }, [navigate, keepUnsavedWorkAsDraft]);
+
+  const handleIdle = useCallback(() => logout({ reason: 'idle' }), [logout]);
+  const idleTimer = useIdleTimer({
+    timeoutMs: IDLE_TIMEOUT_MINUTES * 60 * 1000,
+    warningMs: IDLE_WARNING_SECONDS * 1000,
+    enabled: !!authToken,
+    onIdle: handleIdle,
+  });
 
   // The 'isAuthenticated' value is now based on whether the authToken exists.
-  const value = { isAuthenticated: !!authToken, authToken, login, logout };
+  const value = { isAuthenticated: !!authToken, authToken, user, isUserLoading, can, login, logout, hasUnsavedWork, setHasUnsavedWork, registerDraftSaver, profileError, retryProfile };
 
-  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+  return (
+    <AuthContext.Provider value={value}>
+      {children}
+      <IdleTimeoutModal
+        isOpen={!!authToken && idleTimer.isWarning}
+        remainingSeconds={idleTimer.remainingSeconds}
+        hasUnsavedWork={hasUnsavedWork}
+        onStay={idleTimer.reset}
+        onLogout={() => logout()}
+      />
+    </AuthContext.Provider>
+  );
 }
 
 // Helper hook to easily use the context in other components
 export function useAuth() {
   return useContext(AuthContext);
-}
\ No newline at end of file
+}
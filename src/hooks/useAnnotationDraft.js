@@ -0,0 +1,127 @@
+import { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import { getDraftKey, loadDraft, saveDraft, deleteDraft, getLabelFingerprint } from '../utils/draftStore';
+
+const AUTOSAVE_DELAY_MS = 1000;
+// Drafts older than this are assumed to be abandoned and are not offered again.
+const MAX_DRAFT_AGE_MS = 14 * 24 * 60 * 60 * 1000;
+
+const getEdits = (data, originalData) => data.reduce((acc, row, index) => {
+  const original = originalData[index];
+  if (original && row.anomaly_class !== original.anomaly_class) {
+    acc.push({ timestamp: row.timestamp, from: original.anomaly_class, to: row.anomaly_class });
+  }
+  return acc;
+}, []);
+
+/**
+ * Keeps a local draft of unsaved anomaly edits (see utils/draftStore) and offers it back
+ * when the session is opened again. Edits are matched to rows by timestamp, like the save request.
+ * @param {object} options
+ * @param {string|number} options.sessionId - The session being labelled.
+ * @param {string|number|null} options.userId - The signed-in user; drafts are never shared between users.
+ * @param {object[]} options.data - The rows being edited (interactiveData).
+ * @param {object[]} options.originalData - The rows as last loaded from or saved to the server.
+ * @param {object[]|null} [options.notes] - The segment notes being edited, if the page has any.
+ * @param {object[]|null} [options.originalNotes] - The notes as last loaded from or saved to the server.
+ * @param {boolean} options.enabled - Whether the user may edit labels at all.
+ * @param {Function} options.onRestore - Called with a Map of originalIndex -> anomaly class to apply and, when the
+ *   draft has note edits, the notes to restore.
+ * @returns {{ pendingDraft: object|null, conflictCount: number, restoreDraft: Function, discardDraft: Function, flushDraft: Function }}
+ */
+export default function useAnnotationDraft({ sessionId, userId, data, originalData, notes = null, originalNotes = null, enabled, onRestore }) {
+  const key = enabled && userId != null && sessionId != null ? getDraftKey(userId, sessionId) : null;
+  const [pendingDraft, setPendingDraft] = useState(null);
+  // Autosave stays off until we know whether there is a draft to recover; otherwise the freshly
+  // loaded (unchanged) rows would overwrite it straight away.
+  const [checkedKey, setCheckedKey] = useState(null);
+  const pendingWriteRef = useRef(null);
+  const hasEditsRef = useRef(false);
+  const hasData = originalData.length > 0;
+  const serverFingerprint = useMemo(() => getLabelFingerprint(originalData), [originalData]);
+  const editedNotes = useMemo(
+    () => (notes && JSON.stringify(notes) !== JSON.stringify(originalNotes) ? notes : null),
+    [notes, originalNotes]
+  );
+
+  useEffect(() => {
+    if (!key || !hasData || checkedKey === key) return undefined;
+    let cancelled = false;
+    loadDraft(key)
+      .then(draft => {
+        if (cancelled) return;
+        if ((draft?.edits?.length || draft?.notes) && Date.now() - draft.savedAt < MAX_DRAFT_AGE_MS) {
+          setPendingDraft({ ...draft, serverChanged: draft.fingerprint !== serverFingerprint });
+        } else if (draft) {
+          deleteDraft(key).catch(() => {});
+        }
+        setCheckedKey(key);
+      })
+      .catch(err => {
+        console.error('Could not read the annotation draft:', err.message);
+        if (!cancelled) setCheckedKey(key);
+      });
+    return () => { cancelled = true; };
+  }, [key, hasData, checkedKey, serverFingerprint]);
+
+  // Write anything still waiting for the debounce when the page goes away (navigation, logout, 401).
+  useEffect(() => () => pendingWriteRef.current?.(), []);
+
+  const isAutosaving = key != null && checkedKey === key && !pendingDraft;
+  useEffect(() => {
+    if (!isAutosaving) {
+      hasEditsRef.current = false;
+      return undefined;
+    }
+    const edits = getEdits(data, originalData);
+    hasEditsRef.current = edits.length > 0 || !!editedNotes;
+    const write = () => {
+      pendingWriteRef.current = null;
+      const request = hasEditsRef.current
+        ? saveDraft(key, { sessionId, userId, savedAt: Date.now(), fingerprint: serverFingerprint, edits, notes: editedNotes })
+        : deleteDraft(key);
+      request.catch(err => console.error('Could not store the annotation draft:', err.message));
+      return request;
+    };
+    pendingWriteRef.current = write;
+    const timer = setTimeout(write, AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isAutosaving, key, data, originalData, editedNotes, serverFingerprint, sessionId, userId]);
+
+  // Edited points whose server label is no longer what it was when the draft was written.
+  const conflictCount = useMemo(() => {
+    if (!pendingDraft) return 0;
+    const serverLabels = new Map(originalData.map(row => [row.timestamp, row.anomaly_class]));
+    return pendingDraft.edits.filter(edit => serverLabels.has(edit.timestamp) && serverLabels.get(edit.timestamp) !== edit.from).length;
+  }, [pendingDraft, originalData]);
+
+  // Applies the draft on top of the current server labels. Points that were also changed on the
+  // server keep the server's label, so a merge never overwrites someone else's saved work.
+  const restoreDraft = () => {
+    const serverRows = new Map(originalData.map(row => [row.timestamp, row]));
+    const labels = new Map();
+    pendingDraft.edits.forEach(edit => {
+      const row = serverRows.get(edit.timestamp);
+      if (row && row.anomaly_class === edit.from) labels.set(row.originalIndex, edit.to);
+    });
+    setPendingDraft(null);
+    onRestore(labels, pendingDraft.notes ?? undefined);
+  };
+
+  // Also used when the edits are saved or thrown away right before leaving the page,
+  // so it cancels any autosave still waiting to be written.
+  const discardDraft = () => {
+    pendingWriteRef.current = null;
+    setPendingDraft(null);
+    if (!key) return;
+    deleteDraft(key).catch(err => console.error('Could not delete the annotation draft:', err.message));
+  };
+
+  // Writes the draft now instead of after the autosave delay, e.g. right before a forced logout.
+  // Resolves to true when the stored draft holds unsaved edits.
+  const flushDraft = useCallback(async () => {
+    await pendingWriteRef.current?.();
+    return hasEditsRef.current;
+  }, []);
+
+  return { pendingDraft, conflictCount, restoreDraft, discardDraft, flushDraft };
+}
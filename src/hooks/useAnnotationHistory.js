@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import { normalizeHistory } from '../utils/annotationHistory';
+
+/**
+ * Loads the change history of a session (anomaly label saves and admin_label changes).
+ * @param {number|string} sessionId - The session.
+ * @returns {{ entries: object[], isLoading: boolean, error: string|null, reload: Function }} The normalised
+ *   entries, newest first (see normalizeHistory); `reload` fetches them again after a save.
+ */
+export default function useAnnotationHistory(sessionId) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (sessionId == null) return undefined;
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+    api.get(`/api/sessions/${sessionId}/history/`, { signal: controller.signal, errorMessage: 'Failed to load the change history.' })
+      .then(data => setEntries(normalizeHistory(data?.results || data)))
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [sessionId, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey(key => key + 1), []);
+
+  return { entries, isLoading, error, reload };
+}
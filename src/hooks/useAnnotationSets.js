@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import { api } from '../utils/api';
+import { normalizeAnnotationSets } from '../utils/agreement';
+
+/**
+ * Loads every annotator's independent annotation set for a session.
+ * @param {number|string} sessionId - The session.
+ * @returns {{ sets: object[], isLoading: boolean, error: string|null, reload: Function }} The normalised sets
+ *   (see normalizeAnnotationSets); `reload` fetches them again, e.g. after saving our own set.
+ */
+export default function useAnnotationSets(sessionId) {
+  const [sets, setSets] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  useEffect(() => {
+    if (sessionId == null) return undefined;
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError(null);
+    api.get(`/api/sessions/${sessionId}/annotation-sets/`, { signal: controller.signal, errorMessage: 'Failed to load annotation sets.' })
+      .then(data => setSets(normalizeAnnotationSets(data?.results || data)))
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, [sessionId, reloadKey]);
+
+  const reload = useCallback(() => setReloadKey(key => key + 1), []);
+
+  return { sets, isLoading, error, reload };
+}
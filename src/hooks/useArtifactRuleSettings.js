@@ -0,0 +1,17 @@
+import { useCallback } from 'react';
+import { RULE_SETTINGS_STORAGE_KEY, loadRuleSettings, saveRuleSettings, getDefaultRuleSettings } from '../utils/artifactRules';
+import useStoredSetting from './useStoredSetting';
+
+/**
+ * The artifact rule settings, kept in sync with localStorage and other tabs.
+ * @returns {{ settings: object, updateRule: Function, resetRules: Function }} `updateRule(id, changes)` merges
+ *   changes into one rule's settings; `resetRules` restores the defaults.
+ */
+export default function useArtifactRuleSettings() {
+  const [settings, update] = useStoredSetting(RULE_SETTINGS_STORAGE_KEY, loadRuleSettings, saveRuleSettings);
+
+  const updateRule = useCallback((id, changes) => update(prev => ({ ...prev, [id]: { ...prev[id], ...changes } })), [update]);
+  const resetRules = useCallback(() => update(() => getDefaultRuleSettings()), [update]);
+
+  return { settings, updateRule, resetRules };
+}
@@ -0,0 +1,70 @@
+import { useState, useRef } from 'react';
+import { hasHeartRate } from '../utils/dataQuality';
+
+// Recharts reports the hovered point as activeTooltipIndex, which may be a number or a numeric string.
+const toIndex = (state) => {
+  const index = Number(state?.activeTooltipIndex);
+  return state?.activeTooltipIndex == null || Number.isNaN(index) ? null : index;
+};
+
+/**
+ * Click and drag-to-select labeling for the heart-rate charts.
+ * A plain drag labels every point with a heart rate in the range, an Alt-drag (Option on a Mac) marks them
+ * normal, and a click without dragging toggles the single point as before.
+ * @param {object[]} chartData - The points shown by the chart, each with an `originalIndex`.
+ * @param {object} options
+ * @param {Function|null} options.onToggle - Called with the originalIndex of a clicked point.
+ * @param {Function|null} options.onRangeLabel - Called with the originalIndexes in a dragged range and whether to erase
+ *   them (back to Normal) rather than label them.
+ *   When it is missing the chart is read-only and no handlers do anything.
+ * @returns {{ selection: { startIndex: number, endIndex: number, erase: boolean }|null, chartHandlers: object }}
+ */
+export default function useChartRangeSelection(chartData, { onToggle, onRangeLabel }) {
+  const dragRef = useRef(null);
+  const [selection, setSelection] = useState(null);
+
+  const cancel = () => {
+    dragRef.current = null;
+    setSelection(null);
+  };
+
+  const onMouseDown = (state, event) => {
+    if (!onRangeLabel || event?.button > 0) return;
+    // Dragging the brush handles must keep zooming, not start a selection.
+    if (event?.target?.closest?.('.recharts-brush')) return;
+    const index = toIndex(state);
+    if (index == null) return;
+    dragRef.current = { startIndex: index, endIndex: index, erase: !!event?.altKey };
+    setSelection(dragRef.current);
+  };
+
+  const onMouseMove = (state) => {
+    const index = toIndex(state);
+    if (!dragRef.current || index == null || index === dragRef.current.endIndex) return;
+    dragRef.current = { ...dragRef.current, endIndex: index };
+    setSelection(dragRef.current);
+  };
+
+  const onMouseUp = () => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    cancel();
+    if (drag.startIndex === drag.endIndex) {
+      const point = chartData[drag.startIndex];
+      if (!hasHeartRate(point)) return;
+      if (drag.erase) onRangeLabel([point.originalIndex], true);
+      else onToggle?.(point.originalIndex);
+      return;
+    }
+    const from = Math.min(drag.startIndex, drag.endIndex);
+    const to = Math.max(drag.startIndex, drag.endIndex);
+    // Like a click, a drag only labels points that have a heart rate.
+    const indexes = chartData.slice(from, to + 1).filter(hasHeartRate).map(d => d.originalIndex);
+    if (indexes.length > 0) onRangeLabel(indexes, drag.erase);
+  };
+
+  return {
+    selection,
+    chartHandlers: { onMouseDown, onMouseMove, onMouseUp, onMouseLeave: cancel },
+  };
+}
@@ -0,0 +1,18 @@
+import { useCallback } from 'react';
+import { ENSEMBLE_STORAGE_KEY, loadEnsembleRecipes, saveEnsembleRecipes } from '../utils/customEnsembles';
+import useStoredSetting from './useStoredSetting';
+
+/**
+ * The saved custom ensemble recipes, kept in sync with localStorage and other tabs.
+ * @returns {{ recipes: object[], saveRecipe: Function, deleteRecipe: Function }} `saveRecipe` adds a recipe or
+ *   replaces the one with the same name; `deleteRecipe` removes a recipe by name.
+ */
+export default function useEnsembleRecipes() {
+  const [recipes, update] = useStoredSetting(ENSEMBLE_STORAGE_KEY, loadEnsembleRecipes, saveEnsembleRecipes);
+
+  const saveRecipe = useCallback((recipe) => update(prev => [...prev.filter(r => r.name !== recipe.name), recipe]
+    .sort((a, b) => a.name.localeCompare(b.name))), [update]);
+  const deleteRecipe = useCallback((name) => update(prev => prev.filter(r => r.name !== name)), [update]);
+
+  return { recipes, saveRecipe, deleteRecipe };
+}
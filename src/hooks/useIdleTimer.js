@@ -0,0 +1,93 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'wheel', 'scroll', 'touchstart'];
+
+// The last activity is shared between tabs through localStorage, so a user who is busy in one tab
+// isn't logged out because another tab sat idle in the background.
+const ACTIVITY_STORAGE_KEY = 'lastActivityAt';
+// Mouse moves fire constantly; the shared time only needs to be roughly current.
+const SHARED_WRITE_INTERVAL_MS = 5000;
+
+const readSharedActivity = () => Number(localStorage.getItem(ACTIVITY_STORAGE_KEY)) || 0;
+
+const writeSharedActivity = (time) => {
+  try {
+    localStorage.setItem(ACTIVITY_STORAGE_KEY, String(time));
+  } catch {
+    // Storage is full or blocked; this tab still goes by its own activity.
+  }
+};
+
+/**
+ * Tracks user activity in every open tab and reports when the user has been idle in all of them for too long.
+ * Once the warning starts, only `reset()` (e.g. a "Stay signed in" button, in any tab) restarts the timer,
+ * so the user has to respond to the warning rather than just move the mouse past it.
+ * @param {object} options
+ * @param {number} options.timeoutMs - Idle time after which `onIdle` is called.
+ * @param {number} options.warningMs - How long before the timeout the warning starts.
+ * @param {boolean} options.enabled - Whether to track activity at all (e.g. only while logged in).
+ * @param {Function} options.onIdle - Called once when the timeout is reached.
+ * @returns {{ isWarning: boolean, remainingSeconds: number, reset: Function }}
+ */
+export default function useIdleTimer({ timeoutMs, warningMs, enabled, onIdle }) {
+  const lastActivityRef = useRef(Date.now());
+  const lastSharedWriteRef = useRef(0);
+  const isWarningRef = useRef(false);
+  const onIdleRef = useRef(onIdle);
+  const [isWarning, setIsWarning] = useState(false);
+  const [remainingSeconds, setRemainingSeconds] = useState(Math.ceil(warningMs / 1000));
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  const reset = useCallback(() => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+    lastSharedWriteRef.current = now;
+    writeSharedActivity(now);
+    isWarningRef.current = false;
+    setIsWarning(false);
+  }, []);
+
+  useEffect(() => {
+    if (!enabled || !timeoutMs) return undefined;
+    reset();
+
+    const handleActivity = () => {
+      if (isWarningRef.current) return;
+      const now = Date.now();
+      lastActivityRef.current = now;
+      if (now - lastSharedWriteRef.current >= SHARED_WRITE_INTERVAL_MS) {
+        lastSharedWriteRef.current = now;
+        writeSharedActivity(now);
+      }
+    };
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+
+    const interval = setInterval(() => {
+      const idleFor = Date.now() - Math.max(lastActivityRef.current, readSharedActivity());
+      if (idleFor >= timeoutMs) {
+        clearInterval(interval);
+        isWarningRef.current = false;
+        setIsWarning(false);
+        onIdleRef.current();
+      } else if (idleFor >= timeoutMs - warningMs) {
+        isWarningRef.current = true;
+        setIsWarning(true);
+        setRemainingSeconds(Math.ceil((timeoutMs - idleFor) / 1000));
+      } else if (isWarningRef.current) {
+        // The user chose to stay signed in from another tab.
+        isWarningRef.current = false;
+        setIsWarning(false);
+      }
+    }, 1000);
+
+    return () => {
+      clearInterval(interval);
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+    };
+  }, [enabled, timeoutMs, warningMs, reset]);
+
+  return { isWarning, remainingSeconds, reset };
+}
@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { NORMAL_CLASS, withPointClass } from '../utils/anomalyClasses';
+
+// Each entry can hold thousands of patches (a dragged range), so the history is capped.
+const MAX_HISTORY = 100;
+
+const isTypingTarget = (element) => (
+  element?.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element?.tagName)
+);
+
+/**
+ * Undo/redo for the manual anomaly labels of a session, and optionally its segment notes.
+ * Every labeling action is stored as a list of patches `{ index, from, to }` (index is the
+ * row's originalIndex), so undoing a reset of a long run doesn't need a copy of every row.
+ * Notes are few and short, so a note edit simply keeps the notes from before and after.
+ * Also binds Ctrl/Cmd+Z to undo and Ctrl/Cmd+Shift+Z or Ctrl+Y to redo.
+ * @param {object[]} data - The rows being edited (interactiveData).
+ * @param {Function} setData - The state setter for those rows.
+ * @param {object} [options]
+ * @param {boolean} [options.enabled=true] - Whether editing (and so the shortcuts) is allowed.
+ * @param {object[]} [options.notes] - The segment notes being edited (see utils/anomalyNotes).
+ * @param {Function} [options.setNotes] - The state setter for those notes.
+ * @returns {{ applyLabels: Function, setLabels: Function, toggleLabel: Function, changeNotes: Function, undo: Function, redo: Function, clear: Function, undoDepth: number, redoDepth: number }}
+ */
+export default function useLabelHistory(data, setData, { enabled = true, notes, setNotes } = {}) {
+  const [stacks, setStacks] = useState({ undo: [], redo: [] });
+
+  const applyStep = useCallback((step, direction) => {
+    if (step.patches.length > 0) {
+      const values = new Map(step.patches.map(p => [p.index, direction === 'undo' ? p.from : p.to]));
+      setData(prev => prev.map(row => (values.has(row.originalIndex) ? withPointClass(row, values.get(row.originalIndex)) : row)));
+    }
+    if (step.notes) setNotes(direction === 'undo' ? step.notes.from : step.notes.to);
+  }, [setData, setNotes]);
+
+  const pushStep = (step) => {
+    applyStep(step, 'redo');
+    setStacks(prev => ({ undo: [...prev.undo, step].slice(-MAX_HISTORY), redo: [] }));
+  };
+
+  /**
+   * Applies a Map of originalIndex -> anomaly class as one undoable step, together with new notes when
+   * they are given (e.g. when a draft is restored).
+   */
+  const applyLabels = (labelsByIndex, nextNotes) => {
+    const patches = data
+      .filter(row => labelsByIndex.has(row.originalIndex) && row.anomaly_class !== labelsByIndex.get(row.originalIndex))
+      .map(row => ({ index: row.originalIndex, from: row.anomaly_class, to: labelsByIndex.get(row.originalIndex) }));
+    const changesNotes = !!setNotes && nextNotes != null && nextNotes !== notes;
+    if (patches.length === 0 && !changesNotes) return;
+    pushStep({ patches, notes: changesNotes ? { from: notes, to: nextNotes } : null });
+  };
+
+  /** Replaces the notes as one undoable step. */
+  const changeNotes = (nextNotes) => applyLabels(new Map(), nextNotes);
+
+  /** Gives the same class to all the given rows as one undoable step. */
+  const setLabels = (originalIndexes, anomalyClass) => applyLabels(new Map(originalIndexes.map(index => [index, anomalyClass])));
+
+  /** Gives a row the class, or sets it back to Normal if it already has that class. */
+  const toggleLabel = (originalIndex, anomalyClass) => {
+    const row = data.find(r => r.originalIndex === originalIndex);
+    if (row) setLabels([originalIndex], row.anomaly_class === anomalyClass ? NORMAL_CLASS : anomalyClass);
+  };
+
+  const undo = useCallback(() => {
+    const step = stacks.undo[stacks.undo.length - 1];
+    if (!step) return;
+    applyStep(step, 'undo');
+    setStacks({ undo: stacks.undo.slice(0, -1), redo: [...stacks.redo, step] });
+  }, [stacks, applyStep]);
+
+  const redo = useCallback(() => {
+    const step = stacks.redo[stacks.redo.length - 1];
+    if (!step) return;
+    applyStep(step, 'redo');
+    setStacks({ undo: [...stacks.undo, step], redo: stacks.redo.slice(0, -1) });
+  }, [stacks, applyStep]);
+
+  const clear = useCallback(() => setStacks({ undo: [], redo: [] }), []);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey || isTypingTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [enabled, undo, redo]);
+
+  return { applyLabels, setLabels, toggleLabel, changeNotes, undo, redo, clear, undoDepth: stacks.undo.length, redoDepth: stacks.redo.length };
+}
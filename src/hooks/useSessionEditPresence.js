@@ -0,0 +1,86 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+const CHANNEL_NAME = 'hr-anomaly-session-presence';
+const HEARTBEAT_MS = 5000;
+// A tab that hasn't been heard from for this long is assumed to be closed (e.g. it crashed).
+const STALE_MS = 3 * HEARTBEAT_MS;
+
+const createTabId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random()}`);
+
+/**
+ * Lets tabs of the same browser know about each other when they open the same session,
+ * so two tabs don't silently save anomaly edits over each other.
+ * Uses a BroadcastChannel, so it does nothing in browsers without one.
+ * @param {number|string} sessionId - The session open in this tab.
+ * @param {boolean} isEditing - Whether this tab currently has unsaved edits.
+ * @returns {{ otherTabCount: number, otherTabIsEditing: boolean, otherTabSavedAt: number|null, announceSave: Function }}
+ */
+export default function useSessionEditPresence(sessionId, isEditing) {
+  const tabIdRef = useRef(null);
+  const channelRef = useRef(null);
+  const isEditingRef = useRef(isEditing);
+  const [otherTabs, setOtherTabs] = useState({});
+  const [otherTabSavedAt, setOtherTabSavedAt] = useState(null);
+
+  if (tabIdRef.current === null) tabIdRef.current = createTabId();
+
+  const post = useCallback((type) => {
+    channelRef.current?.postMessage({ type, sessionId: String(sessionId), tabId: tabIdRef.current, isEditing: isEditingRef.current });
+  }, [sessionId]);
+
+  useEffect(() => {
+    if (typeof BroadcastChannel === 'undefined' || sessionId == null) return undefined;
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channelRef.current = channel;
+
+    channel.onmessage = ({ data }) => {
+      if (!data || data.sessionId !== String(sessionId) || data.tabId === tabIdRef.current) return;
+      if (data.type === 'bye') {
+        setOtherTabs(prev => {
+          const next = { ...prev };
+          delete next[data.tabId];
+          return next;
+        });
+        return;
+      }
+      if (data.type === 'saved') setOtherTabSavedAt(Date.now());
+      // Answer newcomers so they learn about us without waiting for the next heartbeat.
+      if (data.type === 'hello') post('here');
+      setOtherTabs(prev => ({ ...prev, [data.tabId]: { isEditing: !!data.isEditing, lastSeen: Date.now() } }));
+    };
+
+    post('hello');
+    const heartbeat = setInterval(() => {
+      post('here');
+      setOtherTabs(prev => {
+        const now = Date.now();
+        const alive = Object.entries(prev).filter(([, tab]) => now - tab.lastSeen < STALE_MS);
+        return alive.length === Object.keys(prev).length ? prev : Object.fromEntries(alive);
+      });
+    }, HEARTBEAT_MS);
+    const handleUnload = () => post('bye');
+    window.addEventListener('beforeunload', handleUnload);
+
+    return () => {
+      clearInterval(heartbeat);
+      window.removeEventListener('beforeunload', handleUnload);
+      post('bye');
+      channel.close();
+      channelRef.current = null;
+      setOtherTabs({});
+    };
+  }, [sessionId, post]);
+
+  useEffect(() => {
+    isEditingRef.current = isEditing;
+    post('status');
+  }, [isEditing, post]);
+
+  const tabs = Object.values(otherTabs);
+  return {
+    otherTabCount: tabs.length,
+    otherTabIsEditing: tabs.some(tab => tab.isEditing),
+    otherTabSavedAt,
+    announceSave: () => post('saved'),
+  };
+}
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+/**
+ * A setting kept in localStorage and in sync with other tabs.
+ * @param {string} key - The localStorage key the setting is saved under; storage events for other keys are ignored.
+ * @param {Function} load - Reads the setting from storage.
+ * @param {Function} save - Writes the setting to storage.
+ * @returns {[*, Function]} The setting and `update(change)`, which saves `change(latest)` as the new setting.
+ *   Several updates before the next render each see the previous one's result.
+ */
+export default function useStoredSetting(key, load, save) {
+  const [value, setValue] = useState(load);
+  const latestRef = useRef(value);
+
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // A null key means the whole storage was cleared.
+      if (event.key !== key && event.key !== null) return;
+      latestRef.current = load();
+      setValue(latestRef.current);
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, [key, load]);
+
+  const update = useCallback((change) => {
+    latestRef.current = change(latestRef.current);
+    save(latestRef.current);
+    setValue(latestRef.current);
+  }, [save]);
+
+  return [value, update];
+}
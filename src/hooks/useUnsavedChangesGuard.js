@@ -0,0 +1,31 @@
+import { useEffect } from 'react';
+import { useBlocker } from 'react-router-dom';
+
+/**
+ * Stops the user from leaving a page with unsaved edits by accident.
+ * In-app navigation (links, the back button, navigate()) is blocked so the page can show its own
+ * prompt; closing or reloading the tab gets the browser's built-in prompt instead.
+ * Navigations that pass `state: { skipUnsavedGuard: true }` (e.g. logout) are never blocked.
+ * @param {boolean} hasUnsavedChanges - Whether the page currently has unsaved edits.
+ * @returns {object} The react-router blocker; its state is 'blocked' while a navigation is waiting.
+ */
+export default function useUnsavedChangesGuard(hasUnsavedChanges) {
+  const blocker = useBlocker(({ currentLocation, nextLocation }) => (
+    hasUnsavedChanges
+    && !nextLocation.state?.skipUnsavedGuard
+    && currentLocation.pathname !== nextLocation.pathname
+  ));
+
+  useEffect(() => {
+    if (!hasUnsavedChanges) return undefined;
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      // Older browsers only show the prompt when returnValue is set.
+      event.returnValue = '';
+    };
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [hasUnsavedChanges]);
+
+  return blocker;
+}
@@ -0,0 +1,157 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { QueueListIcon, ExclamationTriangleIcon, ArrowTopRightOnSquareIcon } from '@heroicons/react/24/outline';
+import { fetchAllPages, mapSessionDetails } from '../utils/api';
+import { anomalySources } from '../utils/anomalySources';
+import { NORMAL_CLASS, normalizePointClass } from '../utils/anomalyClasses';
+import { summarizeDisagreement } from '../utils/modelDisagreement';
+
+// Only the numbers shown in the queue are kept for each session.
+const summarizeSession = (session) => {
+  const rows = (session.timeseries_data || []).map(row => {
+    const newRow = {};
+    for (const key in row) { newRow[key.toLowerCase()] = row[key]; }
+    return newRow;
+  });
+  return {
+    id: session.id,
+    volunteerName: [session.volunteer_first_name, session.volunteer_last_name].filter(Boolean).join(' ') || `Volunteer ${session.volunteer}`,
+    runDate: rows[0]?.timestamp || session.session_date,
+    labelledPoints: rows.filter(row => normalizePointClass(row) !== NORMAL_CLASS).length,
+    ...summarizeDisagreement(rows, anomalySources),
+  };
+};
+
+export default function AnnotationQueuePage() {
+  const [queue, setQueue] = useState([]);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [failedSessions, setFailedSessions] = useState([]);
+  const [hideLabelled, setHideLabelled] = useState(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+
+    const loadQueue = async () => {
+      const sessions = await fetchAllPages('/api/sessions/?status=completed', { ...options, errorMessage: 'Failed to load sessions.' });
+      const completed = sessions.filter(s => s.status === 'completed');
+      setProgress({ loaded: 0, total: completed.length });
+      return mapSessionDetails(completed, summarizeSession, { ...options, onProgress: loaded => setProgress(prev => ({ ...prev, loaded })) });
+    };
+
+    loadQueue()
+      .then(({ results, failed }) => {
+        setQueue(results);
+        setFailedSessions(failed);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // The sessions the models disagree on most come first: labelling them teaches the models the most.
+  // Ties go to the session the models are more evenly split on.
+  const ranked = useMemo(
+    () => queue
+      .filter(s => !hideLabelled || s.labelledPoints === 0)
+      .sort((a, b) => b.total - a.total || b.splitTotal - a.splitTotal),
+    [queue, hideLabelled]
+  );
+
+  return (
+    <main className="flex-1 bg-slate-50 p-4 sm:p-6 lg:p-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-3xl font-bold text-slate-900 tracking-tight">Annotation Queue</h1>
+        <label className="flex items-center text-sm font-medium text-slate-700">
+          <input type="checkbox" className="h-4 w-4 rounded border-gray-300 text-sky-600 focus:ring-sky-500" checked={hideLabelled} onChange={(e) => setHideLabelled(e.target.checked)} />
+          <span className="ml-2">Hide sessions that already have manual labels</span>
+        </label>
+      </div>
+
+      {failedSessions.length > 0 && (
+        <div className="mt-4 flex items-start gap-2 rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <ExclamationTriangleIcon className="w-5 h-5 shrink-0" />
+          <span title={failedSessions.map(s => s.message).join('\n')}>
+            {failedSessions.length} session{failedSessions.length === 1 ? '' : 's'} could not be loaded and {failedSessions.length === 1 ? 'is' : 'are'} left out of the queue: {failedSessions.map(s => `#${s.id}`).join(', ')}.
+          </span>
+        </div>
+      )}
+
+      {error ? (
+        <div className="mt-6 p-8 text-red-600 flex items-center gap-2"><ExclamationTriangleIcon className="w-6 h-6" /> Error: {error}</div>
+      ) : isLoading ? (
+        <div className="mt-6 rounded-xl border bg-white p-8 shadow-sm text-center">
+          <p className="text-sm text-slate-500">Scoring sessions... {progress.loaded} of {progress.total || '?'}</p>
+          <div className="mt-3 h-2 w-full max-w-md mx-auto rounded-full bg-slate-200 overflow-hidden">
+            <div className="h-full bg-sky-500 transition-all" style={{ width: `${progress.total ? (progress.loaded / progress.total) * 100 : 0}%` }} />
+          </div>
+        </div>
+      ) : ranked.length === 0 ? (
+        <div className="mt-6 rounded-xl border bg-white p-8 shadow-sm text-center text-sm text-slate-500">No sessions to label.</div>
+      ) : (
+        <div className="mt-6 rounded-xl border bg-white p-6 shadow-sm">
+          <div className="flex items-center gap-2">
+            <QueueListIcon className="w-5 h-5 text-sky-500" />
+            <h3 className="text-base font-semibold text-slate-800">Most informative sessions first</h3>
+          </div>
+          <p className="mt-1 text-sm text-slate-500">
+            Sessions are ranked by their total disagreement score: for every point, the number of the {anomalySources.length} models
+            that flag it. The split, shown next to it, counts for every point how many models would have to change their
+            prediction for all of them to agree.
+          </p>
+          <div className="mt-4 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-600">#</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-600">Session</th>
+                  <th className="px-3 py-2 text-left font-semibold text-gray-600">Volunteer</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600">Points</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Model flags summed over all points">Total disagreement</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600">Per point</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Points that some, but not all, models flag">Split points</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Models that would have to change their prediction, summed over all points">Split</th>
+                  <th className="px-3 py-2 text-right font-semibold text-gray-600">Labelled points</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {ranked.map((session, index) => (
+                  <tr key={session.id}>
+                    <td className="px-3 py-2 font-bold text-slate-700">{index + 1}</td>
+                    <td className="px-3 py-2 font-medium text-slate-800">
+                      #{session.id}
+                      {session.runDate && <span className="ml-2 text-xs text-slate-500">{new Date(session.runDate).toLocaleDateString()}</span>}
+                    </td>
+                    <td className="px-3 py-2 text-slate-700">{session.volunteerName}</td>
+                    <td className="px-3 py-2 text-right text-slate-600">{session.points.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right font-semibold text-slate-900">{session.total.toLocaleString()}</td>
+                    <td className="px-3 py-2 text-right text-slate-600">{session.mean.toFixed(3)}</td>
+                    <td className="px-3 py-2 text-right text-slate-700">
+                      {session.contested.toLocaleString()}
+                      <span className="ml-1 text-xs text-slate-400">({session.points ? ((session.contested / session.points) * 100).toFixed(1) : '0.0'}%)</span>
+                    </td>
+                    <td className="px-3 py-2 text-right text-slate-700">{session.splitTotal.toLocaleString()}</td>
+                    <td className={`px-3 py-2 text-right ${session.labelledPoints > 0 ? 'text-emerald-700' : 'text-slate-400'}`}>{session.labelledPoints > 0 ? session.labelledPoints.toLocaleString() : 'None'}</td>
+                    <td className="px-3 py-2 text-right">
+                      <Link to={`/sessions/${session.id}`} className="inline-flex items-center gap-1 rounded-md bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-sky-700">
+                        Label
+                        <ArrowTopRightOnSquareIcon className="w-3.5 h-3.5" />
+                      </Link>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,282 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { TrophyIcon, CloudArrowDownIcon, PhotoIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../context/AuthContext';
+import { fetchAllPages, mapSessionDetails } from '../utils/api';
+import { convertToCSV, downloadCSV, downloadFile } from '../utils/csv';
+import { anomalySources } from '../utils/anomalySources';
+import { BENCHMARK_PROTOCOLS, evaluateSession, aggregateModels, groupSessions, rankModels } from '../utils/benchmark';
+
+const GROUPINGS = [
+  // Volunteers are told apart by id, since two of them can share a name.
+  { value: 'volunteer', label: 'Volunteer', getGroup: s => s.volunteerId, getName: s => s.volunteerName },
+  { value: 'admin_label', label: 'Admin label', getGroup: s => s.adminLabel },
+  { value: 'brand', label: 'Device brand', getGroup: s => s.brand },
+];
+
+const formatScore = (value) => (value != null ? value.toFixed(3) : '–');
+
+const ScoreChart = ({ ranking, chartRef }) => (
+    <div ref={chartRef} className="h-80">
+        <ResponsiveContainer width="100%" height="100%">
+            <BarChart data={ranking.filter(model => model.f1 != null)} margin={{ top: 5, right: 20, left: 0, bottom: 40 }}>
+                <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                <XAxis dataKey="label" tick={{ fontSize: 12 }} angle={-25} textAnchor="end" interval={0} height={60} />
+                <YAxis domain={[0, 1]} tick={{ fontSize: 12 }} />
+                <Tooltip formatter={(value) => formatScore(value)} contentStyle={{ backgroundColor: '#fff', border: '1px solid #e2e8f0', borderRadius: '0.5rem' }} />
+                <Legend verticalAlign="top" />
+                <Bar dataKey="precision" name="Precision" fill="#0ea5e9" radius={[4, 4, 0, 0]} />
+                <Bar dataKey="recall" name="Recall" fill="#f59e0b" radius={[4, 4, 0, 0]} />
+                <Bar dataKey="f1" name="F1" fill="#8b5cf6" radius={[4, 4, 0, 0]} />
+            </BarChart>
+        </ResponsiveContainer>
+    </div>
+);
+
+export default function BenchmarkPage() {
+  const { can } = useAuth();
+  const [evaluated, setEvaluated] = useState([]);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [failedSessions, setFailedSessions] = useState([]);
+  const [protocol, setProtocol] = useState(BENCHMARK_PROTOCOLS.POINTWISE);
+  const [grouping, setGrouping] = useState('volunteer');
+  const [onlyWithAnomalies, setOnlyWithAnomalies] = useState(false);
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const options = { signal: controller.signal };
+
+    const loadBenchmark = async () => {
+      const [sessions, volunteers] = await Promise.all([
+        fetchAllPages('/api/sessions/?status=completed', { ...options, errorMessage: 'Failed to load sessions.' }),
+        fetchAllPages('/api/volunteers/', { ...options, errorMessage: 'Failed to load volunteers.' }),
+      ]);
+      const brandByVolunteer = new Map(volunteers.map(v => [v.id, v.smartwatch]));
+      const completed = sessions.filter(s => s.status === 'completed');
+      setProgress({ loaded: 0, total: completed.length });
+
+      return mapSessionDetails(completed, session => ({
+        id: session.id,
+        volunteerId: session.volunteer,
+        volunteerName: [session.volunteer_first_name, session.volunteer_last_name].filter(Boolean).join(' ') || `Volunteer ${session.volunteer}`,
+        adminLabel: session.admin_label || 'Normal',
+        brand: brandByVolunteer.get(session.volunteer) || 'Unknown',
+        evaluation: evaluateSession(session, anomalySources),
+      }), { ...options, onProgress: loaded => setProgress(prev => ({ ...prev, loaded })) });
+    };
+
+    loadBenchmark()
+      .then(({ results, failed }) => {
+        setEvaluated(results);
+        setFailedSessions(failed);
+      })
+      .catch(err => {
+        if (err.name !== 'AbortError') setError(err.message);
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+    return () => controller.abort();
+  }, []);
+
+  // A session without manual anomalies may simply be normal, and leaving those out hides the models'
+  // false positives, so every session counts unless the user narrows it down.
+  const included = useMemo(
+    () => evaluated.filter(s => !onlyWithAnomalies || s.evaluation.hasAnomalies),
+    [evaluated, onlyWithAnomalies]
+  );
+
+  const ranking = useMemo(() => {
+    const overall = aggregateModels(included, anomalySources, protocol);
+    const perVolunteer = groupSessions(included, s => s.volunteerId, s => s.volunteerName)
+      .map(group => ({ name: group.name, scores: aggregateModels(group.sessions, anomalySources, protocol) }));
+    return rankModels(overall, perVolunteer);
+  }, [included, protocol]);
+
+  const breakdown = useMemo(() => {
+    const { getGroup, getName } = GROUPINGS.find(g => g.value === grouping);
+    return groupSessions(included, getGroup, getName)
+      .map(group => ({ key: group.key, name: group.name, count: group.sessions.length, scores: aggregateModels(group.sessions, anomalySources, protocol) }));
+  }, [included, grouping, protocol]);
+
+  const handleExportCSV = () => {
+    const headers = ['breakdown', 'group', 'sessions', 'model', 'protocol', 'rank', 'tp', 'fp', 'fn', 'tn', 'precision', 'recall', 'f1', 'volunteer_f1_mean', 'volunteer_f1_std'];
+    const toRow = (breakdownName, groupName, sessions, score, extra = {}) => ({
+      breakdown: breakdownName,
+      group: groupName,
+      sessions,
+      model: score.label,
+      protocol,
+      tp: score.tp, fp: score.fp, fn: score.fn, tn: score.tn,
+      precision: score.precision?.toFixed(4),
+      recall: score.recall?.toFixed(4),
+      f1: score.f1?.toFixed(4),
+      ...extra,
+    });
+    const rows = [
+      ...ranking.map(model => toRow('overall', 'All sessions', model.sessions, model, {
+        rank: model.rank,
+        volunteer_f1_mean: model.volunteerMean?.toFixed(4),
+        volunteer_f1_std: model.volunteerStd?.toFixed(4),
+      })),
+      ...GROUPINGS.flatMap(({ value, getGroup, getName }) => groupSessions(included, getGroup, getName).flatMap(group =>
+        aggregateModels(group.sessions, anomalySources, protocol).map(score => toRow(value, group.name, score.sessions, score))
+      )),
+    ];
+    downloadCSV(convertToCSV(rows, headers), `model_benchmark_${protocol}.csv`);
+  };
+
+  // Saves the bar chart as an SVG, which stays sharp when scaled in the write-up.
+  const handleExportChart = () => {
+    const svg = chartRef.current?.querySelector('svg.recharts-surface');
+    if (!svg) return;
+    const clone = svg.cloneNode(true);
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    clone.setAttribute('style', 'background-color: #ffffff; font-family: sans-serif;');
+    downloadFile(new XMLSerializer().serializeToString(clone), 'image/svg+xml;charset=utf-8;', `model_benchmark_${protocol}.svg`);
+  };
+
+  return (
+    <main className="flex-1 bg-slate-50 p-4 sm:p-6 lg:p-8">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <h1 className="text-3xl font-bold text-slate-900 tracking-tight">Model Benchmark</h1>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="inline-flex rounded-md shadow-sm">
+            <button type="button" onClick={() => setProtocol(BENCHMARK_PROTOCOLS.POINTWISE)} className={`rounded-l-md border px-3 py-2 text-sm font-semibold ${protocol === BENCHMARK_PROTOCOLS.POINTWISE ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+              Point-wise
+            </button>
+            <button type="button" onClick={() => setProtocol(BENCHMARK_PROTOCOLS.ADJUSTED)} className={`-ml-px rounded-r-md border px-3 py-2 text-sm font-semibold ${protocol === BENCHMARK_PROTOCOLS.ADJUSTED ? 'bg-purple-600 text-white border-purple-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+              Event-wise (point-adjust)
+            </button>
+          </div>
+          <label className="flex items-center text-sm font-medium text-slate-700">
+            <input type="checkbox" className="h-4 w-4 rounded border-gray-300 text-purple-600 focus:ring-purple-500" checked={onlyWithAnomalies} onChange={(e) => setOnlyWithAnomalies(e.target.checked)} />
+            <span className="ml-2" title="Leaving out sessions without manual anomalies hides false positives on normal sessions">Only sessions with manual anomalies</span>
+          </label>
+          {can('data.export') && (
+            <>
+              <button onClick={handleExportChart} disabled={isLoading || included.length === 0} className="flex items-center gap-1.5 rounded-md border border-slate-300 bg-white px-3 py-2 text-sm font-semibold text-slate-700 hover:bg-slate-50 disabled:opacity-50">
+                <PhotoIcon className="w-4 h-4" />
+                Export Chart
+              </button>
+              <button onClick={handleExportCSV} disabled={isLoading || included.length === 0} className="flex items-center gap-1.5 rounded-md bg-emerald-600 px-3 py-2 text-sm font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:bg-slate-400">
+                <CloudArrowDownIcon className="w-4 h-4" />
+                Export CSV
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+
+      {failedSessions.length > 0 && (
+        <div className="mt-4 flex items-start gap-2 rounded-md border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-800">
+          <ExclamationTriangleIcon className="w-5 h-5 shrink-0" />
+          <span title={failedSessions.map(s => s.message).join('\n')}>
+            {failedSessions.length} session{failedSessions.length === 1 ? '' : 's'} could not be loaded and {failedSessions.length === 1 ? 'is' : 'are'} left out of the benchmark: {failedSessions.map(s => `#${s.id}`).join(', ')}.
+          </span>
+        </div>
+      )}
+
+      {error ? (
+        <div className="mt-6 p-8 text-red-600 flex items-center gap-2"><ExclamationTriangleIcon className="w-6 h-6" /> Error: {error}</div>
+      ) : isLoading ? (
+        <div className="mt-6 rounded-xl border bg-white p-8 shadow-sm text-center">
+          <p className="text-sm text-slate-500">Evaluating sessions... {progress.loaded} of {progress.total || '?'}</p>
+          <div className="mt-3 h-2 w-full max-w-md mx-auto rounded-full bg-slate-200 overflow-hidden">
+            <div className="h-full bg-purple-500 transition-all" style={{ width: `${progress.total ? (progress.loaded / progress.total) * 100 : 0}%` }} />
+          </div>
+        </div>
+      ) : included.length === 0 ? (
+        <div className="mt-6 rounded-xl border bg-white p-8 shadow-sm text-center text-sm text-slate-500">No completed, labelled sessions to benchmark yet.</div>
+      ) : (
+        <>
+          <p className="mt-2 text-sm text-slate-500">{included.length} of {evaluated.length} completed sessions. Scores are micro-averaged over all points of the sessions in each group.</p>
+
+          <div className="mt-6 grid grid-cols-1 gap-6 xl:grid-cols-2">
+            <div className="rounded-xl border bg-white p-6 shadow-sm">
+              <div className="flex items-center gap-2">
+                <TrophyIcon className="w-5 h-5 text-amber-500" />
+                <h3 className="text-base font-semibold text-slate-800">Leaderboard</h3>
+              </div>
+              <div className="mt-4 overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-600">Rank</th>
+                      <th className="px-3 py-2 text-left font-semibold text-gray-600">Model</th>
+                      <th className="px-3 py-2 text-right font-semibold text-gray-600">Precision</th>
+                      <th className="px-3 py-2 text-right font-semibold text-gray-600">Recall</th>
+                      <th className="px-3 py-2 text-right font-semibold text-gray-600">F1</th>
+                      <th className="px-3 py-2 text-right font-semibold text-gray-600" title="Mean and standard deviation of the F1 per volunteer">F1 per volunteer</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {ranking.map(model => (
+                      <tr key={model.key}>
+                        <td className="px-3 py-2 font-bold text-slate-700">{model.rank ?? '–'}</td>
+                        <td className="px-3 py-2 font-medium text-slate-800">{model.label}</td>
+                        <td className="px-3 py-2 text-right text-slate-700">{formatScore(model.precision)}</td>
+                        <td className="px-3 py-2 text-right text-slate-700">{formatScore(model.recall)}</td>
+                        <td className="px-3 py-2 text-right font-semibold text-slate-900">{formatScore(model.f1)}</td>
+                        <td className="px-3 py-2 text-right text-slate-600">
+                          {formatScore(model.volunteerMean)}{model.volunteerStd != null && ` ± ${formatScore(model.volunteerStd)}`}
+                          <span className="ml-1 text-xs text-slate-400">(n={model.volunteerCount})</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            <div className="rounded-xl border bg-white p-6 shadow-sm">
+              <h3 className="text-base font-semibold text-slate-800">Scores by Model</h3>
+              <div className="mt-4">
+                <ScoreChart ranking={ranking} chartRef={chartRef} />
+              </div>
+            </div>
+          </div>
+
+          <div className="mt-6 rounded-xl border bg-white p-6 shadow-sm">
+            <div className="flex flex-wrap items-center justify-between gap-4">
+              <h3 className="text-base font-semibold text-slate-800">F1 Breakdown</h3>
+              <div className="flex items-center gap-2">
+                <label htmlFor="benchmark-grouping" className="text-sm font-medium text-slate-700">By:</label>
+                <select id="benchmark-grouping" value={grouping} onChange={(e) => setGrouping(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+                  {GROUPINGS.map(g => <option key={g.value} value={g.value}>{g.label}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="mt-4 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-600">{GROUPINGS.find(g => g.value === grouping).label}</th>
+                    <th className="px-3 py-2 text-right font-semibold text-gray-600">Sessions</th>
+                    {anomalySources.map(source => <th key={source.key} className="px-3 py-2 text-right font-semibold text-gray-600 whitespace-nowrap">{source.label}</th>)}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {breakdown.map(group => {
+                    const bestF1 = Math.max(...group.scores.map(score => score.f1 ?? -1));
+                    return (
+                      <tr key={group.key}>
+                        <td className="px-3 py-2 font-medium text-slate-800">{group.name}</td>
+                        <td className="px-3 py-2 text-right text-slate-600">{group.count}</td>
+                        {group.scores.map(score => (
+                          <td key={score.key} className={`px-3 py-2 text-right ${score.f1 != null && score.f1 === bestF1 ? 'font-bold text-purple-700' : 'text-slate-700'}`}>{formatScore(score.f1)}</td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </main>
+  );
+}
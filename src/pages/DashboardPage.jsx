@@ -9,8 +9,7 @@ import {
     XCircleIcon, 
     ArrowRightIcon 
 } from '@heroicons/react/24/outline';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+import { fetchAllPages } from '../utils/api';
 
 const KpiCard = ({ title, value, icon: Icon, color, status }) => (
   <Link 
@@ -106,29 +105,13 @@ export default function DashboardPage() {
   const { authToken } = useAuth();
 
   useEffect(() => {
-    // --- THIS FUNCTION IS NOW FIXED ---
     const fetchVolunteers = async () => {
       if (!authToken) return;
       setIsLoading(true);
-      
-      let allData = []; // To store volunteers from all pages
-      let nextUrl = `${API_BASE_URL}/api/volunteers/`; // Start with the first page
 
       try {
-        // Loop while there is a 'next' URL to fetch
-        while (nextUrl) {
-          const response = await fetch(nextUrl, {
-            headers: { 'Authorization': `Token ${authToken}` },
-          });
-          if (!response.ok) throw new Error('Failed to fetch volunteer data.');
-          const data = await response.json();
-
-          // Add the results from this page to our main array
-          allData.push(...(data.results || (Array.isArray(data) ? data : [])));
-          
-          // Get the URL for the next page, or null if this is the last page
-          nextUrl = data.next;
-        }
+        // Follows the paginated 'next' links so we get ALL volunteers
+        const allData = await fetchAllPages('/api/volunteers/', { errorMessage: 'Failed to fetch volunteer data.' });
 
         // Now, allData contains ALL volunteers
         const sortedData = allData.sort((a, b) => new Date(b.registration_date) - new Date(a.registration_date));
@@ -149,8 +132,6 @@ export default function DashboardPage() {
         setIsLoading(false); 
       }
     };
-    // --- END OF FIX ---
-    
     fetchVolunteers();
   }, [authToken]);
 
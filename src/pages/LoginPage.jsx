@@ -1,5 +1,7 @@
 import { useState } from 'react';
+import { useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { getPostLoginPath } from '../utils/auth';
 import { FiUser, FiLock, FiLogIn, FiActivity } from 'react-icons/fi'; // Import FiActivity
 
 // A reusable input component with an icon
@@ -21,6 +23,11 @@ export default function LoginPage() {
   const [error, setError] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const { login } = useAuth();
+  const location = useLocation();
+  // Set when ProtectedRoute sent us here from a deep link (e.g. a shared chart URL).
+  const redirectPath = getPostLoginPath(location.search, null);
+  const logoutReason = location.state?.reason;
+  const draftSaved = location.state?.draftSaved;
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -63,6 +70,25 @@ export default function LoginPage() {
             <p className="mt-2 text-sm text-slate-600">
               Please enter your credentials to continue.
             </p>
+            {logoutReason && (
+              <div className="mt-4 rounded-lg bg-amber-100 p-3">
+                <p className="text-sm font-medium text-amber-800">
+                  {logoutReason === 'idle' ? 'You were logged out after a period of inactivity.' : 'You were logged out in another tab.'}
+                </p>
+              </div>
+            )}
+            {draftSaved && (
+              <div className="mt-4 rounded-lg bg-sky-100 p-3">
+                <p className="text-sm font-medium text-sky-800">
+                  Your unsaved anomaly edits were kept as a draft. You can restore them when you open the session again.
+                </p>
+              </div>
+            )}
+            {redirectPath && (
+              <p className="mt-1 text-xs text-slate-500">
+                You will be returned to <span className="font-mono text-slate-700 break-all">{redirectPath}</span> after signing in.
+              </p>
+            )}
           </div>
 
           <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
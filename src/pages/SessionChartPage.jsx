@@ -1,6 +1,6 @@
 import { useLoaderData, useParams, Link } from 'react-router-dom';
 import { useMemo, useState, useEffect } from 'react';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush, ReferenceLine, Dot } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush, ReferenceLine, ReferenceArea, Dot } from 'recharts';
 import {
     ArrowLeftIcon,
     ChartBarIcon,
@@ -15,9 +15,18 @@ import {
     SparklesIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../context/AuthContext';
-import { getAuthToken } from '../utils/auth';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+import { api } from '../utils/api';
+import useSessionEditPresence from '../hooks/useSessionEditPresence';
+import useChartRangeSelection from '../hooks/useChartRangeSelection';
+import useLabelHistory from '../hooks/useLabelHistory';
+import UndoRedoControls from '../components/UndoRedoControls';
+import useAnnotationDraft from '../hooks/useAnnotationDraft';
+import DraftRecoveryBanner from '../components/DraftRecoveryBanner';
+import useUnsavedChangesGuard from '../hooks/useUnsavedChangesGuard';
+import UnsavedChangesDialog from '../components/UnsavedChangesDialog';
+import LabelClassPicker from '../components/LabelClassPicker';
+import { LABEL_CLASSES, NORMAL_CLASS, getClassInfo, normalizePointClass, findClassSegments } from '../utils/anomalyClasses';
+import SessionPresenceBanner from '../components/SessionPresenceBanner';
 
 // --- UTILITY FUNCTIONS ---
 const formatDuration = (totalSeconds) => {
@@ -33,17 +42,6 @@ const formatDuration = (totalSeconds) => {
   ].filter(Boolean).join(':');
 };
 
-// --- DATA LOADER ---
-export async function loader({ params }) {
-  const { sessionId } = params;
-  const authToken = getAuthToken();
-  const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}/`, {
-    headers: { 'Authorization': `Token ${authToken}` },
-  });
-  if (!response.ok) { throw response; }
-  return response.json();
-}
-
 // --- DESIGN-ENHANCED COMPONENTS ---
 
 const chartableParams = [
@@ -63,8 +61,9 @@ const AnomalyDot = (props) => {
     const { cx, cy, payload, dynamicRadius } = props;
     if (dynamicRadius === 0 || payload.heart_rate == null) return null;
 
-    if (payload.anomaly === 1) { // Anomaly
-        return <Dot cx={cx} cy={cy} r={dynamicRadius + 1} fill="#ef4444" stroke="#b91c1c" strokeWidth={1} />;
+    if (payload.anomaly === 1) { // Anomaly, colored by class
+        const { color, stroke } = getClassInfo(payload.anomaly_class);
+        return <Dot cx={cx} cy={cy} r={dynamicRadius + 1} fill={color} stroke={stroke} strokeWidth={1} />;
     }
     // Normal
     return <Dot cx={cx} cy={cy} r={dynamicRadius} fill="#22c55e" />;
@@ -74,23 +73,8 @@ const AnomalyTimeline = ({ data, onSegmentClick }) => {
     const totalPoints = data.length;
     if (totalPoints === 0) return null;
 
-    const anomalySegments = useMemo(() => {
-        const segments = [];
-        if (data.length === 0) return segments;
-
-        let inSegment = false;
-        for (let i = 0; i < data.length; i++) {
-            if (data[i].anomaly === 1 && !inSegment) {
-                inSegment = true;
-                segments.push({ start: i, end: i });
-            } else if (data[i].anomaly === 1 && inSegment) {
-                segments[segments.length - 1].end = i;
-            } else if (data[i].anomaly !== 1 && inSegment) {
-                inSegment = false;
-            }
-        }
-        return segments;
-    }, [data]);
+    // One segment per run of points with the same class.
+    const anomalySegments = useMemo(() => findClassSegments(data), [data]);
 
     return (
         <div className="relative w-full h-4 bg-slate-200 rounded-full overflow-hidden border border-slate-300">
@@ -100,10 +84,10 @@ const AnomalyTimeline = ({ data, onSegmentClick }) => {
                 return (
                     <div
                         key={index}
-                        className="absolute h-full bg-red-500 cursor-pointer hover:bg-red-400 transition-colors"
-                        style={{ left: `${left}%`, width: `${width}%` }}
+                        className="absolute h-full cursor-pointer hover:opacity-80 transition-opacity"
+                        style={{ left: `${left}%`, width: `${width}%`, backgroundColor: getClassInfo(segment.anomalyClass).color }}
                         onClick={() => onSegmentClick(segment)}
-                        title={`Zoom to anomalies from ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`}
+                        title={`Zoom to ${segment.anomalyClass} from ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`}
                     />
                 );
             })}
@@ -112,7 +96,7 @@ const AnomalyTimeline = ({ data, onSegmentClick }) => {
 };
 
 
-const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, onTimelineZoom, activeDomain, onDomainChange, brushKey, chartHeight, hasUnsavedChanges, isSaving, onSaveChanges, hrDomain, hasHeartRateData }) => {
+const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, onAnomalyRangeLabel, activeLabelClass, onActiveLabelClassChange, onTimelineZoom, activeDomain, onDomainChange, brushKey, chartHeight, hasUnsavedChanges, labelHistory, isSaving, onSaveChanges, hrDomain, hasHeartRateData }) => {
   const [visibleParams, setVisibleParams] = useState(new Set());  
   const chartMargin = { top: 20, right: 40, left: 20, bottom: 60 };
 
@@ -154,14 +138,8 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
     return <AnomalyDot key={key} {...rest} dynamicRadius={dynamicRadius} />;
   };
 
-  const handleChartClick = (e) => {
-    if (!e || e.activeTooltipIndex == null) return;
-    const clickedIndex = e.activeTooltipIndex;
-    const dataPoint = chartData[clickedIndex];
-    if (dataPoint && dataPoint.heart_rate != null) {
-      onAnomalyToggle(dataPoint.originalIndex);
-    }
-  };
+  // Without onAnomalyRangeLabel (read-only users) the chart is view-only.
+  const { selection, chartHandlers } = useChartRangeSelection(chartData, { onToggle: onAnomalyToggle, onRangeLabel: onAnomalyRangeLabel });
 
   const toggleParam = (paramKey) => {
     setVisibleParams(prev => {
@@ -182,10 +160,10 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                 <span>Heart Rate:</span>
                 <span>{`${dataPoint.heart_rate != null ? dataPoint.heart_rate.toFixed(0) : 'N/A'} bpm`}</span>
               </li>
-              {dataPoint.anomaly != null && (
-                <li className={`flex items-center justify-between font-bold ${dataPoint.anomaly === 1 ? 'text-red-600' : 'text-green-600'}`}>
+              {dataPoint.anomaly_class != null && (
+                <li className="flex items-center justify-between gap-4 font-bold" style={{ color: getClassInfo(dataPoint.anomaly_class).stroke }}>
                   <span>Status:</span>
-                  <span>{dataPoint.anomaly === 1 ? 'Anomaly' : 'Normal'}</span>
+                  <span>{dataPoint.anomaly_class}</span>
                 </li>
               )}
               <hr className="my-1 border-slate-200" />
@@ -219,12 +197,15 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                     {hasUnsavedChanges && <p className="text-xs text-amber-600 font-semibold flex items-center gap-1"><ExclamationCircleIcon className="w-3.5 h-3.5" />Unsaved Changes</p>}
                 </div>
             </div>
-            {hasUnsavedChanges && (
-                <button onClick={onSaveChanges} disabled={isSaving} className="flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-700 disabled:bg-slate-400 disabled:cursor-not-allowed transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2">
-                    <CheckCircleIcon className="w-5 h-5" />
-                    {isSaving ? 'Saving...' : 'Save Changes'}
-                </button>
-            )}
+            <div className="flex items-center gap-3">
+                {onAnomalyRangeLabel && <UndoRedoControls history={labelHistory} disabled={isSaving} />}
+                {hasUnsavedChanges && (
+                    <button onClick={onSaveChanges} disabled={isSaving} className="flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-700 disabled:bg-slate-400 disabled:cursor-not-allowed transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2">
+                        <CheckCircleIcon className="w-5 h-5" />
+                        {isSaving ? 'Saving...' : 'Save Changes'}
+                    </button>
+                )}
+            </div>
         </div>
         <div className="mb-6">
             <p className="text-sm font-medium text-slate-600 mb-3">Add parameters to chart:</p>
@@ -244,14 +225,20 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
             <AnomalyTimeline data={chartData} onSegmentClick={onTimelineZoom} />
         </div>
 
-        <div style={{ width: '100%', height: chartHeight }} className="relative">
+        {onAnomalyRangeLabel && (
+            <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                <LabelClassPicker value={activeLabelClass} onChange={onActiveLabelClassChange} />
+                <p className="text-xs text-slate-500">Click a point to give it this class (click again to clear it). Drag across the chart to label a range, or hold Alt while dragging to mark it normal.</p>
+            </div>
+        )}
+        <div style={{ width: '100%', height: chartHeight }} className="relative select-none">
             {!hasHeartRateData && (
                 <div className="absolute inset-0 flex items-center justify-center bg-slate-50/70 z-10 rounded-md">
                     <p className="text-slate-500 font-medium text-lg">Heart Rate data not available.</p>
                 </div>
             )}
             <ResponsiveContainer key={brushKey}>
-                <LineChart data={chartData} margin={chartMargin} onClick={handleChartClick}>
+                <LineChart data={chartData} margin={chartMargin} {...chartHandlers} style={{ cursor: onAnomalyRangeLabel ? 'crosshair' : 'default' }}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
                     <XAxis dataKey="elapsed_time" tickFormatter={formatDuration} label={{ value: "Elapsed Time", position: "insideBottom", offset: -50, dy: 10, fill: '#475569' }} type="number" domain={xAxisDomain} allowDataOverflow tick={{ fill: '#64748b' }} axisLine={{ stroke: '#cbd5e1' }} tickLine={{ stroke: '#cbd5e1' }}/>
                     <YAxis yAxisId="left" stroke="#dc2626" label={{ value: 'Heart Rate (bpm)', angle: -90, position: 'insideLeft', offset: -10, style: {textAnchor: 'middle', fill: '#dc2626'}}} domain={hrDomain} allowDataOverflow tick={{ fill: '#dc2626' }} axisLine={{ stroke: '#fca5a5' }} tickLine={{ stroke: '#fca5a5' }}/>
@@ -269,6 +256,9 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                             <Line key={param.key} yAxisId="right" type="monotone" dataKey={param.key} name={param.label} stroke={param.color} dot={false} strokeWidth={1.5} connectNulls />
                         )
                     )}
+                    {selection && (
+                        <ReferenceArea yAxisId="left" x1={chartData[selection.startIndex]?.elapsed_time} x2={chartData[selection.endIndex]?.elapsed_time} fill={getClassInfo(selection.erase ? NORMAL_CLASS : activeLabelClass).color} fillOpacity={0.15} stroke={getClassInfo(selection.erase ? NORMAL_CLASS : activeLabelClass).stroke} strokeOpacity={0.5} />
+                    )}
                     <Line yAxisId="left" type="monotone" dataKey="heart_rate" name="Heart Rate" stroke="#dc2626" strokeWidth={2.5} dot={renderDynamicDot} activeDot={{ r: 8, strokeWidth: 2, stroke: '#b91c1c' }} connectNulls zIndex={100} />
                     <Brush dataKey="elapsed_time" height={35} stroke="#6366f1" onChange={onDomainChange} tickFormatter={formatDuration} startIndex={activeDomain?.startIndex} endIndex={activeDomain?.endIndex} alwaysShowText={true} y={chartHeight - 45}>
                         <LineChart>
@@ -441,12 +431,11 @@ const ChartControls = ({ activeDomain, onProgrammaticDomainChange, onResetZoom,
 export default function SessionChartPage() {
     const session = useLoaderData();
     const { sessionId } = useParams();
-    const { authToken } = useAuth();
+    const { setHasUnsavedWork, registerDraftSaver, can, user } = useAuth();
 
     const [interactiveData, setInteractiveData] = useState([]);
     const [originalData, setOriginalData] = useState([]);
     const [isSaving, setIsSaving] = useState(false);
-    const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
     const [saveStatus, setSaveStatus] = useState({ state: 'idle', message: '' });
 
     const [activeDomain, setActiveDomain] = useState(null);
@@ -454,6 +443,18 @@ export default function SessionChartPage() {
     const [chartHeight, setChartHeight] = useState(600);
     const [splitSegments, setSplitSegments] = useState([]);
     const [currentSegmentIndex, setCurrentSegmentIndex] = useState(null);
+    // The class that chart clicks and drags give to points.
+    const [activeLabelClass, setActiveLabelClass] = useState(LABEL_CLASSES[0].value);
+
+    // This page edits the gold labels directly, which only users who may adjudicate do.
+    const canEditAnomalies = can('annotations.edit') && can('annotations.adjudicate');
+    const labelHistory = useLabelHistory(interactiveData, setInteractiveData, { enabled: canEditAnomalies });
+    const { clear: clearLabelHistory } = labelHistory;
+    // Unsaved means "differs from what the server has", so undoing back to the saved labels clears it.
+    const hasUnsavedChanges = useMemo(
+        () => interactiveData.some((d, index) => originalData[index] && d.anomaly_class !== originalData[index].anomaly_class),
+        [interactiveData, originalData]
+    );
 
     const normalizedTimeseriesData = useMemo(() => {
         if (!session.timeseries_data) return [];
@@ -461,7 +462,8 @@ export default function SessionChartPage() {
             const newRow = {};
             for (const key in row) { newRow[key.toLowerCase()] = row[key]; }
             newRow.originalIndex = index;
-            newRow.anomaly = Number(row.anomaly) === 1 ? 1 : 0;
+            newRow.anomaly_class = normalizePointClass(newRow);
+            newRow.anomaly = newRow.anomaly_class === NORMAL_CLASS ? 0 : 1;
             return newRow;
         });
     }, [session.timeseries_data]);
@@ -472,10 +474,30 @@ export default function SessionChartPage() {
             setInteractiveData(JSON.parse(JSON.stringify(normalizedTimeseriesData)));
             setOriginalData(JSON.parse(JSON.stringify(normalizedTimeseriesData)));
             setActiveDomain(fullRange);
-            setHasUnsavedChanges(false);
+            clearLabelHistory();
         }
-    }, [normalizedTimeseriesData]);
+    }, [normalizedTimeseriesData, clearLabelHistory]);
     
+    const presence = useSessionEditPresence(session.id, hasUnsavedChanges);
+    // Keeps unsaved edits in the browser so a crash or an expired login doesn't lose them.
+    const draft = useAnnotationDraft({
+        sessionId: session.id,
+        userId: user?.id ?? user?.username ?? null,
+        data: interactiveData,
+        originalData,
+        enabled: canEditAnomalies,
+        onRestore: labelHistory.applyLabels,
+    });
+    const navigationBlocker = useUnsavedChangesGuard(hasUnsavedChanges);
+
+    // Let AuthContext know, so logout (manual or idle) warns before discarding these edits.
+    useEffect(() => {
+        setHasUnsavedWork(hasUnsavedChanges);
+        return () => setHasUnsavedWork(false);
+    }, [hasUnsavedChanges, setHasUnsavedWork]);
+    // A forced logout (idle, another tab) writes the draft right away instead of discarding the edits.
+    useEffect(() => registerDraftSaver(draft.flushDraft), [registerDraftSaver, draft.flushDraft]);
+
     useEffect(() => {
         if (saveStatus.state !== 'idle') {
             const timer = setTimeout(() => setSaveStatus({ state: 'idle', message: '' }), 3000);
@@ -505,21 +527,18 @@ export default function SessionChartPage() {
 
     const handleAnomalyToggle = (index) => {
         if (index == null) return;
-        const newData = [...interactiveData];
-        const record = newData.find(d => d.originalIndex === index);
-        if (record) {
-            record.anomaly = record.anomaly === 1 ? 0 : 1;
-            setInteractiveData(newData);
-            setHasUnsavedChanges(true);
-        }
+        labelHistory.toggleLabel(index, activeLabelClass);
     };
 
+    // Labels every row in a dragged chart range at once, with the active class or back to Normal.
+    const handleAnomalyRangeLabel = (originalIndexes, erase) => labelHistory.setLabels(originalIndexes, erase ? NORMAL_CLASS : activeLabelClass);
+
     const handleSaveChanges = async () => {
         setIsSaving(true);
         setSaveStatus({ state: 'idle', message: '' });
         const updates = interactiveData.reduce((acc, current, index) => {
-            if (originalData[index] && current.anomaly !== originalData[index].anomaly) {
-                acc.push({ timestamp: current.timestamp, anomaly: current.anomaly });
+            if (originalData[index] && current.anomaly_class !== originalData[index].anomaly_class) {
+                acc.push({ timestamp: current.timestamp, anomaly: current.anomaly, anomaly_class: current.anomaly_class });
             }
             return acc;
         }, []);
@@ -527,30 +546,34 @@ export default function SessionChartPage() {
         if (updates.length === 0) {
             setSaveStatus({ state: 'error', message: "No changes detected to save." });
             setIsSaving(false);
-            return;
+            return false;
         }
 
         try {
-            const response = await fetch(`${API_BASE_URL}/api/sessions/${session.id}/update-anomalies/`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json', 'Authorization': `Token ${authToken}` },
-                body: JSON.stringify({ updates }),
-            });
-            if (!response.ok) {
-                const errorData = await response.json();
-                throw new Error(errorData.detail || 'Failed to save changes.');
-            }
+            await api.patch(`/api/sessions/${session.id}/update-anomalies/`, { updates }, { errorMessage: 'Failed to save changes.' });
             setSaveStatus({ state: 'success', message: 'Changes saved successfully!' });
             setOriginalData(JSON.parse(JSON.stringify(interactiveData)));
-            setHasUnsavedChanges(false);
+            presence.announceSave();
+            return true;
         } catch (error) {
             console.error("Save error:", error);
             setSaveStatus({ state: 'error', message: error.message });
+            return false;
         } finally {
             setIsSaving(false);
         }
     };
 
+    // If saving fails the user stays on the page and sees the error.
+    const handleSaveAndLeave = async () => {
+        if (await handleSaveChanges()) {
+            draft.discardDraft();
+            navigationBlocker.proceed();
+        } else {
+            navigationBlocker.reset();
+        }
+    };
+
     const handleDomainChange = (newDomain) => {
         if (newDomain && newDomain.startIndex != null) {
             setActiveDomain(newDomain);
@@ -688,6 +711,7 @@ export default function SessionChartPage() {
 
     return (
         <div className="p-4 sm:p-8 bg-slate-100 min-h-screen font-sans">
+            <UnsavedChangesDialog blocker={navigationBlocker} isSaving={isSaving} onSaveAndLeave={handleSaveAndLeave} onDiscard={draft.discardDraft} />
             <div className={`fixed top-5 right-5 transition-all duration-300 z-50 ${saveStatus.state !== 'idle' ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-5 pointer-events-none'}`}>
                 {saveStatus.state === 'success' && (
                     <div className="flex items-center gap-3 p-3 rounded-lg shadow-lg bg-green-500 text-white">
@@ -714,6 +738,8 @@ export default function SessionChartPage() {
                         <p className="text-sm text-slate-500 mt-1">Session ID: {session.id}</p>
                     </div>
                 </div>
+                <SessionPresenceBanner {...presence} />
+                <DraftRecoveryBanner {...draft} />
             
                 <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
                     {chartData.length > 0 ? (
@@ -723,11 +749,15 @@ export default function SessionChartPage() {
                                 timeseriesData={chartData}
                                 activeDomain={activeDomain}
                                 onDomainChange={handleDomainChange}
-                                onAnomalyToggle={handleAnomalyToggle}
+                                onAnomalyToggle={canEditAnomalies ? handleAnomalyToggle : null}
+                                onAnomalyRangeLabel={canEditAnomalies ? handleAnomalyRangeLabel : null}
+                                activeLabelClass={activeLabelClass}
+                                onActiveLabelClassChange={setActiveLabelClass}
                                 onTimelineZoom={handleTimelineZoom}
                                 brushKey={brushKey}
                                 chartHeight={chartHeight}
                                 hasUnsavedChanges={hasUnsavedChanges}
+                                labelHistory={labelHistory}
                                 isSaving={isSaving}
                                 onSaveChanges={handleSaveChanges}
                                 hrDomain={hrDomain}
@@ -1,7 +1,7 @@
 import { useLoaderData, useParams, Link, useNavigate } from 'react-router-dom';
-import { useMemo, useState, useEffect, useRef, useLayoutEffect } from 'react';
+import { useMemo, useState, useEffect, useRef, useLayoutEffect, useCallback, useDeferredValue } from 'react';
 import { useVirtualizer } from '@tanstack/react-virtual';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush, ReferenceLine, Dot } from 'recharts';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Brush, ReferenceLine, ReferenceArea, Dot } from 'recharts';
 import {
     ArrowLeftIcon,
     CalendarIcon,
@@ -28,11 +28,53 @@ import {
     ScissorsIcon,
     ExclamationTriangleIcon,
     CloudArrowDownIcon,
+    ChatBubbleLeftEllipsisIcon,
+    ScaleIcon,
+    Squares2X2Icon,
+    AdjustmentsHorizontalIcon,
+    WrenchScrewdriverIcon,
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../context/AuthContext';
-import { getAuthToken } from '../utils/auth';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+import { api } from '../utils/api';
+import { convertToCSV, downloadCSV } from '../utils/csv';
+import useSessionEditPresence from '../hooks/useSessionEditPresence';
+import useChartRangeSelection from '../hooks/useChartRangeSelection';
+import useLabelHistory from '../hooks/useLabelHistory';
+import UndoRedoControls from '../components/UndoRedoControls';
+import useAnnotationDraft from '../hooks/useAnnotationDraft';
+import DraftRecoveryBanner from '../components/DraftRecoveryBanner';
+import useUnsavedChangesGuard from '../hooks/useUnsavedChangesGuard';
+import UnsavedChangesDialog from '../components/UnsavedChangesDialog';
+import LabelClassPicker from '../components/LabelClassPicker';
+import { ANOMALY_CLASSES, LABEL_CLASSES, NORMAL_CLASS, ARRHYTHMIC_CLASS, getClassInfo, normalizePointClass, withPointClass, findClassSegments } from '../utils/anomalyClasses';
+import AnomalyNotesPanel from '../components/AnomalyNotesPanel';
+import { normalizeNotes, createNote, getNoteTextsByRow } from '../utils/anomalyNotes';
+import AnnotatorComparisonPanel from '../components/AnnotatorComparisonPanel';
+import useAnnotationSets from '../hooks/useAnnotationSets';
+import AnnotationHistoryPanel from '../components/AnnotationHistoryPanel';
+import ModelEvaluationPanel from '../components/ModelEvaluationPanel';
+import { evaluateModels, findEvents } from '../utils/evaluation';
+import { findVoteRuns, summarizeDisagreement } from '../utils/modelDisagreement';
+import { anomalySources } from '../utils/anomalySources';
+import EnsembleBuilder from '../components/EnsembleBuilder';
+import useEnsembleRecipes from '../hooks/useEnsembleRecipes';
+import { toEnsembleSources, withCustomEnsembles } from '../utils/customEnsembles';
+import ScoreThresholdPanel from '../components/ScoreThresholdPanel';
+import { getScoreKey, findScoredSources, withScoreThresholds } from '../utils/anomalyScores';
+import ArtifactRulesPanel from '../components/ArtifactRulesPanel';
+import useArtifactRuleSettings from '../hooks/useArtifactRuleSettings';
+import { getAgePredictedMaxHr, toArtifactSources, withArtifactRules } from '../utils/artifactRules';
+import DataQualityPanel from '../components/DataQualityPanel';
+import { assessDataQuality, findMissingRanges, hasHeartRate } from '../utils/dataQuality';
+import HeartRateZonesPanel from '../components/HeartRateZonesPanel';
+import { ZONE_MODELS, getZoneBounds, getZone, getIntensity, computeTimeInZones } from '../utils/heartRateZones';
+import HrvPanel from '../components/HrvPanel';
+import { extractRrIntervals, classifyBeats, computeHrvMetrics, computeRollingRmssd } from '../utils/hrv';
+import { getHalves, computeDecoupling, computeHrPerPaceSeries } from '../utils/decoupling';
+import useAnnotationHistory from '../hooks/useAnnotationHistory';
+import { getRevertLabels, getChangedSegments } from '../utils/annotationHistory';
+import { GOLD_ANNOTATOR, getAnnotatorClasses, buildConfusion, computeAgreement, findDisagreementSegments, toAnnotationLabels } from '../utils/agreement';
+import SessionPresenceBanner from '../components/SessionPresenceBanner';
 
 // --- UTILITY FUNCTIONS ---
 const formatDuration = (totalSeconds) => {
@@ -74,6 +116,7 @@ const UNIT_MAP = {
   position_long: 'deg',
   temperature: '°C',
   respiration_rate: 'breaths/min',
+  zone_intensity: '%',
 };
 
 const formatHeader = (header) => {
@@ -101,22 +144,13 @@ const formatTableCell = (header, value) => {
         case 'position_lat':
         case 'position_long':
             return value.toFixed(6);
+        case 'zone_intensity':
+            return value.toFixed(0);
         default:
             return String(value);
     }
 };
 
-// --- DATA LOADER ---
-export async function loader({ params }) {
-  const { sessionId } = params;
-  const authToken = getAuthToken();
-  const response = await fetch(`${API_BASE_URL}/api/sessions/${sessionId}/`, {
-    headers: { 'Authorization': `Token ${authToken}` },
-  });
-  if (!response.ok) { throw response; }
-  return response.json();
-}
-
 // --- UI COMPONENTS ---
 const StatCard = ({ icon, label, value, subValue = null, colorClass = 'text-slate-800' }) => (
   <div className="bg-white p-4 rounded-xl shadow-md flex items-start">
@@ -129,21 +163,17 @@ const StatCard = ({ icon, label, value, subValue = null, colorClass = 'text-slat
   </div>
 );
 
-const EditableAdminLabel = ({ session }) => {
-  const { authToken } = useAuth();
+const EditableAdminLabel = ({ session, readOnly, onSaved }) => {
   const [currentLabel, setCurrentLabel] = useState(session.admin_label || 'Normal');
   const [isSaving, setIsSaving] = useState(false);
   const handleSaveLabel = async () => {
     setIsSaving(true);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/sessions/${session.id}/update-label/`, {
-        method: 'PATCH',
-        headers: { 'Content-Type': 'application/json', 'Authorization': `Token ${authToken}` },
-        body: JSON.stringify({ admin_label: currentLabel }),
+      const updatedSession = await api.patch(`/api/sessions/${session.id}/update-label/`, { admin_label: currentLabel }, {
+        errorMessage: 'Failed to save label. Please try again.',
       });
-      if (!response.ok) { throw new Error('Failed to save label. Please try again.'); }
-      const updatedSession = await response.json();
       session.admin_label = updatedSession.admin_label;
+      onSaved?.();
       alert('Label updated successfully!');
     } catch (error) {
       alert(error.message);
@@ -158,14 +188,12 @@ const EditableAdminLabel = ({ session }) => {
       <div className="flex-grow">
         <p className="text-sm font-medium text-slate-500">Admin Label</p>
         <div className="flex items-end gap-2 mt-1">
-          <select value={currentLabel} onChange={(e) => setCurrentLabel(e.target.value)} className="block w-full rounded-md border-gray-300 shadow-sm text-base focus:ring-sky-500 focus:border-sky-500">
-            <option>Normal</option>
-            <option>Ischemic Anomaly</option>
-            <option>Arrhythmic Anomaly</option>
+          <select value={currentLabel} onChange={(e) => setCurrentLabel(e.target.value)} disabled={readOnly} className="block w-full rounded-md border-gray-300 shadow-sm text-base focus:ring-sky-500 focus:border-sky-500 disabled:bg-slate-50 disabled:text-slate-500">
+            {ANOMALY_CLASSES.map(c => <option key={c.value}>{c.value}</option>)}
           </select>
-          <button onClick={handleSaveLabel} disabled={isSaving || currentLabel === (session.admin_label || 'Normal')} className="rounded-md bg-sky-600 px-3 py-2 text-xs font-semibold text-white shadow-sm hover:bg-sky-700 disabled:bg-slate-400 disabled:cursor-not-allowed">
+          {!readOnly && <button onClick={handleSaveLabel} disabled={isSaving || currentLabel === (session.admin_label || 'Normal')} className="rounded-md bg-sky-600 px-3 py-2 text-xs font-semibold text-white shadow-sm hover:bg-sky-700 disabled:bg-slate-400 disabled:cursor-not-allowed">
             {isSaving ? '...' : 'Save'}
-          </button>
+          </button>}
         </div>
       </div>
     </div>
@@ -244,18 +272,6 @@ const ResetConfirmationModal = ({ isOpen, onClose, onConfirm }) => {
 // A distinct color for ML predictions
 const ML_ANOMALY_COLOR = '#8b5cf6'; // Purple
 
-// List of *only* ML prediction fields for the dropdown
-const anomalySources = [
-  { key: 'ensemble_prediction', label: 'Ensemble Prediction' },
-  { key: 'lof_prediction', label: 'LOF Prediction' },
-  { key: 'iforest_prediction', label: 'Isolation Forest' },
-  { key: 'ocsvm_prediction', label: 'OCSVM Prediction' },
-  { key: 'kmeans_prediction', label: 'K-Means Prediction' },
-  { key: 'lstm_prediction', label: 'LSTM Prediction' },
-  { key: 'usad_prediction', label: 'USAD Prediction' },
-  { key: 'mp_prediction', label: 'MP Prediction' },
-];
-
 const chartableParams = [
   { key: 'speed', label: 'Pace', unit: 'min/km', color: '#3b82f6' },
   { key: 'cadence', label: 'Cadence', unit: 'rpm', color: '#f97316' },
@@ -267,6 +283,8 @@ const chartableParams = [
   { key: 'position_long', label: 'Longitude', unit: 'deg', color: '#d946ef' },
   { key: 'enhanced_speed', label: 'Enhanced Pace', unit: 'min/km', color: '#6366f1' },
   { key: 'enhanced_altitude', label: 'Enhanced Altitude', unit: 'm', color: '#10b981' },
+  { key: 'rolling_rmssd', label: 'RMSSD (30 s)', unit: 'ms', color: '#0d9488' },
+  { key: 'hr_per_pace', label: 'HR per Pace (60 s)', unit: 'beats/km', color: '#be185d' },
 ];
 
 const AnomalyDot = (props) => {
@@ -303,7 +321,7 @@ const AnomalyDot = (props) => {
     let fill, stroke, strokeWidth;
 
     if (showManualAnomalies) {
-        fill = manualAnomaly ? "#ef4444" : "#22c55e"; // Red for anomaly, Green for normal
+        fill = getClassInfo(payload.anomaly_class).color; // Colored by class; green for normal
     } else {
         fill = "#9ca3af"; // Default gray if manual labels are hidden
     }
@@ -313,7 +331,7 @@ const AnomalyDot = (props) => {
         // Use a slightly smaller stroke when zoomed out so it doesn't look too cluttered
         strokeWidth = radius === 3 ? 2 : 3; 
     } else {
-        stroke = showManualAnomalies && manualAnomaly ? "#b91c1c" : fill;
+        stroke = showManualAnomalies && manualAnomaly ? getClassInfo(payload.anomaly_class).stroke : fill;
         strokeWidth = 1;
     }
 
@@ -321,25 +339,14 @@ const AnomalyDot = (props) => {
     return <Dot cx={cx} cy={cy} r={radius} fill={fill} stroke={stroke} strokeWidth={strokeWidth} />;
 };
 
-const AnomalyTimeline = ({ data, onSegmentClick, selectedAnomalyKey, showManualAnomalies, showMlAnomalies }) => {
+const AnomalyTimeline = ({ data, onSegmentClick, selectedAnomalyKey, mlColor = ML_ANOMALY_COLOR, showManualAnomalies, showMlAnomalies, previewSegments = [] }) => {
     const totalPoints = data.length;
     if (totalPoints === 0) return null;
 
-    // 1. Calculate Manual Anomaly Segments
+    // 1. Calculate Manual Anomaly Segments (one per run of the same class)
     const manualSegments = useMemo(() => {
         if (!showManualAnomalies) return []; // Hide if toggled off
-        const segments = [];
-        let inSegment = false;
-        for (let i = 0; i < data.length; i++) {
-            if (data[i].anomaly === 1 && !inSegment) {
-                inSegment = true; segments.push({ start: i, end: i });
-            } else if (data[i].anomaly === 1 && inSegment) {
-                segments[segments.length - 1].end = i;
-            } else if (data[i].anomaly !== 1 && inSegment) {
-                inSegment = false;
-            }
-        }
-        return segments;
+        return findClassSegments(data);
     }, [data, showManualAnomalies]);
 
     // 2. Calculate ML Anomaly Segments
@@ -370,7 +377,7 @@ const AnomalyTimeline = ({ data, onSegmentClick, selectedAnomalyKey, showManualA
                     const left = (segment.start / totalPoints) * 100;
                     const width = ((segment.end - segment.start + 1) / totalPoints) * 100;
                     return (
-                        <div key={`manual-${index}`} className="absolute h-full bg-red-500 cursor-pointer hover:bg-red-400 transition-colors" style={{ left: `${left}%`, width: `${width}%` }} onClick={() => onSegmentClick(segment)} title={`Manual Anomaly: ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`} />
+                        <div key={`manual-${index}`} className="absolute h-full cursor-pointer hover:opacity-80 transition-opacity" style={{ left: `${left}%`, width: `${width}%`, backgroundColor: getClassInfo(segment.anomalyClass).color }} onClick={() => onSegmentClick(segment)} title={`${segment.anomalyClass}: ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`} />
                     );
                 })}
             </div>
@@ -381,24 +388,170 @@ const AnomalyTimeline = ({ data, onSegmentClick, selectedAnomalyKey, showManualA
                     const left = (segment.start / totalPoints) * 100;
                     const width = ((segment.end - segment.start + 1) / totalPoints) * 100;
                     return (
-                        <div key={`ml-${index}`} className="absolute h-full cursor-pointer" style={{ left: `${left}%`, width: `${width}%`, backgroundColor: ML_ANOMALY_COLOR, opacity: 0.8 }} onClick={() => onSegmentClick(segment)} title={`ML Anomaly: ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`} />
+                        <div key={`ml-${index}`} className="absolute h-full cursor-pointer" style={{ left: `${left}%`, width: `${width}%`, backgroundColor: mlColor, opacity: 0.8 }} onClick={() => onSegmentClick(segment)} title={`ML Anomaly: ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`} />
                     );
                 })}
             </div>
+
+            {/* Overlay: the points changed by the history entry being previewed, in the class they were given */}
+            {previewSegments.map((segment, index) => {
+                const left = (segment.start / totalPoints) * 100;
+                const width = ((segment.end - segment.start + 1) / totalPoints) * 100;
+                return (
+                    <div key={`preview-${index}`} className="absolute inset-y-0 border-2 border-sky-600 rounded-sm pointer-events-none" style={{ left: `${left}%`, width: `max(${width}%, 3px)`, backgroundColor: `${getClassInfo(segment.anomalyClass).color}80` }} />
+                );
+            })}
         </div>
     );
 };
 
-const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, onTimelineZoom, activeDomain, onBrushChange, brushKey, chartHeight, hasUnsavedChanges, isSaving, onSaveChanges, hrDomain, hasHeartRateData }) => {
+const SOURCE_KIND_TITLES = {
+    ensemble: 'Custom ensemble',
+    rule: 'Client-side artifact rule',
+};
+
+// One thin track per overlaid model, plus a summary track of where they all flag a point (solid)
+// or only some of them do (hatched). Clicking a segment zooms to it like the main timeline.
+const SOME_MODELS_PATTERN = 'repeating-linear-gradient(135deg, #1e293b 0 2px, transparent 2px 5px)';
+
+const ModelTimelineTracks = ({ data, sources, onSegmentClick }) => {
+    const tracks = useMemo(() => sources.map(source => ({
+        ...source,
+        segments: findEvents(data.map(row => row[source.key] === 1)),
+        flagged: data.filter(row => row[source.key] === 1).length,
+    })), [data, sources]);
+
+    const agreement = useMemo(() => {
+        const votes = data.map(row => sources.filter(source => row[source.key] === 1).length);
+        return {
+            all: findEvents(votes.map(count => count === sources.length)),
+            some: findEvents(votes.map(count => count > 0 && count < sources.length)),
+        };
+    }, [data, sources]);
+
+    const totalPoints = data.length;
+    if (totalPoints === 0 || sources.length < 2) return null;
+
+    const renderSegments = (segments, background, label) => segments.map((segment, index) => (
+        <div key={index} className="absolute h-full cursor-pointer hover:opacity-80" style={{ left: `${(segment.start / totalPoints) * 100}%`, width: `max(${((segment.end - segment.start + 1) / totalPoints) * 100}%, 1px)`, background }} onClick={() => onSegmentClick(segment)} title={`${label}: ${formatDuration(data[segment.start].elapsed_time)} to ${formatDuration(data[segment.end].elapsed_time)}`} />
+    ));
+
+    return (
+        <div className="mt-2 space-y-1">
+            {tracks.map(track => (
+                <div key={track.key} className="flex items-center gap-2">
+                    <span className="w-40 shrink-0 truncate text-xs font-medium" style={{ color: track.color }} title={track.label}>{track.label}</span>
+                    <div className="relative h-2.5 flex-1 bg-slate-100 rounded overflow-hidden border border-slate-200">
+                        {renderSegments(track.segments, track.color, track.label)}
+                    </div>
+                    <span className="w-12 shrink-0 text-right text-xs text-slate-500" title="Share of points flagged">{((track.flagged / totalPoints) * 100).toFixed(1)}%</span>
+                </div>
+            ))}
+            <div className="flex items-center gap-2 pt-1">
+                <span className="w-40 shrink-0 text-xs font-semibold text-slate-600">Agreement</span>
+                <div className="relative h-2.5 flex-1 bg-slate-100 rounded overflow-hidden border border-slate-200">
+                    {renderSegments(agreement.some, SOME_MODELS_PATTERN, 'Some models')}
+                    {renderSegments(agreement.all, '#1e293b', 'All models')}
+                </div>
+                <span className="w-12 shrink-0" />
+            </div>
+            <p className="text-xs text-slate-500 pl-42">Solid: every overlaid model flags the point. Hatched: the models disagree.</p>
+        </div>
+    );
+};
+
+// Heat strip of the disagreement score of each point, i.e. how many of the ML models flag it, over the
+// whole session. The deeper the red, the more models flag the point; the zoomed-in part of the chart is outlined.
+const DisagreementStrip = ({ data, sources, activeDomain, onSegmentClick }) => {
+    const runs = useMemo(() => findVoteRuns(data, sources), [data, sources]);
+    const summary = useMemo(() => summarizeDisagreement(data, sources), [data, sources]);
+
+    const totalPoints = data.length;
+    if (totalPoints === 0) return null;
+
+    const heatColor = (votes) => {
+        const share = sources.length ? votes / sources.length : 0;
+        return `hsl(${Math.round(45 - 45 * share)}, 90%, ${Math.round(65 - 25 * share)}%)`;
+    };
+    const hasDomain = activeDomain && activeDomain.startIndex != null;
+
+    return (
+        <div className="mt-3">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+                <p className="text-xs font-semibold text-slate-500 uppercase tracking-wider">Model Disagreement</p>
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                    <span>{summary.flagged.toLocaleString()} of {summary.points.toLocaleString()} points flagged by a model, {summary.contested.toLocaleString()} split the models</span>
+                    <span className="flex items-center gap-1">
+                        1
+                        <span className="inline-block h-2.5 w-16 rounded-sm" style={{ background: `linear-gradient(to right, ${heatColor(1)}, ${heatColor(sources.length)})` }} />
+                        {sources.length} models
+                    </span>
+                </div>
+            </div>
+            <div className="relative w-full h-4 bg-slate-100 rounded overflow-hidden border border-slate-200">
+                {runs.map(run => (
+                    <div key={run.start} className="absolute h-full cursor-pointer" style={{ left: `${(run.start / totalPoints) * 100}%`, width: `max(${((run.end - run.start + 1) / totalPoints) * 100}%, 1px)`, backgroundColor: heatColor(run.votes) }} onClick={() => onSegmentClick(run)} title={`${run.votes} of ${run.voters} models: ${formatDuration(data[run.start].elapsed_time)} to ${formatDuration(data[run.end].elapsed_time)}`} />
+                ))}
+                {hasDomain && (
+                    <div className="absolute inset-y-0 border-2 border-indigo-500 rounded-sm pointer-events-none" style={{ left: `${(activeDomain.startIndex / totalPoints) * 100}%`, width: `${((activeDomain.endIndex - activeDomain.startIndex + 1) / totalPoints) * 100}%` }} />
+                )}
+            </div>
+        </div>
+    );
+};
+
+const COPY_SCOPES = [
+  { value: 'session', label: 'Whole session' },
+  { value: 'domain', label: 'Current zoom' },
+  { value: 'segment', label: 'Current split segment' },
+];
+
+// Copies the selected model's predictions into the manual labels, for a chosen part of the session.
+const CopyPredictionsControl = ({ sourceLabel, activeLabelClass, hasSplitSegment, onCopy, disabled }) => {
+    const [scope, setScope] = useState('session');
+    const [mode, setMode] = useState('union');
+    const selectedScope = scope === 'segment' && !hasSplitSegment ? 'session' : scope;
+    return (
+        <div className="flex flex-wrap items-center gap-2 rounded-lg border border-purple-200 bg-purple-50/60 px-3 py-2">
+            <span className="text-sm font-medium text-slate-700">Copy {sourceLabel} into labels as <span style={{ color: getClassInfo(activeLabelClass).stroke }}>{activeLabelClass}</span>:</span>
+            <select value={selectedScope} onChange={(e) => setScope(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-xs focus:ring-sky-500 focus:border-sky-500">
+                {COPY_SCOPES.map(option => (
+                    <option key={option.value} value={option.value} disabled={option.value === 'segment' && !hasSplitSegment}>{option.label}</option>
+                ))}
+            </select>
+            <select value={mode} onChange={(e) => setMode(e.target.value)} className="rounded-md border-gray-300 shadow-sm text-xs focus:ring-sky-500 focus:border-sky-500" title="Union keeps the existing labels and adds the predicted points; replace makes the labels match the predictions">
+                <option value="union">Union with my labels</option>
+                <option value="replace">Replace my labels</option>
+            </select>
+            <button type="button" onClick={() => onCopy({ scope: selectedScope, mode })} disabled={disabled} className="rounded-md bg-purple-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-purple-700 disabled:bg-slate-400">
+                Copy predictions
+            </button>
+        </div>
+    );
+};
+
+const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, onAnomalyRangeLabel, activeLabelClass, onActiveLabelClassChange, onNoteRange, noteMarkers = [], disagreementRanges = [], historyPreviewSegments = [], gapRanges = [], zoneBands = [], ectopicBeatTimes = [], predictionSources = anomalySources, scoredSources = [], scoreThresholds = {}, onCopyPredictions, hasSplitSegment, onTimelineZoom, activeDomain, onBrushChange, brushKey, chartHeight, hasUnsavedChanges, labelHistory, isSaving, onSaveChanges, hrDomain, hasHeartRateData }) => {
     const [visibleParams, setVisibleParams] = useState(new Set());
 
-    // Default to the first ML prediction in the list
-    const [selectedAnomalyKey, setSelectedAnomalyKey] = useState(anomalySources[0]?.key || 'ensemble_prediction');
+    // The ML predictions overlaid on the chart, in the order they were picked. The first one is shown on
+    // the main timeline and is the one copied into labels. Deleted custom ensembles drop out of the list.
+    const [preferredAnomalyKeys, setSelectedAnomalyKeys] = useState([anomalySources[0]?.key || 'ensemble_prediction']);
+    const selectedSources = useMemo(() => preferredAnomalyKeys
+        .map(key => predictionSources.find(source => source.key === key))
+        .filter(Boolean), [preferredAnomalyKeys, predictionSources]);
+    const selectedSource = selectedSources[0];
+
+    const toggleAnomalySource = (key) => {
+        setSelectedAnomalyKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+    };
 
     // State for showing manual labels, defaults to true
     const [showManualAnomalies, setShowManualAnomalies] = useState(true);
     // State for showing ML predictions, defaults to true
     const [showMlAnomalies, setShowMlAnomalies] = useState(true);
+    // The raw scores of the overlaid models that have them, on their own axis
+    const [showScores, setShowScores] = useState(false);
+    const visibleScoreSources = showScores ? scoredSources.filter(source => selectedSources.some(s => s.key === source.key)) : [];
 
     const chartMargin = { top: 20, right: 40, left: 20, bottom: 60 };
     const [isMounted, setIsMounted] = useState(false);
@@ -444,12 +597,12 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
         // 1. Always check for valid data first
         if (payload.heart_rate == null) return null;
 
-        // 2. Determine anomaly status
-        const mlAnomaly = payload[selectedAnomalyKey] === 1;
+        // 2. Determine anomaly status: the overlaid models that flag this point
+        const flaggedSources = showMlAnomalies ? selectedSources.filter(source => payload[source.key] === 1) : [];
         const manualAnomaly = payload.anomaly === 1;
 
         // 3. Determine if this dot represents an anomaly we *currently* display
-        const isMlVisible = mlAnomaly && showMlAnomalies;
+        const isMlVisible = flaggedSources.length > 0;
         const isManualVisible = manualAnomaly && showManualAnomalies;
         const isAnomalousAndVisible = isMlVisible || isManualVisible;
 
@@ -472,34 +625,43 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
         let fill, stroke, strokeWidth;
 
         if (showManualAnomalies) {
-            fill = manualAnomaly ? "#ef4444" : "#22c55e"; // Red for anomaly, Green for normal
+            fill = getClassInfo(payload.anomaly_class).color; // Colored by class; green for normal
         } else {
             fill = "#9ca3af"; // Default gray if manual labels are hidden
         }
 
         if (isMlVisible) {
-            stroke = ML_ANOMALY_COLOR;
+            stroke = flaggedSources[0].color;
             // Use a slightly smaller stroke when zoomed out
             strokeWidth = radius === 3 ? 2 : 3;
         } else {
-            stroke = showManualAnomalies && manualAnomaly ? "#b91c1c" : fill;
+            stroke = showManualAnomalies && manualAnomaly ? getClassInfo(payload.anomaly_class).stroke : fill;
             strokeWidth = 1;
         }
 
-        // 6. Render the dot
-        return <Dot key={key} cx={cx} cy={cy} r={radius} fill={fill} stroke={stroke} strokeWidth={strokeWidth} />;
+        // 6. Render the dot, with an extra ring for every further model that flags it
+        if (flaggedSources.length < 2) {
+            return <Dot key={key} cx={cx} cy={cy} r={radius} fill={fill} stroke={stroke} strokeWidth={strokeWidth} />;
+        }
+        return (
+            <g key={key}>
+                <Dot cx={cx} cy={cy} r={radius} fill={fill} stroke={stroke} strokeWidth={strokeWidth} />
+                {flaggedSources.slice(1).map((source, index) => (
+                    <circle key={source.key} cx={cx} cy={cy} r={radius + strokeWidth * (index + 1)} fill="none" stroke={source.color} strokeWidth={strokeWidth} />
+                ))}
+            </g>
+        );
     };
 
-    // This handler is *only* for toggling the manual 'anomaly' field, which is correct.
-    const handleChartClick = (e) => {
-        if (!e || e.activeTooltipIndex == null) return;
+    // In note mode, clicks and drags pick the range for a new note instead of labeling.
+    const [isNoteMode, setIsNoteMode] = useState(false);
 
-        const clickedIndex = e.activeTooltipIndex;
-        const dataPoint = chartData[clickedIndex];
-        if (dataPoint && dataPoint.heart_rate != null) {
-            onAnomalyToggle(dataPoint.originalIndex);
-        }
-    };
+    // Otherwise clicking and dragging only ever change the manual 'anomaly' field.
+    // Without onAnomalyRangeLabel (read-only users) the chart is view-only.
+    const { selection, chartHandlers } = useChartRangeSelection(chartData, isNoteMode && onNoteRange
+        ? { onToggle: index => onNoteRange([index]), onRangeLabel: indexes => onNoteRange(indexes) }
+        : { onToggle: onAnomalyToggle, onRangeLabel: onAnomalyRangeLabel });
+    const selectionClass = getClassInfo(selection?.erase ? NORMAL_CLASS : activeLabelClass);
 
     const toggleParam = (paramKey) => {
         setVisibleParams(prev => {
@@ -513,12 +675,11 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
         if (active && payload && payload.length) {
             const dataPoint = payload[0].payload;
 
-            // 1. Get ML Anomaly Status
-            const mlAnomalyStatus = dataPoint[selectedAnomalyKey];
-            const mlAnomalySource = anomalySources.find(s => s.key === selectedAnomalyKey)?.label || 'ML Status';
+            // 1. Get the status of every overlaid ML model that has a prediction here
+            const mlStatuses = selectedSources.filter(source => dataPoint[source.key] != null);
 
-            // 2. Get Manual Anomaly Status
-            const manualAnomalyStatus = dataPoint.anomaly;
+            // 2. Get Manual Anomaly Class
+            const manualClass = getClassInfo(dataPoint.anomaly_class);
 
             return (
                 <div className="p-4 bg-white/80 backdrop-blur-md border border-slate-300 rounded-lg shadow-xl text-sm">
@@ -530,18 +691,21 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                         </li>
 
                         {/* Show Manual Status */}
-                        <li className={`flex items-center justify-between font-bold ${manualAnomalyStatus === 1 ? 'text-red-600' : 'text-green-600'}`}>
+                        <li className="flex items-center justify-between gap-4 font-bold" style={{ color: manualClass.stroke }}>
                             <span>Manual Label:</span>
-                            <span>{manualAnomalyStatus === 1 ? 'Anomaly' : 'Normal'}</span>
+                            <span>{manualClass.value}</span>
                         </li>
 
                         {/* Show ML Status */}
-                        {mlAnomalyStatus != null && (
-                            <li className={`flex items-center justify-between font-bold`} style={{ color: mlAnomalyStatus === 1 ? ML_ANOMALY_COLOR : '#16a34a' }}>
-                                <span>{mlAnomalySource}:</span>
-                                <span>{mlAnomalyStatus === 1 ? 'Anomaly' : 'Normal'}</span>
+                        {mlStatuses.map(source => (
+                            <li key={source.key} className="flex items-center justify-between gap-4 font-bold" style={{ color: dataPoint[source.key] === 1 ? source.color : '#16a34a' }}>
+                                <span>{source.label}:</span>
+                                <span>
+                                    {dataPoint[source.key] === 1 ? 'Anomaly' : 'Normal'}
+                                    {dataPoint[getScoreKey(source.key)] != null && <span className="ml-1 font-normal text-slate-500">({Number(dataPoint[getScoreKey(source.key)]).toFixed(3)})</span>}
+                                </span>
                             </li>
-                        )}
+                        ))}
 
                         <hr className="my-1 border-slate-200" />
                         {chartableParams.map(param => {
@@ -583,12 +747,15 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                         {hasUnsavedChanges && <p className="text-xs text-amber-600 font-semibold flex items-center gap-1"><ExclamationCircleIcon className="w-3.5 h-3.5" />Unsaved Changes</p>}
                     </div>
                 </div>
-                {hasUnsavedChanges && (
-                    <button onClick={onSaveChanges} disabled={isSaving} className="flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-700 disabled:bg-slate-400 disabled:cursor-not-allowed transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2">
-                        <CheckCircleIcon className="w-5 h-5" />
-                        {isSaving ? 'Saving...' : 'Save Changes'}
-                    </button>
-                )}
+                <div className="flex items-center gap-3">
+                    {onAnomalyRangeLabel && <UndoRedoControls history={labelHistory} disabled={isSaving} />}
+                    {hasUnsavedChanges && (
+                        <button onClick={onSaveChanges} disabled={isSaving} className="flex items-center gap-2 rounded-md bg-indigo-600 px-4 py-2 text-sm font-semibold text-white shadow-sm hover:bg-indigo-700 disabled:bg-slate-400 disabled:cursor-not-allowed transition-colors focus:outline-none focus-visible:ring-2 focus-visible:ring-indigo-500 focus-visible:ring-offset-2">
+                            <CheckCircleIcon className="w-5 h-5" />
+                            {isSaving ? 'Saving...' : 'Save Changes'}
+                        </button>
+                    )}
+                </div>
             </div>
 
             <div className="mb-6">
@@ -629,49 +796,111 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                             <span className="ml-2">Show ML Predictions</span>
                         </label>
 
-                        {/* This is now just for ML Predictions */}
-                        <div className="flex items-center gap-2">
-                            <label htmlFor="anomaly-source" className="text-sm font-medium text-slate-700">ML Prediction:</label>
-                            <select
-                                id="anomaly-source"
-                                value={selectedAnomalyKey}
-                                onChange={(e) => setSelectedAnomalyKey(e.target.value)}
-                                className="block w-full max-w-xs rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500"
-                            >
-                                {anomalySources.map(source => (
-                                    <option key={source.key} value={source.key}>{source.label}</option>
-                                ))}
-                            </select>
-                        </div>
+                        {scoredSources.length > 0 && (
+                            <label className="flex items-center text-sm font-medium text-slate-700" title="Plots the continuous score of every overlaid model that has one">
+                                <input
+                                    type="checkbox"
+                                    className="h-4 w-4 rounded border-gray-300 text-purple-600 focus:ring-purple-500"
+                                    checked={showScores}
+                                    onChange={(e) => setShowScores(e.target.checked)}
+                                />
+                                <span className="ml-2">Show Scores</span>
+                            </label>
+                        )}
+
                     </div>
                 </div>
 
+                {/* ML Predictions: any number can be overlaid, each in its own color */}
+                <div className="flex flex-wrap items-center gap-2 mb-3">
+                    <span className="text-sm font-medium text-slate-700">ML Predictions:</span>
+                    {predictionSources.map((source, index) => {
+                        const isSelected = selectedSources.includes(source);
+                        const startsGroup = index > 0 && source.kind !== predictionSources[index - 1].kind;
+                        return (
+                            <button
+                                key={source.key}
+                                type="button"
+                                onClick={() => toggleAnomalySource(source.key)}
+                                className={`px-2.5 py-1 text-xs font-semibold rounded-full border transition-colors ${isSelected ? 'text-white border-transparent' : 'text-slate-700 bg-white hover:bg-slate-50'} ${startsGroup ? 'ml-3' : ''}`}
+                                style={isSelected ? { backgroundColor: source.color } : { borderColor: source.color }}
+                                title={SOURCE_KIND_TITLES[source.kind]}
+                            >
+                                {source.label}
+                            </button>
+                        );
+                    })}
+                </div>
+
                 <AnomalyTimeline
                     data={chartData}
                     onSegmentClick={onTimelineZoom}
-                    selectedAnomalyKey={selectedAnomalyKey}
+                    selectedAnomalyKey={selectedSource?.key}
+                    mlColor={selectedSource?.color}
                     showManualAnomalies={showManualAnomalies}
                     showMlAnomalies={showMlAnomalies}
+                    previewSegments={historyPreviewSegments}
                 />
+                {showMlAnomalies && (
+                    <ModelTimelineTracks data={chartData} sources={selectedSources} onSegmentClick={onTimelineZoom} />
+                )}
+                {onCopyPredictions && selectedSource && (
+                    <div className="mt-3">
+                        <CopyPredictionsControl
+                            sourceLabel={selectedSource.label}
+                            activeLabelClass={activeLabelClass}
+                            hasSplitSegment={hasSplitSegment}
+                            onCopy={({ scope, mode }) => onCopyPredictions({ key: selectedSource.key, scope, mode })}
+                            disabled={isSaving}
+                        />
+                    </div>
+                )}
+                {historyPreviewSegments.length > 0 && (
+                    <p className="mt-1 text-xs text-sky-700">Outlined: points changed by the history entry being previewed.</p>
+                )}
             </div>
 
-            <div style={{ width: '100%', height: chartHeight }} className="relative">
+            {onAnomalyRangeLabel && (
+                <div className="mb-2 flex flex-wrap items-center justify-between gap-2">
+                    <div className="flex flex-wrap items-center gap-3">
+                        {!isNoteMode && <LabelClassPicker value={activeLabelClass} onChange={onActiveLabelClassChange} />}
+                        {onNoteRange && (
+                            <button type="button" onClick={() => setIsNoteMode(mode => !mode)} className={`flex items-center gap-1.5 rounded-full border px-3 py-1 text-xs font-semibold transition-colors ${isNoteMode ? 'bg-amber-500 text-white border-transparent' : 'text-slate-700 bg-white border-slate-300 hover:bg-slate-50'}`}>
+                                <ChatBubbleLeftEllipsisIcon className="w-4 h-4" />
+                                {isNoteMode ? 'Note mode on' : 'Note mode'}
+                            </button>
+                        )}
+                    </div>
+                    <p className="text-xs text-slate-500">
+                        {isNoteMode
+                            ? 'Drag across the chart to choose the range for a new note, then write it in the Notes panel.'
+                            : 'Click a point to give it this class (click again to clear it). Drag across the chart to label a range, or hold Alt while dragging to mark it normal.'}
+                    </p>
+                </div>
+            )}
+            <div style={{ width: '100%', height: chartHeight }} className="relative select-none">
                 {!hasHeartRateData && (<div className="absolute inset-0 flex items-center justify-center bg-slate-50/70 z-10 rounded-md"><p className="text-slate-500 font-medium text-lg">Heart Rate data not available.</p></div>)}
                 <ResponsiveContainer key={brushKey}>
                     <LineChart
                         data={chartData}
                         margin={chartMargin}
-                        onClick={handleChartClick}
-                        style={{ cursor: 'pointer' }}
+                        {...chartHandlers}
+                        style={{ cursor: onAnomalyRangeLabel ? 'crosshair' : 'default' }}
                     >
                         <CartesianGrid strokeDasharray="3 3" stroke={isMounted ? "#e2e8f0" : "transparent"} />
                         <XAxis dataKey="elapsed_time" tickFormatter={formatDuration} label={{ value: "Elapsed Time", position: "insideBottom", offset: -50, dy: 10, fill: '#475569' }} type="number" domain={xAxisDomain} allowDataOverflow tick={{ fill: '#64748b' }} axisLine={{ stroke: '#cbd5e1' }} tickLine={{ stroke: '#cbd5e1' }} />
                         <YAxis yAxisId="left" stroke="#dc2626" label={{ value: 'Heart Rate (bpm)', angle: -90, position: 'insideLeft', offset: -10, style: { textAnchor: 'middle', fill: '#dc2626' } }} domain={hrDomain} allowDataOverflow tick={{ fill: '#dc2626' }} axisLine={{ stroke: '#fca5a5' }} tickLine={{ stroke: '#fca5a5' }} />
                         {visibleParams.size > 0 && <YAxis yAxisId="right" orientation="right" stroke="#6366f1" tick={{ fill: '#6366f1' }} axisLine={{ stroke: '#a5b4fc' }} tickLine={{ stroke: '#a5b4fc' }} />}
+                        {visibleScoreSources.length > 0 && <YAxis yAxisId="score" orientation="right" stroke="#64748b" label={{ value: 'Score', angle: 90, position: 'insideRight', fill: '#64748b' }} tick={{ fill: '#64748b' }} axisLine={{ stroke: '#cbd5e1' }} tickLine={{ stroke: '#cbd5e1' }} />}
 
                         <Tooltip content={<CustomTooltip />} cursor={{ stroke: '#6366f1', strokeWidth: 1, strokeDasharray: '3 3' }} />
                         <Legend verticalAlign="top" wrapperStyle={{ paddingBottom: '20px', paddingTop: '5px' }} />
 
+                        {/* Heart-rate zones, behind everything else */}
+                        {zoneBands.map(zone => (
+                            <ReferenceArea key={`zone-${zone.id}`} yAxisId="left" y1={zone.lower} y2={zone.upper} fill={zone.color} fillOpacity={0.12} ifOverflow="hidden" label={{ value: zone.label, position: 'insideLeft', fill: '#64748b', fontSize: 10 }} />
+                        ))}
+
                         {hasHeartRateData && (
                             <>
                                 <ReferenceLine yAxisId="left" y={session.avg_heart_rate} label={{ value: `Avg: ${session.avg_heart_rate}`, position: 'right', fill: '#f59e0b' }} stroke="#f59e0b" strokeDasharray="4 4" />
@@ -681,6 +910,40 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
 
                         {chartableParams.map(param => visibleParams.has(param.key) && (<Line key={param.key} yAxisId="right" type="monotone" dataKey={param.key} name={param.label} stroke={param.color} dot={false} strokeWidth={1.5} connectNulls />))}
 
+                        {/* Model scores, with the threshold line of every thresholded model */}
+                        {visibleScoreSources.map(source => (
+                            <Line key={source.key} yAxisId="score" type="monotone" dataKey={getScoreKey(source.key)} name={`${source.label} score`} stroke={source.color} strokeDasharray="4 2" dot={false} strokeWidth={1.5} connectNulls isAnimationActive={false} />
+                        ))}
+                        {visibleScoreSources.filter(source => scoreThresholds[source.key] != null).map(source => (
+                            <ReferenceLine key={`threshold-${source.key}`} yAxisId="score" y={scoreThresholds[source.key]} stroke={source.color} strokeDasharray="6 3" label={{ value: 'Threshold', position: 'insideTopRight', fill: source.color, fontSize: 11 }} />
+                        ))}
+
+                        {selection && (
+                            <ReferenceArea yAxisId="left" x1={chartData[selection.startIndex]?.elapsed_time} x2={chartData[selection.endIndex]?.elapsed_time} fill={isNoteMode ? '#f59e0b' : selectionClass.color} fillOpacity={0.15} stroke={isNoteMode ? '#b45309' : selectionClass.stroke} strokeOpacity={0.5} />
+                        )}
+
+                        {/* Sampling gaps and runs without a heart rate: no data was recorded here */}
+                        {gapRanges.map(range => (
+                            <ReferenceArea key={`gap-${range.key}`} yAxisId="left" x1={range.x1} x2={range.x2} fill="#94a3b8" fillOpacity={0.25} stroke="#64748b" strokeOpacity={0.4} strokeDasharray="2 4" label={{ value: 'No data', position: 'insideTop', fill: '#475569', fontSize: 11 }} />
+                        ))}
+
+                        {/* Ectopic beats found in the RR intervals */}
+                        {ectopicBeatTimes.map((time, index) => (
+                            <ReferenceLine key={`ectopic-${index}`} yAxisId="left" x={time} stroke={getClassInfo(ARRHYTHMIC_CLASS).color} strokeOpacity={0.6} strokeDasharray="1 3" />
+                        ))}
+
+                        {/* Where the two compared annotators disagree */}
+                        {disagreementRanges.map(range => (range.x1 === range.x2
+                            ? <ReferenceLine key={range.key} yAxisId="left" x={range.x1} stroke="#ef4444" strokeOpacity={0.6} strokeDasharray="3 3" />
+                            : <ReferenceArea key={range.key} yAxisId="left" x1={range.x1} x2={range.x2} fill="#ef4444" fillOpacity={0.12} stroke="#ef4444" strokeOpacity={0.4} strokeDasharray="3 3" />
+                        ))}
+
+                        {/* Note markers: a shaded band per note, or a line for a note on a single point */}
+                        {noteMarkers.map(marker => (marker.x1 === marker.x2
+                            ? <ReferenceLine key={marker.id} yAxisId="left" x={marker.x1} stroke="#f59e0b" strokeDasharray="2 2" label={{ value: `Note ${marker.number}`, position: 'insideTopLeft', fill: '#b45309', fontSize: 11 }} />
+                            : <ReferenceArea key={marker.id} yAxisId="left" x1={marker.x1} x2={marker.x2} fill="#fde68a" fillOpacity={0.3} stroke="#f59e0b" strokeOpacity={0.6} label={{ value: `Note ${marker.number}`, position: 'insideTopLeft', fill: '#b45309', fontSize: 11 }} />
+                        ))}
+
                         {/* This <Line> component now calls the new renderDynamicDot function */}
                         <Line yAxisId="left" type="monotone" dataKey="heart_rate" name="Heart Rate" stroke="#dc2626" strokeWidth={2.5} dot={renderDynamicDot} activeDot={{ r: 8 }} connectNulls zIndex={100} />
 
@@ -690,6 +953,7 @@ const HeartRateChart = ({ session, timeseriesData: chartData, onAnomalyToggle, o
                     </LineChart>
                 </ResponsiveContainer>
             </div>
+            <DisagreementStrip data={chartData} sources={anomalySources} activeDomain={activeDomain} onSegmentClick={onTimelineZoom} />
         </div>
     );
 };
@@ -802,16 +1066,51 @@ const ChartControls = ({ activeDomain, onProgrammaticDomainChange, onResetZoom,
     );
 };
 
+// The session rows with an annotator's own labels instead of the gold ones; points they didn't label are Normal.
+const withAnnotationSetLabels = (rows, annotationSet) => rows.map(row => withPointClass(row, annotationSet?.labels.get(row.timestamp) || NORMAL_CLASS));
+
 // --- MAIN PAGE COMPONENT ---
 export default function SessionDetailPage() {
   const session = useLoaderData();
   const navigate = useNavigate();
-  const { authToken } = useAuth();
+  const { setHasUnsavedWork, registerDraftSaver, can, user } = useAuth();
+  const canEditAnomalies = can('annotations.edit');
+  // Annotators label independently into their own annotation set; the gold labels are the adjudicated ones,
+  // so only users who may adjudicate edit them. Everyone else labels their own set straight away.
+  const canEditGold = canEditAnomalies && can('annotations.adjudicate');
+  const labelsOwnSetOnly = canEditAnomalies && !canEditGold;
+  const [isEditingOwnSet, setIsEditingOwnSet] = useState(false);
+  const canEditLabels = isEditingOwnSet ? canEditAnomalies : canEditGold;
+  const annotationSets = useAnnotationSets(session.id);
+  const [isComparing, setIsComparing] = useState(false);
+  const [comparedAnnotators, setComparedAnnotators] = useState(null);
+  const changeHistory = useAnnotationHistory(session.id);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  const [historyPreviewId, setHistoryPreviewId] = useState(null);
+  const [isEvaluationOpen, setIsEvaluationOpen] = useState(false);
+  const [isEnsembleBuilderOpen, setIsEnsembleBuilderOpen] = useState(false);
+  const ensembleRecipes = useEnsembleRecipes();
+  const [isArtifactRulesOpen, setIsArtifactRulesOpen] = useState(false);
+  const artifactRules = useArtifactRuleSettings();
+  // The age-predicted maximum heart rate rule needs the volunteer's date of birth.
+  const [volunteerDateOfBirth, setVolunteerDateOfBirth] = useState(null);
+  // Without a max HR entered here, the zones use the age-predicted max, or the session's highest reading.
+  const [zoneSettings, setZoneSettings] = useState({ model: ZONE_MODELS.PERCENT_MAX, customMaxHeartRate: null, restingHeartRate: 60 });
+  const [showZonesOnChart, setShowZonesOnChart] = useState(false);
+  const [showEctopicBeats, setShowEctopicBeats] = useState(false);
+  // The two split segments compared for cardiac drift; null compares the first and second half.
+  const [driftSegments, setDriftSegments] = useState(null);
+  const [isThresholdOpen, setIsThresholdOpen] = useState(false);
+  // Score threshold per model; models without one keep the backend's own 0/1 predictions.
+  const [scoreThresholds, setScoreThresholds] = useState({});
+  // Remounts EditableAdminLabel when the label is restored from the history panel.
+  const [adminLabelKey, setAdminLabelKey] = useState(0);
   
   const [interactiveData, setInteractiveData] = useState([]);
   const [originalData, setOriginalData] = useState([]);
+  // The gold labels as last loaded from or saved to the server, to go back to from the own set.
+  const [goldData, setGoldData] = useState([]);
   const [isSaving, setIsSaving] = useState(false);
-  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
   const [saveStatus, setSaveStatus] = useState({ state: 'idle', message: '' });
   
   const [activeDomain, setActiveDomain] = useState(null);
@@ -823,7 +1122,9 @@ export default function SessionDetailPage() {
   const dropdownRef = useRef(null);
   const parentRef = useRef(null);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
-  const [visibleColumns, setVisibleColumns] = useState(['timestamp', 'anomaly', 'heart_rate', 'speed', 'distance']);
+  const [visibleColumns, setVisibleColumns] = useState(['timestamp', 'anomaly', 'anomaly_class', 'heart_rate', 'speed', 'distance']);
+  // The class that chart clicks, drags and the table buttons give to points.
+  const [activeLabelClass, setActiveLabelClass] = useState(LABEL_CLASSES[0].value);
   const timestampHeaderRef = useRef(null);
   const [timestampColWidth, setTimestampColWidth] = useState(0);
   const [showOnlyAnomalies, setShowOnlyAnomalies] = useState(false);
@@ -836,29 +1137,103 @@ export default function SessionDetailPage() {
   const [isResetModalOpen, setIsResetModalOpen] = useState(false);
   const [isExporting, setIsExporting] = useState(false);
 
+  // Notes on anomaly segments are saved together with the labels.
+  const sessionNotes = useMemo(() => normalizeNotes(session.anomaly_notes), [session.anomaly_notes]);
+  const [notes, setNotes] = useState(sessionNotes);
+  const [originalNotes, setOriginalNotes] = useState(sessionNotes);
+  // The range picked on the chart in note mode, waiting for its note text.
+  const [pendingNoteRange, setPendingNoteRange] = useState(null);
+
+  // Every toggle, range edit, reset and note edit goes through the history so it can be undone.
+  const labelHistory = useLabelHistory(interactiveData, setInteractiveData, { enabled: canEditLabels, notes, setNotes });
+  const { clear: clearLabelHistory } = labelHistory;
+  // Unsaved means "differs from what the server has", so undoing back to the saved labels clears it.
+  const hasLabelChanges = useMemo(
+    () => interactiveData.some((record, index) => originalData[index] && record.anomaly_class !== originalData[index].anomaly_class),
+    [interactiveData, originalData]
+  );
+
+  const hasNoteChanges = useMemo(() => JSON.stringify(notes) !== JSON.stringify(originalNotes), [notes, originalNotes]);
+  const hasUnsavedChanges = hasLabelChanges || hasNoteChanges;
+
+  useEffect(() => {
+    setNotes(sessionNotes);
+    setOriginalNotes(sessionNotes);
+    setPendingNoteRange(null);
+  }, [sessionNotes]);
+
+  useEffect(() => {
+    if (!session.volunteer) return;
+    const controller = new AbortController();
+    setVolunteerDateOfBirth(null);
+    api.get(`/api/volunteers/${session.volunteer}/`, { signal: controller.signal })
+      .then(volunteer => setVolunteerDateOfBirth(volunteer?.date_of_birth || null))
+      // Without the date of birth only the age rule is unavailable, so the error isn't shown.
+      .catch(err => { if (err.name !== 'AbortError') console.error(err); });
+    return () => controller.abort();
+  }, [session.volunteer]);
+
   const normalizedTimeseriesData = useMemo(() => {
     if (!session.timeseries_data) return [];
     return session.timeseries_data.map((row, index) => {
         const newRow = {};
         for (const key in row) { newRow[key.toLowerCase()] = row[key]; }
         newRow.originalIndex = index;
-        newRow.anomaly = Number(row.anomaly) === 1 ? 1 : 0;
+        newRow.anomaly_class = normalizePointClass(newRow);
+        newRow.anomaly = newRow.anomaly_class === NORMAL_CLASS ? 0 : 1;
         return newRow;
     });
   }, [session.timeseries_data]);
 
   useEffect(() => {
+    setIsEditingOwnSet(false);
     if (normalizedTimeseriesData && normalizedTimeseriesData.length > 0) {
         const fullRange = { startIndex: 0, endIndex: normalizedTimeseriesData.length - 1 };
         setInteractiveData(JSON.parse(JSON.stringify(normalizedTimeseriesData)));
         setOriginalData(JSON.parse(JSON.stringify(normalizedTimeseriesData)));
+        setGoldData(normalizedTimeseriesData);
         setActiveDomain(fullRange);
-        setHasUnsavedChanges(false);
+        clearLabelHistory();
         setIsLoading(false); 
     } else {
         setIsLoading(false);
     }
-  }, [normalizedTimeseriesData]);
+  }, [normalizedTimeseriesData, clearLabelHistory]);
+
+  // Opens the annotator's own set once the sets have loaded (once per session, so saving doesn't reset the editor).
+  const ownSetOpenedForRef = useRef(null);
+  useEffect(() => {
+    if (!labelsOwnSetOnly || annotationSets.isLoading || annotationSets.error || normalizedTimeseriesData.length === 0) return;
+    if (ownSetOpenedForRef.current === normalizedTimeseriesData) return;
+    ownSetOpenedForRef.current = normalizedTimeseriesData;
+    const rows = withAnnotationSetLabels(normalizedTimeseriesData, annotationSets.sets.find(set => set.annotator === user?.username));
+    setInteractiveData(JSON.parse(JSON.stringify(rows)));
+    setOriginalData(JSON.parse(JSON.stringify(rows)));
+    clearLabelHistory();
+    setIsEditingOwnSet(true);
+  }, [labelsOwnSetOnly, annotationSets.isLoading, annotationSets.error, annotationSets.sets, user?.username, normalizedTimeseriesData, clearLabelHistory]);
+
+  const presence = useSessionEditPresence(session.id, hasUnsavedChanges);
+  // Keeps unsaved edits in the browser so a crash or an expired login doesn't lose them.
+  const draft = useAnnotationDraft({
+    sessionId: isEditingOwnSet ? `${session.id}:own` : session.id,
+    userId: user?.id ?? user?.username ?? null,
+    data: interactiveData,
+    originalData,
+    notes: isEditingOwnSet ? null : notes,
+    originalNotes,
+    enabled: canEditLabels,
+    onRestore: labelHistory.applyLabels,
+  });
+  const navigationBlocker = useUnsavedChangesGuard(hasUnsavedChanges);
+
+  // Let AuthContext know, so logout (manual or idle) warns before discarding these edits.
+  useEffect(() => {
+    setHasUnsavedWork(hasUnsavedChanges);
+    return () => setHasUnsavedWork(false);
+  }, [hasUnsavedChanges, setHasUnsavedWork]);
+  // A forced logout (idle, another tab) writes the draft right away instead of discarding the edits.
+  useEffect(() => registerDraftSaver(draft.flushDraft), [registerDraftSaver, draft.flushDraft]);
 
   useEffect(() => {
     if (saveStatus.state !== 'idle') {
@@ -867,43 +1242,209 @@ export default function SessionDetailPage() {
     }
   }, [saveStatus]);
 
+  // Everything below that doesn't depend on the labels is worked out from the session's own rows,
+  // so a label edit only has to copy the new classes into chartData.
   const { hrDomain, hasHeartRateData } = useMemo(() => {
-    if (!interactiveData || interactiveData.length === 0) {
+    if (normalizedTimeseriesData.length === 0) {
         return { hrDomain: ['auto', 'auto'], hasHeartRateData: false };
     }
-    const heartRates = interactiveData.map(d => d.heart_rate).filter(hr => hr != null);
+    const heartRates = normalizedTimeseriesData.map(d => d.heart_rate).filter(hr => hr != null);
     if (heartRates.length === 0) return { hrDomain: [60, 180], hasHeartRateData: false };
     const minHr = Math.min(...heartRates);
     const maxHr = Math.max(...heartRates);
     return { hrDomain: [Math.floor(minHr - 5), Math.ceil(maxHr + 10)], hasHeartRateData: true };
-  }, [interactiveData]);
+  }, [normalizedTimeseriesData]);
 
-  const chartData = useMemo(() => {
-    if (!interactiveData || interactiveData.length === 0) return [];
-    const startTime = new Date(interactiveData[0].timestamp).getTime();
-    return interactiveData.map(d => ({
+  // HRV from the beat-to-beat RR intervals, when the device recorded them.
+  const hrv = useMemo(() => {
+    const beats = extractRrIntervals(session, normalizedTimeseriesData);
+    if (beats.length === 0) return null;
+    const flags = classifyBeats(beats);
+    const startTime = Date.parse(normalizedTimeseriesData[0].timestamp);
+    const times = normalizedTimeseriesData.map(row => (Date.parse(row.timestamp) - startTime) / 1000);
+    return {
+      metrics: computeHrvMetrics(beats, flags),
+      rollingRmssd: computeRollingRmssd(beats, flags, times),
+      ectopicTimes: beats.filter((_, index) => flags[index] === 'ectopic').map(beat => beat.time),
+    };
+  }, [session, normalizedTimeseriesData]);
+
+  const hrPerPace = useMemo(() => computeHrPerPaceSeries(normalizedTimeseriesData), [normalizedTimeseriesData]);
+
+  const maxHeartRate = useMemo(
+    () => (normalizedTimeseriesData.length ? getAgePredictedMaxHr(volunteerDateOfBirth, normalizedTimeseriesData[0].timestamp) : null),
+    [volunteerDateOfBirth, normalizedTimeseriesData]
+  );
+
+  // The session's rows with the derived columns the chart plots.
+  const timelineRows = useMemo(() => {
+    if (normalizedTimeseriesData.length === 0) return [];
+    const startTime = new Date(normalizedTimeseriesData[0].timestamp).getTime();
+    return normalizedTimeseriesData.map(d => ({
         ...d,
         elapsed_time: (new Date(d.timestamp).getTime() - startTime) / 1000,
+        ...(hrv && { rolling_rmssd: hrv.rollingRmssd[d.originalIndex] }),
+        hr_per_pace: hrPerPace[d.originalIndex],
     }));
-  }, [interactiveData]);
+  }, [normalizedTimeseriesData, hrv, hrPerPace]);
+
+  // The threshold sliders and rule inputs update their own panel straight away; the prediction
+  // columns follow once React has time, so dragging a slider stays smooth on long sessions.
+  const deferredScoreThresholds = useDeferredValue(scoreThresholds);
+  const deferredArtifactSettings = useDeferredValue(artifactRules.settings);
+
+  const predictionRows = useMemo(() => {
+    // Thresholds go first, so custom ensembles vote with the thresholded predictions.
+    const predicted = withCustomEnsembles(withScoreThresholds(timelineRows, deferredScoreThresholds), ensembleRecipes.recipes);
+    return withArtifactRules(predicted, deferredArtifactSettings, { maxHeartRate });
+  }, [timelineRows, deferredScoreThresholds, ensembleRecipes.recipes, deferredArtifactSettings, maxHeartRate]);
+
+  // The prediction rows with the labels being edited.
+  const chartData = useMemo(() => {
+    if (interactiveData.length !== predictionRows.length) return [];
+    return interactiveData.map(d => withPointClass(predictionRows[d.originalIndex], d.anomaly_class));
+  }, [interactiveData, predictionRows]);
+
+  // The backend's model columns plus the user's custom k-of-n ensembles and the artifact rules.
+  const predictionSources = useMemo(() => [
+    ...anomalySources,
+    ...toEnsembleSources(ensembleRecipes.recipes),
+    ...toArtifactSources(deferredArtifactSettings, { maxHeartRate }),
+  ], [ensembleRecipes.recipes, deferredArtifactSettings, maxHeartRate]);
+
+  const dataQuality = useMemo(() => assessDataQuality(normalizedTimeseriesData), [normalizedTimeseriesData]);
+
+  // Pa:HR decoupling between the chosen split segments, or between the halves when none are chosen
+  // (or the split they came from has been cleared).
+  const drift = useMemo(() => {
+    const useSegments = driftSegments && splitSegments[driftSegments[0]] && splitSegments[driftSegments[1]];
+    const [first, second] = useSegments ? driftSegments.map(index => splitSegments[index]) : getHalves(timelineRows);
+    const result = first && second ? computeDecoupling(timelineRows, first, second) : null;
+    if (!result) return null;
+    return {
+      ...result,
+      labels: useSegments ? driftSegments.map(index => `Segment ${index + 1}`) : ['1st half', '2nd half'],
+    };
+  }, [timelineRows, driftSegments, splitSegments]);
+  // Sampling gaps and runs without a heart rate, shaded on the chart so missing data isn't labelled as an anomaly.
+  const gapRanges = useMemo(() => findMissingRanges(timelineRows, dataQuality.gaps).map(range => ({
+    key: range.startIndex,
+    x1: timelineRows[range.startIndex]?.elapsed_time,
+    x2: timelineRows[range.endIndex]?.elapsed_time,
+  })), [dataQuality.gaps, timelineRows]);
+  const interactiveTimestamps = useMemo(() => normalizedTimeseriesData.map(row => row.timestamp), [normalizedTimeseriesData]);
+
+  const zoneMaxHeartRateSource = zoneSettings.customMaxHeartRate ? 'custom' : maxHeartRate ? 'age' : 'observed';
+  const effectiveZoneSettings = useMemo(() => ({
+    ...zoneSettings,
+    maxHeartRate: zoneSettings.customMaxHeartRate || maxHeartRate || session.max_heart_rate,
+  }), [zoneSettings, maxHeartRate, session.max_heart_rate]);
+  const hrZones = useMemo(() => getZoneBounds(effectiveZoneSettings), [effectiveZoneSettings]);
+  const timeInZones = useMemo(() => computeTimeInZones(normalizedTimeseriesData, hrZones, dataQuality.gaps), [normalizedTimeseriesData, hrZones, dataQuality.gaps]);
+  // Zone columns of the raw data table, worked out as each row is rendered.
+  const zoneCellValues = useMemo(() => (hrZones.length ? {
+    zone: row => (row.heart_rate == null ? null : getZone(row.heart_rate, hrZones)?.label ?? 'Below Zone 1'),
+    zone_intensity: row => getIntensity(row.heart_rate, effectiveZoneSettings),
+  } : {}), [hrZones, effectiveZoneSettings]);
+
+  // The models the backend sent continuous `*_score` columns for.
+  const scoredSources = useMemo(() => findScoredSources(normalizedTimeseriesData, anomalySources), [normalizedTimeseriesData]);
+
+  const handleThresholdChange = (key, threshold) => {
+    setScoreThresholds(prev => {
+      const next = { ...prev };
+      if (threshold == null) delete next[key];
+      else next[key] = threshold;
+      return next;
+    });
+  };
 
   const hasTimeseries = chartData && chartData.length > 0;
-  
+
+  const formatElapsed = useCallback((timestamp) => {
+    if (!hasTimeseries) return '';
+    return formatDuration((Date.parse(timestamp) - Date.parse(chartData[0].timestamp)) / 1000);
+  }, [chartData, hasTimeseries]);
+
+  // Anomaly segments a note can be attached to, as shown on the timeline.
+  const noteSegments = useMemo(() => findClassSegments(interactiveData).map(segment => ({
+    key: `${segment.start}-${segment.end}`,
+    label: `${segment.anomalyClass}: ${formatElapsed(interactiveData[segment.start].timestamp)} – ${formatElapsed(interactiveData[segment.end].timestamp)}`,
+    startTimestamp: interactiveData[segment.start].timestamp,
+    endTimestamp: interactiveData[segment.end].timestamp,
+  })), [interactiveData, formatElapsed]);
+
+  const noteMarkers = useMemo(() => {
+    if (!hasTimeseries) return [];
+    const startTime = Date.parse(chartData[0].timestamp);
+    return notes.map((note, index) => ({
+      id: note.id,
+      number: index + 1,
+      x1: (Date.parse(note.start_timestamp) - startTime) / 1000,
+      x2: (Date.parse(note.end_timestamp) - startTime) / 1000,
+    }));
+  }, [notes, chartData, hasTimeseries]);
+
+  // Recomputed on every label edit, so the scores follow the labels live.
+  const modelEvaluation = useMemo(
+    () => (isEvaluationOpen ? evaluateModels(chartData, predictionSources) : []),
+    [isEvaluationOpen, chartData, predictionSources]
+  );
+
+  const historyPreviewSegments = useMemo(() => {
+    const entry = isHistoryOpen && changeHistory.entries.find(e => e.id === historyPreviewId);
+    return entry ? getChangedSegments(chartData, entry) : [];
+  }, [isHistoryOpen, changeHistory.entries, historyPreviewId, chartData]);
+
+  const ownAnnotationSet = annotationSets.sets.find(set => set.annotator === user?.username) || null;
+  const otherAnnotators = annotationSets.sets.map(set => set.annotator);
+  // Settling disagreements edits the gold labels, so it is only offered while they are being edited.
+  const canAdjudicate = canEditGold && !isEditingOwnSet;
+  // Other people's labels stay hidden while labelling independently.
+  const canCompare = !isEditingOwnSet;
+
+  // Compares the gold labels with the first annotator by default, or the first two annotators if there are more.
+  const [annotatorA, annotatorB] = comparedAnnotators
+    ?? (otherAnnotators.length > 1 ? otherAnnotators.slice(0, 2) : [GOLD_ANNOTATOR, otherAnnotators[0] ?? GOLD_ANNOTATOR]);
+
+  const comparison = useMemo(() => {
+    if (!isComparing || !canCompare || annotatorA === annotatorB) return null;
+    // The gold labels include unsaved edits, so settled disagreements disappear straight away.
+    const classesA = getAnnotatorClasses(interactiveData, annotatorA, annotationSets.sets);
+    const classesB = getAnnotatorClasses(interactiveData, annotatorB, annotationSets.sets);
+    if (!classesA || !classesB) return null;
+    const segments = findDisagreementSegments(classesA, classesB).map(segment => ({
+      ...segment,
+      startTimestamp: interactiveData[segment.start].timestamp,
+      endTimestamp: interactiveData[segment.end].timestamp,
+    }));
+    return { classesA, classesB, segments, agreement: computeAgreement(buildConfusion(classesA, classesB)) };
+  }, [isComparing, canCompare, annotatorA, annotatorB, interactiveData, annotationSets.sets]);
+
+  const disagreementRanges = useMemo(() => {
+    if (!comparison || !hasTimeseries) return [];
+    return comparison.segments.map(segment => ({
+      key: segment.start,
+      x1: chartData[segment.start]?.elapsed_time,
+      x2: chartData[segment.end]?.elapsed_time,
+    }));
+  }, [comparison, chartData, hasTimeseries]);
+
   const hasAnomalies = useMemo(() => interactiveData.some(d => d.anomaly === 1), [interactiveData]);
 
   const derivedStats = useMemo(() => {
-    if (!hasTimeseries) return {};
-    const heartRates = chartData.map(r => r.heart_rate).filter(hr => hr != null);
-    const speeds = chartData.map(r => r.speed).filter(s => s != null && s > 0.1);
+    if (timelineRows.length === 0) return {};
+    const heartRates = timelineRows.map(r => r.heart_rate).filter(hr => hr != null);
+    const speeds = timelineRows.map(r => r.speed).filter(s => s != null && s > 0.1);
     const minHeartRate = heartRates.length ? Math.min(...heartRates) : null;
     const fastestSpeed = speeds.length ? Math.max(...speeds) : null;
     const slowestSpeed = speeds.length ? Math.min(...speeds) : null;
     const avgSpeed = speeds.length ? speeds.reduce((a, b) => a + b, 0) / speeds.length : null;
     let totalAscent = 0;
     let totalDescent = 0;
-    for (let i = 1; i < chartData.length; i++) {
-      const prevAlt = chartData[i-1].altitude;
-      const currentAlt = chartData[i].altitude;
+    for (let i = 1; i < timelineRows.length; i++) {
+      const prevAlt = timelineRows[i-1].altitude;
+      const currentAlt = timelineRows[i].altitude;
       if (prevAlt != null && currentAlt != null) {
         const diff = currentAlt - prevAlt;
         if (diff > 0) totalAscent += diff;
@@ -918,55 +1459,58 @@ export default function SessionDetailPage() {
       totalAscent: Math.round(totalAscent),
       totalDescent: Math.round(totalDescent),
     };
-  }, [hasTimeseries, chartData]);
+  }, [timelineRows]);
   
   const handleAnomalyToggle = (originalIndex) => {
     if (originalIndex == null) return;
-    const newData = interactiveData.map(record => {
-        if (record.originalIndex === originalIndex) {
-            return { ...record, anomaly: record.anomaly === 1 ? 0 : 1 };
-        }
-        return record;
-    });
-    setInteractiveData(newData);
-    setHasUnsavedChanges(true);
+    labelHistory.toggleLabel(originalIndex, activeLabelClass);
   };
 
+  // Labels every row in a dragged chart range at once, with the active class or back to Normal.
+  const handleAnomalyRangeLabel = (originalIndexes, erase) => labelHistory.setLabels(originalIndexes, erase ? NORMAL_CLASS : activeLabelClass);
+
   const confirmSaveChanges = async (updatesToSave) => {
     setIsModalOpen(false);
     setIsSaving(true);
     setSaveStatus({ state: 'idle', message: '' });
-    const payload = { updates: updatesToSave.map(u => ({ timestamp: u.timestamp, anomaly: u.to })) };
+    const payload = {
+        updates: updatesToSave.map(u => ({ timestamp: u.timestamp, anomaly: u.to === NORMAL_CLASS ? 0 : 1, anomaly_class: u.to })),
+        notes,
+    };
     try {
-        const response = await fetch(`${API_BASE_URL}/api/sessions/${session.id}/update-anomalies/`, {
-            method: 'PATCH',
-            headers: { 'Content-Type': 'application/json', 'Authorization': `Token ${authToken}` },
-            body: JSON.stringify(payload),
-        });
-        if (!response.ok) {
-            const errorData = await response.json();
-            throw new Error(errorData.detail || 'Failed to save changes.');
+        if (isEditingOwnSet) {
+            await api.post(`/api/sessions/${session.id}/annotation-sets/`, { labels: toAnnotationLabels(interactiveData) }, { errorMessage: 'Failed to save your annotation set.' });
+            annotationSets.reload();
+        } else {
+            await api.patch(`/api/sessions/${session.id}/update-anomalies/`, payload, { errorMessage: 'Failed to save changes.' });
+            setGoldData(interactiveData);
+            setOriginalNotes(notes);
+            presence.announceSave();
+            changeHistory.reload();
         }
         setSaveStatus({ state: 'success', message: 'Changes saved successfully!' });
         setOriginalData(JSON.parse(JSON.stringify(interactiveData)));
-        setHasUnsavedChanges(false);
+        return true;
     } catch (error) {
         console.error("Save error:", error);
         setSaveStatus({ state: 'error', message: error.message });
+        return false;
     } finally {
         setIsSaving(false);
     }
   };
 
+  const getPendingUpdates = (rows = interactiveData) => rows.reduce((acc, current, index) => {
+    const original = originalData[index];
+    if (original && current.anomaly_class !== original.anomaly_class) {
+        acc.push({ timestamp: current.timestamp, from: original.anomaly_class, to: current.anomaly_class });
+    }
+    return acc;
+  }, []);
+
   const initiateSaveChanges = () => {
-    const updates = interactiveData.reduce((acc, current, index) => {
-        const original = originalData[index];
-        if (original && current.anomaly !== original.anomaly) {
-            acc.push({ timestamp: current.timestamp, from: original.anomaly, to: current.anomaly });
-        }
-        return acc;
-    }, []);
-    if (updates.length === 0) {
+    const updates = getPendingUpdates();
+    if (updates.length === 0 && !hasNoteChanges) {
         setSaveStatus({ state: 'error', message: "No changes detected to save." });
         return;
     }
@@ -974,11 +1518,153 @@ export default function SessionDetailPage() {
     setIsModalOpen(true);
   };
 
+  // "Save and leave" from the unsaved changes prompt skips the summary modal; if saving fails the
+  // user stays on the page and sees the error.
+  const handleSaveAndLeave = async () => {
+    if (await confirmSaveChanges(getPendingUpdates())) {
+        draft.discardDraft();
+        navigationBlocker.proceed();
+    } else {
+        navigationBlocker.reset();
+    }
+  };
+
+  const handleNoteRange = (originalIndexes) => {
+    const rows = originalIndexes.map(index => interactiveData[index]).filter(Boolean);
+    if (rows.length === 0) return;
+    setPendingNoteRange({ startTimestamp: rows[0].timestamp, endTimestamp: rows[rows.length - 1].timestamp });
+  };
+
+  const handleAddNote = ({ startTimestamp, endTimestamp, text }) => {
+    const note = createNote({ startTimestamp, endTimestamp, text, author: user?.username ?? null });
+    labelHistory.changeNotes([...notes, note].sort((a, b) => Date.parse(a.start_timestamp) - Date.parse(b.start_timestamp)));
+  };
+  const handleUpdateNote = (id, text) => labelHistory.changeNotes(notes.map(note => (note.id === id ? { ...note, text } : note)));
+  const handleDeleteNote = (id) => labelHistory.changeNotes(notes.filter(note => note.id !== id));
+
+  // Zooms the chart to a range of rows, with a little context around very short ranges.
+  const zoomToIndexRange = (startIndex, lastIndex) => {
+    const padding = Math.max(5, Math.round((lastIndex - startIndex) * 0.1));
+    handleProgrammaticDomainChange({ startIndex: Math.max(0, startIndex - padding), endIndex: Math.min(chartData.length - 1, lastIndex + padding) });
+  };
+
+  const handleZoomToNote = (note) => {
+    const start = Date.parse(note.start_timestamp);
+    const end = Date.parse(note.end_timestamp);
+    const startIndex = chartData.findIndex(d => Date.parse(d.timestamp) >= start);
+    const lastIndex = chartData.findLastIndex(d => Date.parse(d.timestamp) <= end);
+    if (startIndex === -1 || lastIndex === -1) return;
+    zoomToIndexRange(startIndex, lastIndex);
+  };
+
+  // Switches the editor between the gold labels and the user's own annotation set.
+  const handleEditOwnSetChange = (editOwnSet) => {
+    if (editOwnSet === isEditingOwnSet) return;
+    if (hasUnsavedChanges) {
+        if (!window.confirm('You have unsaved changes. Switch label sets and discard them?')) return;
+        draft.discardDraft();
+    }
+    const rows = editOwnSet ? withAnnotationSetLabels(goldData, ownAnnotationSet) : goldData;
+    setInteractiveData(JSON.parse(JSON.stringify(rows)));
+    setOriginalData(JSON.parse(JSON.stringify(rows)));
+    setNotes(originalNotes);
+    setPendingNoteRange(null);
+    clearLabelHistory();
+    setIsEditingOwnSet(editOwnSet);
+  };
+
+  // Copies a model's predictions into the manual labels for the whole session, the current zoom or
+  // the current split segment. Union only adds the predicted points (in the active class); replace
+  // also sets every point the model calls normal back to Normal. Points that are already anomalies
+  // keep their class. The result is shown in the save confirmation straight away.
+  const handleCopyPredictions = ({ key, scope, mode }) => {
+    let range = { startIndex: 0, endIndex: interactiveData.length - 1 };
+    if (scope === 'domain' && activeDomain) range = activeDomain;
+    if (scope === 'segment' && splitSegments[currentSegmentIndex]) range = splitSegments[currentSegmentIndex];
+
+    const labels = new Map();
+    for (let index = range.startIndex; index <= range.endIndex; index++) {
+        const row = interactiveData[index];
+        if (!row) continue;
+        // Read from chartData, which also has the custom ensemble columns.
+        const isPredicted = Number(chartData[index]?.[key]) === 1;
+        // Missing data is never labelled, even when a model (e.g. the dropout rule) flags it.
+        if (isPredicted && row.anomaly_class === NORMAL_CLASS && hasHeartRate(row)) labels.set(index, activeLabelClass);
+        else if (!isPredicted && mode === 'replace' && row.anomaly_class !== NORMAL_CLASS) labels.set(index, NORMAL_CLASS);
+    }
+    if (labels.size === 0) {
+        alert('The labels in this range already match the predictions.');
+        return;
+    }
+    labelHistory.applyLabels(labels);
+
+    setChangeSummary(getPendingUpdates(interactiveData.map((row, index) => (labels.has(index) ? withPointClass(row, labels.get(index)) : row))));
+    setIsModalOpen(true);
+  };
+
+  // Labels the point nearest to each ectopic beat as arrhythmic, leaving points that already have a class alone.
+  const handleLabelEctopicBeats = () => {
+    const labels = new Map();
+    let index = 0;
+    hrv.ectopicTimes.forEach(time => {
+        while (index < chartData.length - 1 && Math.abs(chartData[index + 1].elapsed_time - time) <= Math.abs(chartData[index].elapsed_time - time)) index++;
+        if (interactiveData[index]?.anomaly_class === NORMAL_CLASS && hasHeartRate(interactiveData[index])) labels.set(index, ARRHYTHMIC_CLASS);
+    });
+    if (labels.size === 0) {
+        alert('The points at the ectopic beats are already labelled.');
+        return;
+    }
+    labelHistory.applyLabels(labels);
+
+    setChangeSummary(getPendingUpdates(interactiveData.map((row, i) => (labels.has(i) ? withPointClass(row, labels.get(i)) : row))));
+    setIsModalOpen(true);
+  };
+
+  // Brings the labels back to how they were right after an earlier save. Like any other edit this
+  // goes through the label history and only reaches the server when it is saved.
+  const handleRevertToHistoryEntry = (entry) => {
+    const labelsByTimestamp = getRevertLabels(changeHistory.entries, entry.id);
+    const labels = new Map();
+    interactiveData.forEach((row, index) => {
+        const label = labelsByTimestamp.get(row.timestamp);
+        if (label && label !== row.anomaly_class) labels.set(index, label);
+    });
+    if (labels.size === 0) {
+        alert('The labels already match this point in the history.');
+        return;
+    }
+    if (!window.confirm(`Revert ${labels.size} point(s) to how they were after this save? You can review the result before saving it.`)) return;
+    labelHistory.applyLabels(labels);
+    setHistoryPreviewId(null);
+  };
+
+  const handleRestoreAdminLabel = async (entry) => {
+    if (!window.confirm(`Set the admin label back to "${entry.adminLabel.to}"?`)) return;
+    try {
+        const updatedSession = await api.patch(`/api/sessions/${session.id}/update-label/`, { admin_label: entry.adminLabel.to }, {
+            errorMessage: 'Failed to restore the label. Please try again.',
+        });
+        session.admin_label = updatedSession.admin_label;
+        setAdminLabelKey(key => key + 1);
+        changeHistory.reload();
+    } catch (error) {
+        alert(error.message);
+    }
+  };
+
+  // Settles a disagreement by copying one annotator's labels for that range into the gold labels.
+  const handleSettleDisagreement = (segment, annotator) => {
+    const classes = getAnnotatorClasses(interactiveData, annotator, annotationSets.sets);
+    if (!classes) return;
+    const labels = new Map();
+    for (let index = segment.start; index <= segment.end; index++) labels.set(index, classes[index]);
+    labelHistory.applyLabels(labels);
+  };
+
   const handleOpenResetModal = () => setIsResetModalOpen(true);
   const handleConfirmReset = () => {
-    const newData = interactiveData.map(record => ({...record, anomaly: 0}));
-    setInteractiveData(newData);
-    setHasUnsavedChanges(true);
+    // Goes through the history like any other edit, so a reset can be undone.
+    labelHistory.setLabels(interactiveData.map(record => record.originalIndex), NORMAL_CLASS);
     setIsResetModalOpen(false);
   };
 
@@ -1072,15 +1758,19 @@ export default function SessionDetailPage() {
   
   const allTableHeaders = useMemo(() => {
     if (!hasTimeseries) return [];
-    const allKeys = new Set(['timestamp', 'anomaly']);
+    const allKeys = new Set(['timestamp', 'anomaly', 'anomaly_class']);
     interactiveData.forEach(row => Object.keys(row).forEach(key => allKeys.add(key)));
     const headers = Array.from(allKeys);
     const tsIndex = headers.indexOf('timestamp');
     if (tsIndex > 1) { const [tsHeader] = headers.splice(tsIndex, 1); headers.unshift(tsHeader); }
     const anIndex = headers.indexOf('anomaly');
     if (anIndex > 1) { const [anHeader] = headers.splice(anIndex, 1); headers.splice(1, 0, anHeader); }
+    const classIndex = headers.indexOf('anomaly_class');
+    if (classIndex > 2) { const [classHeader] = headers.splice(classIndex, 1); headers.splice(2, 0, classHeader); }
+    const zoneHeaders = Object.keys(zoneCellValues);
+    if (zoneHeaders.length) headers.splice(headers.indexOf('heart_rate') + 1 || headers.length, 0, ...zoneHeaders);
     return headers;
-  }, [hasTimeseries, interactiveData]);
+  }, [hasTimeseries, interactiveData, zoneCellValues]);
 
   const handleColumnToggle = (header) => {
     setVisibleColumns(prev => prev.includes(header) ? prev.filter(h => h !== header) : [...prev, header]);
@@ -1116,35 +1806,6 @@ export default function SessionDetailPage() {
     return () => document.removeEventListener("mousedown", handleClickOutside);
   }, [dropdownRef]);
   
-  const convertToCSV = (data, headers) => {
-      const headerRow = headers.join(',');
-      const bodyRows = data.map(row => 
-          headers.map(header => {
-              const value = row[header] ?? '';
-              const stringValue = String(value);
-              if (stringValue.includes(',')) {
-                  return `"${stringValue.replace(/"/g, '""')}"`;
-              }
-              return stringValue;
-          }).join(',')
-      );
-      return [headerRow, ...bodyRows].join('\n');
-  };
-
-  const downloadCSV = (csvString, filename) => {
-      const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-      const link = document.createElement('a');
-      if (link.download !== undefined) {
-          const url = URL.createObjectURL(blob);
-          link.setAttribute('href', url);
-          link.setAttribute('download', filename);
-          link.style.visibility = 'hidden';
-          document.body.appendChild(link);
-          link.click();
-          document.body.removeChild(link);
-      }
-  };
-
   const handleExport = async () => {
       if (!hasTimeseries) {
           alert("No data available to export.");
@@ -1159,11 +1820,12 @@ export default function SessionDetailPage() {
           const safeLastName = session.volunteer_last_name.replace(/[^a-z0-9]/gi, '_').toLowerCase();
           const filename = `${safeFirstName}_${safeLastName}_${dateString}_session_${session.id}.csv`;
 
-          const allHeaders = new Set(['timestamp', 'anomaly']);
+          const allHeaders = new Set(['timestamp', 'anomaly', 'anomaly_class', 'note']);
           interactiveData.forEach(row => Object.keys(row).forEach(key => allHeaders.add(key)));
           
           const orderedHeaders = Array.from(allHeaders);
-          const csvString = convertToCSV(interactiveData, orderedHeaders);
+          const noteTexts = getNoteTextsByRow(interactiveData, notes);
+          const csvString = convertToCSV(interactiveData.map((row, index) => ({ ...row, note: noteTexts[index] })), orderedHeaders);
           downloadCSV(csvString, filename);
       } catch (err) {
           alert("An error occurred during export.");
@@ -1173,6 +1835,23 @@ export default function SessionDetailPage() {
       }
   };
   
+  const handleExportEvaluation = () => {
+      const headers = ['model', 'protocol', 'points', 'tp', 'fp', 'fn', 'tn', 'precision', 'recall', 'f1'];
+      const rows = modelEvaluation.filter(result => result.points > 0).flatMap(result => [
+          ['point-wise', result.pointwise],
+          ['point-adjust', result.adjusted],
+      ].map(([protocol, scores]) => ({
+          model: result.label,
+          protocol,
+          points: result.points,
+          ...scores,
+          precision: scores.precision?.toFixed(4),
+          recall: scores.recall?.toFixed(4),
+          f1: scores.f1?.toFixed(4),
+      })));
+      downloadCSV(convertToCSV(rows, headers), `session_${session.id}_model_evaluation.csv`);
+  };
+
   if (isLoading) {
     return (
         <div className="p-4 sm:p-8 bg-slate-100 min-h-full font-sans flex items-center justify-center">
@@ -1185,20 +1864,30 @@ export default function SessionDetailPage() {
     <div className="p-4 sm:p-8 bg-slate-100 min-h-full font-sans">
         <ConfirmationModal isOpen={isModalOpen} onClose={() => setIsModalOpen(false)} onConfirm={() => confirmSaveChanges(changeSummary)} title="Confirm Anomaly Changes">
             <p className="text-sm text-gray-500">You are about to save the following {changeSummary.length} change(s):</p>
+            {hasNoteChanges && (
+                <p className="mt-2 text-sm text-gray-500">Your changes to the segment notes will be saved too.</p>
+            )}
+            {isEditingOwnSet && (
+                <p className="mt-2 text-sm text-gray-500">These labels go to your own annotation set; the gold labels are not changed.</p>
+            )}
+            {presence.otherTabIsEditing && (
+                <p className="mt-2 text-sm font-medium text-red-600">Another tab also has unsaved edits for this session. Saving here may be overwritten by that tab, or overwrite it.</p>
+            )}
             <ul className="mt-4 space-y-2 text-sm max-h-60 overflow-y-auto">
                 {changeSummary.map((change, index) => (
                     <li key={index} className="flex justify-between items-center">
                         <span className="font-mono text-gray-600">{formatTableCell('timestamp', change.timestamp)}</span>
                         <div>
-                           <span className={`font-semibold ${change.from === 1 ? 'text-red-500' : 'text-green-500'}`}>{change.from === 1 ? 'Anomaly' : 'Normal'}</span>
+                           <span className="font-semibold" style={{ color: getClassInfo(change.from).stroke }}>{change.from}</span>
                            <span className="mx-2 text-gray-400">→</span>
-                           <span className={`font-semibold ${change.to === 1 ? 'text-red-500' : 'text-green-500'}`}>{change.to === 1 ? 'Anomaly' : 'Normal'}</span>
+                           <span className="font-semibold" style={{ color: getClassInfo(change.to).stroke }}>{change.to}</span>
                         </div>
                     </li>
                 ))}
             </ul>
         </ConfirmationModal>
         <ResetConfirmationModal isOpen={isResetModalOpen} onClose={() => setIsResetModalOpen(false)} onConfirm={handleConfirmReset} />
+        <UnsavedChangesDialog blocker={navigationBlocker} isSaving={isSaving} onSaveAndLeave={handleSaveAndLeave} onDiscard={draft.discardDraft} />
         <div className={`fixed top-5 right-5 transition-all duration-300 z-50 ${saveStatus.state !== 'idle' ? 'opacity-100 translate-y-0' : 'opacity-0 -translate-y-5 pointer-events-none'}`}>
           {saveStatus.state === 'success' && (<div className="flex items-center gap-3 p-3 rounded-lg shadow-lg bg-green-500 text-white"><CheckCircleIcon className="w-6 h-6" /><span className="text-sm font-semibold">{saveStatus.message}</span></div>)}
           {saveStatus.state === 'error' && (<div className="flex items-center gap-3 p-3 rounded-lg shadow-lg bg-red-500 text-white"><XCircleIcon className="w-6 h-6" /><span className="text-sm font-semibold">{saveStatus.message}</span></div>)}
@@ -1208,6 +1897,8 @@ export default function SessionDetailPage() {
                 <button onClick={() => navigate(-1)} className="p-2 rounded-full hover:bg-slate-200"><ArrowLeftIcon className="w-6 h-6 text-slate-700" /></button>
                 <h1 className="text-3xl font-bold text-slate-900 tracking-tight">Session Detail</h1>
             </div>
+            <SessionPresenceBanner {...presence} />
+            <DraftRecoveryBanner {...draft} />
             <div className="space-y-8">
                 <div>
                     <h2 className="text-lg font-semibold text-slate-800 border-b pb-2 mb-4">Performance Summary</h2>
@@ -1232,9 +1923,62 @@ export default function SessionDetailPage() {
                         <StatCard icon={<HeartIcon className="w-8 h-8" />} label="Avg Heart Rate" value={`${session.avg_heart_rate || 'N/A'} bpm`} />
                         <StatCard icon={<HeartIcon className="w-8 h-8 text-blue-500" />} label="Min Heart Rate" value={`${derivedStats.minHeartRate || 'N/A'} bpm`} />
                         <StatCard icon={<HeartIcon className="w-8 h-8 text-red-500" />} label="Max Heart Rate" value={`${session.max_heart_rate || 'N/A'} bpm`} />
-                        <StatCard icon={<SparklesIcon className="w-8 h-8 text-gray-400" />} label="HRV" value="N/A" subValue="Data not available" />
+                        {hrv?.metrics.rmssd != null ? (
+                            <StatCard icon={<SparklesIcon className="w-8 h-8" />} label="HRV (RMSSD)" value={`${hrv.metrics.rmssd.toFixed(0)} ms`} subValue={`SDNN ${hrv.metrics.sdnn?.toFixed(0) ?? 'N/A'} ms · pNN50 ${hrv.metrics.pnn50.toFixed(1)}%`} />
+                        ) : (
+                            <StatCard icon={<SparklesIcon className="w-8 h-8 text-gray-400" />} label="HRV" value="N/A" subValue="Data not available" />
+                        )}
                     </div>
+                    {hrv && (
+                        <div className="mt-4">
+                            <HrvPanel metrics={hrv.metrics} showEctopicBeats={showEctopicBeats} onShowEctopicBeatsChange={setShowEctopicBeats} onLabelEctopicBeats={canEditLabels ? handleLabelEctopicBeats : null} />
+                        </div>
+                    )}
+                    {hasTimeseries && (
+                        <div className="mt-4">
+                            <HeartRateZonesPanel
+                                timeInZones={timeInZones}
+                                settings={zoneSettings}
+                                maxHeartRate={effectiveZoneSettings.maxHeartRate}
+                                maxHeartRateSource={zoneMaxHeartRateSource}
+                                onSettingsChange={changes => setZoneSettings(prev => ({ ...prev, ...changes }))}
+                                showOnChart={showZonesOnChart}
+                                onShowOnChartChange={setShowZonesOnChart}
+                            />
+                        </div>
+                    )}
                 </div>
+                {hasTimeseries && (
+                    <div>
+                        <div className="flex flex-wrap items-end justify-between gap-3 border-b pb-2 mb-4">
+                            <h2 className="text-lg font-semibold text-slate-800">Cardiac Drift</h2>
+                            {splitSegments.length >= 2 && (
+                                <div className="flex flex-wrap items-center gap-2 text-sm">
+                                    <label htmlFor="drift-compare" className="font-medium text-slate-500">Compare</label>
+                                    <select id="drift-compare" value={driftSegments ? 'segments' : 'halves'} onChange={(e) => setDriftSegments(e.target.value === 'segments' ? [0, splitSegments.length - 1] : null)} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+                                        <option value="halves">First vs second half</option>
+                                        <option value="segments">Split segments</option>
+                                    </select>
+                                    {driftSegments && [0, 1].map(position => (
+                                        <select key={position} aria-label={position === 0 ? 'Earlier segment' : 'Later segment'} value={driftSegments[position]} onChange={(e) => setDriftSegments(prev => prev.map((index, i) => (i === position ? Number(e.target.value) : index)))} className="rounded-md border-gray-300 shadow-sm text-sm focus:ring-sky-500 focus:border-sky-500">
+                                            {splitSegments.map((_, index) => <option key={index} value={index}>Segment {index + 1}</option>)}
+                                        </select>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                        {drift ? (
+                            <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-4">
+                                <StatCard icon={<ArrowTrendingUpIcon className="w-8 h-8" />} label="Aerobic Decoupling (Pa:HR)" value={`${drift.decoupling.toFixed(1)}%`} subValue={`${drift.labels[0]} vs ${drift.labels[1]} · above 5% means notable drift`} colorClass={drift.decoupling > 5 ? 'text-red-500' : 'text-green-600'} />
+                                <StatCard icon={<ScaleIcon className="w-8 h-8" />} label="Efficiency Factor" value={`${drift.first.efficiency.toFixed(2)} → ${drift.second.efficiency.toFixed(2)}`} subValue="Metres per heartbeat" />
+                                <StatCard icon={<HeartIcon className="w-8 h-8 text-red-500" />} label="Heart Rate Drift" value={`${drift.heartRateDrift > 0 ? '+' : ''}${drift.heartRateDrift.toFixed(1)} bpm`} subValue={`${Math.round(drift.first.avgHeartRate)} → ${Math.round(drift.second.avgHeartRate)} bpm`} />
+                                <StatCard icon={<FireIcon className="w-8 h-8" />} label="Pace Change" value={`${formatPace(drift.first.avgSpeed)} → ${formatPace(drift.second.avgSpeed)}`} subValue={Math.abs(drift.speedChange) > 5 ? `Pace changed ${Math.abs(drift.speedChange).toFixed(0)}%; the drift is less telling` : 'min/km, steady enough to compare'} />
+                            </div>
+                        ) : (
+                            <p className="text-sm text-slate-500">Both parts need heart-rate readings while moving to measure the drift.</p>
+                        )}
+                    </div>
+                )}
                 <div>
                     <h2 className="text-lg font-semibold text-slate-800 border-b pb-2 mb-4">Session Information</h2>
                     <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-4">
@@ -1242,16 +1986,132 @@ export default function SessionDetailPage() {
                         <StatCard icon={<CalendarIcon className="w-8 h-8" />} label="Run Date" value={hasTimeseries ? formatDate(chartData[0].timestamp) : 'N/A'} />
                         <StatCard icon={<CloudArrowUpIcon className="w-8 h-8" />} label="Upload Date" value={formatDate(session.uploaded_at)} />
                         <StatCard icon={<CpuChipIcon className="w-8 h-8" />} label="ML Prediction" value={session.ml_prediction || 'N/A'} colorClass={session.ml_prediction === 'Anomaly' ? 'text-red-500' : 'text-green-600'} />
-                        <EditableAdminLabel session={session} />
+                        <EditableAdminLabel key={adminLabelKey} session={session} readOnly={!canEditAnomalies} onSaved={changeHistory.reload} />
                     </div>
                 </div>
             </div>
             <div className="grid grid-cols-1 gap-8 mt-8">
+                {hasTimeseries && (
+                    <DataQualityPanel quality={dataQuality} formatTimestamp={formatElapsed} timestamps={interactiveTimestamps} onZoomToGap={gap => zoomToIndexRange(gap.startIndex, gap.endIndex)} />
+                )}
+                {hasTimeseries && (
+                    <div className="flex flex-wrap items-center justify-between gap-4 bg-white px-6 py-4 rounded-xl shadow-lg border border-slate-200">
+                        {labelsOwnSetOnly ? (
+                            <p className="text-xs text-slate-500">
+                                {isEditingOwnSet
+                                    ? `Labelling independently as ${user?.username}. Saving stores your own set for the agreement statistics.`
+                                    : 'Loading your annotation set...'}
+                            </p>
+                        ) : canEditGold ? (
+                            <div className="flex flex-wrap items-center gap-3">
+                                <span className="text-sm font-medium text-slate-700">Editing:</span>
+                                <div className="inline-flex rounded-md shadow-sm">
+                                    <button type="button" onClick={() => handleEditOwnSetChange(false)} disabled={isSaving || !!draft.pendingDraft} className={`rounded-l-md border px-3 py-1.5 text-xs font-semibold disabled:opacity-50 ${!isEditingOwnSet ? 'bg-sky-600 text-white border-sky-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+                                        Gold labels
+                                    </button>
+                                    <button type="button" onClick={() => handleEditOwnSetChange(true)} disabled={isSaving || !!draft.pendingDraft || annotationSets.isLoading} className={`-ml-px rounded-r-md border px-3 py-1.5 text-xs font-semibold disabled:opacity-50 ${isEditingOwnSet ? 'bg-sky-600 text-white border-sky-600' : 'bg-white text-slate-700 border-slate-300 hover:bg-slate-50'}`}>
+                                        My annotation set
+                                    </button>
+                                </div>
+                                <p className="text-xs text-slate-500">
+                                    {isEditingOwnSet
+                                        ? `Labelling independently as ${user?.username}. Saving stores your own set for the agreement statistics.`
+                                        : 'Changes here edit the adjudicated gold labels of the session.'}
+                                </p>
+                            </div>
+                        ) : <span />}
+                        <div className="flex flex-wrap items-center gap-2">
+                            <button type="button" onClick={() => setIsHistoryOpen(value => !value)} className="flex items-center gap-1.5 rounded-md border border-sky-200 bg-white px-3 py-1.5 text-xs font-semibold text-sky-700 hover:bg-sky-50">
+                                <ClockIcon className="w-4 h-4" />
+                                {isHistoryOpen ? 'Hide history' : 'Change history'}
+                            </button>
+                            <button type="button" onClick={() => setIsArtifactRulesOpen(value => !value)} className="flex items-center gap-1.5 rounded-md border border-stone-300 bg-white px-3 py-1.5 text-xs font-semibold text-stone-700 hover:bg-stone-50">
+                                <WrenchScrewdriverIcon className="w-4 h-4" />
+                                {isArtifactRulesOpen ? 'Hide artifact rules' : 'Artifact rules'}
+                            </button>
+                            <button type="button" onClick={() => setIsEnsembleBuilderOpen(value => !value)} className="flex items-center gap-1.5 rounded-md border border-purple-200 bg-white px-3 py-1.5 text-xs font-semibold text-purple-700 hover:bg-purple-50">
+                                <Squares2X2Icon className="w-4 h-4" />
+                                {isEnsembleBuilderOpen ? 'Hide ensembles' : 'Custom ensembles'}
+                            </button>
+                            {scoredSources.length > 0 && (
+                                <button type="button" onClick={() => setIsThresholdOpen(value => !value)} className="flex items-center gap-1.5 rounded-md border border-purple-200 bg-white px-3 py-1.5 text-xs font-semibold text-purple-700 hover:bg-purple-50">
+                                    <AdjustmentsHorizontalIcon className="w-4 h-4" />
+                                    {isThresholdOpen ? 'Hide score threshold' : 'Score threshold'}
+                                </button>
+                            )}
+                            <button type="button" onClick={() => setIsEvaluationOpen(value => !value)} className="flex items-center gap-1.5 rounded-md border border-purple-200 bg-white px-3 py-1.5 text-xs font-semibold text-purple-700 hover:bg-purple-50">
+                                <CpuChipIcon className="w-4 h-4" />
+                                {isEvaluationOpen ? 'Hide model evaluation' : 'Model evaluation'}
+                            </button>
+                            {canCompare && (
+                                <button type="button" onClick={() => setIsComparing(value => !value)} className="flex items-center gap-1.5 rounded-md border border-indigo-200 bg-white px-3 py-1.5 text-xs font-semibold text-indigo-700 hover:bg-indigo-50">
+                                    <ScaleIcon className="w-4 h-4" />
+                                    {isComparing ? 'Hide comparison' : 'Compare annotators'}
+                                </button>
+                            )}
+                        </div>
+                    </div>
+                )}
+                {hasTimeseries && isArtifactRulesOpen && (
+                    <ArtifactRulesPanel rows={chartData} settings={artifactRules.settings} maxHeartRate={maxHeartRate} onChange={artifactRules.updateRule} onReset={artifactRules.resetRules} />
+                )}
+                {hasTimeseries && isEnsembleBuilderOpen && (
+                    <EnsembleBuilder sources={anomalySources} recipes={ensembleRecipes.recipes} onSave={ensembleRecipes.saveRecipe} onDelete={ensembleRecipes.deleteRecipe} />
+                )}
+                {hasTimeseries && isThresholdOpen && scoredSources.length > 0 && (
+                    <ScoreThresholdPanel rows={chartData} sources={scoredSources} thresholds={scoreThresholds} onThresholdChange={handleThresholdChange} />
+                )}
+                {hasTimeseries && isEvaluationOpen && (
+                    <ModelEvaluationPanel results={modelEvaluation} onExport={can('data.export') ? handleExportEvaluation : null} />
+                )}
+                {hasTimeseries && isHistoryOpen && (
+                    <AnnotationHistoryPanel
+                        entries={changeHistory.entries}
+                        isLoading={changeHistory.isLoading}
+                        error={changeHistory.error}
+                        previewId={historyPreviewId}
+                        onPreview={setHistoryPreviewId}
+                        canRevert={canEditGold && !isEditingOwnSet}
+                        onRevert={handleRevertToHistoryEntry}
+                        onRestoreAdminLabel={handleRestoreAdminLabel}
+                    />
+                )}
+                {hasTimeseries && isComparing && canCompare && (
+                    <AnnotatorComparisonPanel
+                        annotators={otherAnnotators}
+                        annotatorA={annotatorA}
+                        annotatorB={annotatorB}
+                        onAnnotatorsChange={(a, b) => setComparedAnnotators([a, b])}
+                        comparison={comparison}
+                        isLoading={annotationSets.isLoading}
+                        error={annotationSets.error}
+                        formatTimestamp={formatElapsed}
+                        canAdjudicate={canAdjudicate}
+                        onZoom={(segment) => zoomToIndexRange(segment.start, segment.end)}
+                        onSettle={handleSettleDisagreement}
+                    />
+                )}
                 {hasTimeseries ? (
-                    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden">
-                        <HeartRateChart session={session} timeseriesData={chartData} activeDomain={activeDomain} onBrushChange={handleBrushChange} onAnomalyToggle={handleAnomalyToggle} onTimelineZoom={handleTimelineZoom} brushKey={brushKey} chartHeight={chartHeight} hasUnsavedChanges={hasUnsavedChanges} isSaving={isSaving} onSaveChanges={initiateSaveChanges} hrDomain={hrDomain} hasHeartRateData={hasHeartRateData} />
+                    <div className="flex flex-col xl:flex-row gap-8 items-start">
+                    <div className="bg-white rounded-xl shadow-lg border border-slate-200 overflow-hidden flex-1 min-w-0 w-full">
+                        <HeartRateChart session={session} timeseriesData={chartData} activeDomain={activeDomain} onBrushChange={handleBrushChange} onAnomalyToggle={canEditLabels ? handleAnomalyToggle : null} onAnomalyRangeLabel={canEditLabels ? handleAnomalyRangeLabel : null} activeLabelClass={activeLabelClass} onActiveLabelClassChange={setActiveLabelClass} onNoteRange={canEditGold && !isEditingOwnSet ? handleNoteRange : null} noteMarkers={noteMarkers} disagreementRanges={disagreementRanges} historyPreviewSegments={historyPreviewSegments} gapRanges={gapRanges} zoneBands={showZonesOnChart ? hrZones : []} ectopicBeatTimes={showEctopicBeats && hrv ? hrv.ectopicTimes : []} predictionSources={predictionSources} scoredSources={scoredSources} scoreThresholds={scoreThresholds} onCopyPredictions={canEditLabels ? handleCopyPredictions : null} hasSplitSegment={currentSegmentIndex != null && !!splitSegments[currentSegmentIndex]} onTimelineZoom={handleTimelineZoom} brushKey={brushKey} chartHeight={chartHeight} hasUnsavedChanges={hasUnsavedChanges} labelHistory={labelHistory} isSaving={isSaving} onSaveChanges={initiateSaveChanges} hrDomain={hrDomain} hasHeartRateData={hasHeartRateData} />
                         <ChartControls activeDomain={activeDomain} onProgrammaticDomainChange={handleProgrammaticDomainChange} onResetZoom={handleResetZoom} chartData={chartData} chartHeight={chartHeight} setChartHeight={setChartHeight} onApplySplit={handleApplySplit} onClearSplit={handleClearSplit} onNextSegment={handleNextSegment} onPreviousSegment={handlePreviousSegment} splitSegments={splitSegments} currentSegmentIndex={currentSegmentIndex} />
                     </div>
+                    <div className="w-full xl:w-80 flex-shrink-0">
+                        <AnomalyNotesPanel
+                            notes={notes}
+                            segments={noteSegments}
+                            pendingRange={pendingNoteRange}
+                            formatTimestamp={formatElapsed}
+                            canEdit={canEditGold && !isEditingOwnSet}
+                            onAdd={handleAddNote}
+                            onUpdate={handleUpdateNote}
+                            onDelete={handleDeleteNote}
+                            onZoom={handleZoomToNote}
+                            onClearPendingRange={() => setPendingNoteRange(null)}
+                        />
+                    </div>
+                    </div>
                 ) : (
                     <div className="bg-white p-12 text-center rounded-xl shadow-lg border border-slate-200">
                         <SparklesIcon className="mx-auto h-12 w-12 text-slate-400" />
@@ -1264,23 +2124,26 @@ export default function SessionDetailPage() {
                         <div className="flex justify-between items-center mb-4">
                             <div className="flex items-center gap-4">
                                 <h3 className="text-lg font-bold text-gray-900">Raw Data Table</h3>
+                                {canEditLabels && <UndoRedoControls history={labelHistory} disabled={isSaving} />}
                                 {hasUnsavedChanges && (
                                     <button onClick={initiateSaveChanges} disabled={isSaving} className="flex items-center gap-1.5 rounded-md bg-sky-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-sky-700 disabled:bg-slate-400">
                                         <CheckCircleIcon className="w-4 h-4" />
                                         {isSaving ? 'Saving...' : 'Save Changes'}
                                     </button>
                                 )}
-                                {hasAnomalies && (
+                                {hasAnomalies && canEditLabels && (
                                      <button onClick={handleOpenResetModal} disabled={isSaving} className="flex items-center gap-1.5 rounded-md bg-red-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-red-700 disabled:bg-slate-400">
                                         <ArrowPathIcon className="w-4 h-4" />
                                         Reset All
                                     </button>
                                 )}
                                 {/* ✅ MOVED and UPDATED Export Button */}
-                                <button onClick={handleExport} disabled={isExporting} className="flex items-center gap-1.5 rounded-md bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:bg-slate-400">
-                                    <CloudArrowDownIcon className="w-4 h-4" />
-                                    {isExporting ? 'Exporting...' : 'Export CSV'}
-                                </button>
+                                {can('data.export') && (
+                                    <button onClick={handleExport} disabled={isExporting} className="flex items-center gap-1.5 rounded-md bg-emerald-600 px-3 py-1.5 text-xs font-semibold text-white shadow-sm hover:bg-emerald-700 disabled:bg-slate-400">
+                                        <CloudArrowDownIcon className="w-4 h-4" />
+                                        {isExporting ? 'Exporting...' : 'Export CSV'}
+                                    </button>
+                                )}
                             </div>
                             <div className="flex items-center gap-4">
                                 <div className="flex items-center gap-2">
@@ -1344,11 +2207,11 @@ export default function SessionDetailPage() {
                                                     return (
                                                         <td key={header} className={tdClasses} style={tdStyle}>
                                                             {isAnomaly ? (
-                                                                <button onClick={() => handleAnomalyToggle(row.originalIndex)} className={`h-6 w-6 rounded-full text-white text-xs flex items-center justify-center ${row.anomaly === 1 ? 'bg-red-500 hover:bg-red-600' : 'bg-gray-300 hover:bg-gray-400'}`} title={`Click to toggle anomaly status (current: ${row.anomaly})`}>
-                                                                    {row.anomaly}
+                                                                <button onClick={() => handleAnomalyToggle(row.originalIndex)} disabled={!canEditLabels} className="h-6 w-6 rounded-full text-white text-xs flex items-center justify-center hover:opacity-80 disabled:cursor-not-allowed" style={{ backgroundColor: row.anomaly === 1 ? getClassInfo(row.anomaly_class).color : '#d1d5db' }} title={canEditLabels ? `${row.anomaly_class}. Click to ${row.anomaly_class === activeLabelClass ? 'clear it' : `label as ${activeLabelClass}`}` : row.anomaly_class}>
+                                                                    {row.anomaly === 1 ? getClassInfo(row.anomaly_class).shortLabel : row.anomaly}
                                                                 </button>
                                                             ) : (
-                                                                formatTableCell(header, row[header])
+                                                                formatTableCell(header, zoneCellValues[header] ? zoneCellValues[header](row) : row[header])
                                                             )}
                                                         </td>
                                                     );
@@ -19,10 +19,13 @@ import {
     ArrowsRightLeftIcon,
     ArrowsUpDownIcon,
     CloudArrowDownIcon,
+    ScaleIcon,
 } from '@heroicons/react/24/outline';
 import VolunteerDetailModal from '../components/VolunteerDetailModal';
-
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+import AgreementReportModal from '../components/AgreementReportModal';
+import { api, API_BASE_URL } from '../utils/api';
+import { convertToCSV, downloadCSV } from '../utils/csv';
+import { normalizeNotes, getNoteTextsByRow } from '../utils/anomalyNotes';
 
 // --- UTILITY FUNCTIONS ---
 const formatDuration = (totalSeconds) => {
@@ -82,7 +85,6 @@ const VolunteerSummaryCard = ({ volunteer, onEdit }) => {
 const SessionUploader = ({ volunteerId, onUploadSuccess }) => {
   const [files, setFiles] = useState([]);
   const [isUploading, setIsUploading] = useState(false);
-  const { authToken } = useAuth();
 
   const handleFileChange = (e) => {
     if (e.target.files) {
@@ -99,16 +101,7 @@ const SessionUploader = ({ volunteerId, onUploadSuccess }) => {
       formData.append('volunteer', volunteerId);
       formData.append('session_date', new Date().toISOString());
       formData.append('source_type', 'admin_upload');
-      return fetch(`${API_BASE_URL}/api/sessions/`, {
-        method: 'POST',
-        headers: { 'Authorization': `Token ${authToken}` },
-        body: formData,
-      }).then(response => {
-        if (!response.ok) {
-          throw new Error(`Upload failed for ${file.name}`);
-        }
-        return response.json();
-      });
+      return api.post('/api/sessions/', formData, { errorMessage: `Upload failed for ${file.name}` });
     });
     try {
       await Promise.all(uploadPromises);
@@ -163,7 +156,6 @@ const StatItem = ({ icon, value, isSorted = false }) => (
 
 const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isSelected, onSelect, onReuploadSuccess }) => {
   const navigate = useNavigate();
-  const { authToken } = useAuth();
   const fileInputRef = useRef(null);
   
   const hasData = session.status === 'completed';
@@ -185,12 +177,7 @@ const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isS
     const formData = new FormData();
     formData.append('session_file', file);
     try {
-      const response = await fetch(`${API_BASE_URL}/api/sessions/${session.id}/`, {
-        method: 'PATCH',
-        headers: { 'Authorization': `Token ${authToken}` },
-        body: formData,
-      });
-      if (!response.ok) throw new Error('Re-upload failed.');
+      await api.patch(`/api/sessions/${session.id}/`, formData, { errorMessage: 'Re-upload failed.' });
       alert('File submitted for reprocessing!');
       onReuploadSuccess();
     } catch (error) {
@@ -223,15 +210,17 @@ const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isS
           </div>
         </div>
         <div className="flex items-center space-x-2">
-            <button
-                onClick={(e) => { e.stopPropagation(); onExport(session); }}
-                disabled={isExporting}
-                className="flex items-center gap-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-md px-3 py-1.5 shadow-sm disabled:bg-slate-400"
-                title="Export this session to CSV"
-            >
-                <CloudArrowDownIcon className="w-4 h-4"/>
-                <span>{isExporting ? '...' : 'Export'}</span>
-            </button>
+            {onExport && (
+                <button
+                    onClick={(e) => { e.stopPropagation(); onExport(session); }}
+                    disabled={isExporting}
+                    className="flex items-center gap-2 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-md px-3 py-1.5 shadow-sm disabled:bg-slate-400"
+                    title="Export this session to CSV"
+                >
+                    <CloudArrowDownIcon className="w-4 h-4"/>
+                    <span>{isExporting ? '...' : 'Export'}</span>
+                </button>
+            )}
             <Link 
                 to={`/sessions/${session.id}`}
                 target="_blank"
@@ -242,6 +231,7 @@ const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isS
                 <PencilSquareIcon className="w-4 h-4" />
                 <span>View & Label</span>
             </Link>
+            {onDelete && (
             <button 
                 onClick={(e) => { e.stopPropagation(); onDelete(session.id); }} 
                 className="p-1.5 rounded-md hover:bg-red-100 text-gray-400 hover:text-red-600" 
@@ -249,6 +239,7 @@ const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isS
             >
                 <TrashIcon className="w-4 h-4" />
             </button>
+            )}
         </div>
       </div>
       
@@ -271,12 +262,14 @@ const SessionListItem = ({ session, onDelete, onExport, isExporting, sortBy, isS
                 <p className="text-xs text-red-700">{session.processing_error || 'An unknown error occurred.'}</p>
               </div>
             </div>
+            {onReuploadSuccess && (
             <div>
               <input type="file" ref={fileInputRef} onChange={handleFileReupload} className="hidden" />
               <button onClick={handleReuploadClick} className="text-sm font-medium text-white bg-sky-600 hover:bg-sky-700 rounded-md px-3 py-1.5">
                 Re-upload
               </button>
             </div>
+            )}
         </div>
       )}
     </div>
@@ -347,7 +340,7 @@ const PaginationControls = ({ paginationInfo, onPageChange, currentPage, pageSiz
 
 export default function VolunteerDetailPage() {
   const { volunteerId } = useParams();
-  const { authToken } = useAuth();
+  const { authToken, can } = useAuth();
   
   const [volunteer, setVolunteer] = useState(null);
   const [sessions, setSessions] = useState([]);
@@ -371,19 +364,14 @@ export default function VolunteerDetailPage() {
 
   const [isExporting, setIsExporting] = useState(false);
   const [exportingId, setExportingId] = useState(null);
+  // Sessions shown in the annotator agreement report, or null when it is closed.
+  const [agreementSessionIds, setAgreementSessionIds] = useState(null);
 
   useEffect(() => {
       if (!authToken) return;
       setIsLoading(true);
       const controller = new AbortController();
-      fetch(`${API_BASE_URL}/api/volunteers/${volunteerId}/`, {
-          headers: { 'Authorization': `Token ${authToken}` },
-          signal: controller.signal,
-      })
-      .then(res => {
-          if (!res.ok) throw new Error('Failed to load volunteer data.');
-          return res.json();
-      })
+      api.get(`/api/volunteers/${volunteerId}/`, { signal: controller.signal, errorMessage: 'Failed to load volunteer data.' })
       .then(data => setVolunteer(data))
       .catch(err => {
           if (err.name !== 'AbortError') setError(err.message);
@@ -399,9 +387,7 @@ export default function VolunteerDetailPage() {
     const controller = new AbortController();
 
     const fetchAllSessionsInParallel = async (url) => {
-        const firstRes = await fetch(url, { headers: { 'Authorization': `Token ${authToken}` }, signal: controller.signal });
-        if (!firstRes.ok) throw new Error('Failed to load initial session data.');
-        const firstData = await firstRes.json();
+        const firstData = await api.get(url, { signal: controller.signal, errorMessage: 'Failed to load initial session data.' });
         const { count, results } = firstData;
         if (!results || results.length === 0) return [];
         const inferredPageSize = results.length;
@@ -412,7 +398,7 @@ export default function VolunteerDetailPage() {
         for (let page = 2; page <= totalPages; page++) {
             const pageUrl = new URL(url);
             pageUrl.searchParams.set('page', page);
-            promises.push(fetch(pageUrl.toString(), { headers: { 'Authorization': `Token ${authToken}` }, signal: controller.signal }).then(res => res.json()));
+            promises.push(api.get(pageUrl.toString(), { signal: controller.signal }));
         }
         const remainingData = await Promise.all(promises);
         const all = results;
@@ -428,7 +414,7 @@ export default function VolunteerDetailPage() {
         fetchPromise = fetchAllSessionsInParallel(initialUrl);
     } else {
         const paginatedUrl = `${initialUrl}&page=${currentPage}&page_size=${pageSize}`;
-        fetchPromise = fetch(paginatedUrl, { headers: { 'Authorization': `Token ${authToken}` }, signal: controller.signal }).then(res => res.json());
+        fetchPromise = api.get(paginatedUrl, { signal: controller.signal });
     }
 
     fetchPromise.then(data => {
@@ -518,12 +504,7 @@ export default function VolunteerDetailPage() {
     if (sessionIdsToDelete.length === 0) return;
     if (window.confirm(`Are you sure you want to delete ${sessionIdsToDelete.length} session(s)?`)) {
       try {
-        await Promise.all(sessionIdsToDelete.map(id => 
-          fetch(`${API_BASE_URL}/api/sessions/${id}/`, {
-            method: 'DELETE',
-            headers: { 'Authorization': `Token ${authToken}` }
-          })
-        ));
+        await Promise.all(sessionIdsToDelete.map(id => api.delete(`/api/sessions/${id}/`)));
         triggerRefetch();
         alert("Selected sessions deleted.");
       } catch (error) {
@@ -535,10 +516,7 @@ export default function VolunteerDetailPage() {
   const handleSingleDelete = async (sessionId) => {
     if (window.confirm("Are you sure you want to delete this session?")) {
         try {
-            await fetch(`${API_BASE_URL}/api/sessions/${sessionId}/`, {
-                method: 'DELETE',
-                headers: { 'Authorization': `Token ${authToken}` }
-            });
+            await api.delete(`/api/sessions/${sessionId}/`);
             triggerRefetch();
             alert("Session deleted.");
         } catch (error) {
@@ -549,46 +527,19 @@ export default function VolunteerDetailPage() {
 
   const handleUpdateVolunteer = (updatedVolunteer) => { setVolunteer(updatedVolunteer); };
 
-  const convertToCSV = (data, headers) => {
-    const headerRow = headers.join(',');
-    const bodyRows = data.map(row => 
-      headers.map(header => {
-        const value = row[header] ?? '';
-        const stringValue = String(value);
-        if (stringValue.includes(',')) {
-          return `"${stringValue.replace(/"/g, '""')}"`;
-        }
-        return stringValue;
-      }).join(',')
-    );
-    return [headerRow, ...bodyRows].join('\n');
-  };
-
-  const downloadCSV = (csvString, filename) => {
-    const blob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const link = document.createElement('a');
-    if (link.download !== undefined) {
-        const url = URL.createObjectURL(blob);
-        link.setAttribute('href', url);
-        link.setAttribute('download', filename);
-        link.style.visibility = 'hidden';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-    }
-  };
-
   const processAndDownload = (sessions, filename) => {
       let csvData = [];
-      const headerSet = new Set(['session_id', 'run_date', 'timestamp', 'anomaly', 'heart_rate', 'speed', 'distance']);
+      const headerSet = new Set(['session_id', 'run_date', 'timestamp', 'anomaly', 'anomaly_class', 'note', 'heart_rate', 'speed', 'distance']);
       
       sessions.forEach(session => {
         if (session.timeseries_data && session.timeseries_data.length > 0) {
-          session.timeseries_data.forEach(row => {
+          const noteTexts = getNoteTextsByRow(session.timeseries_data, normalizeNotes(session.anomaly_notes));
+          session.timeseries_data.forEach((row, index) => {
             const flatRow = {
               session_id: session.id,
               run_date: new Date(session.session_date).toISOString().split('T')[0],
-              ...row
+              ...row,
+              note: noteTexts[index],
             };
             Object.keys(flatRow).forEach(key => headerSet.add(key));
             csvData.push(flatRow);
@@ -613,11 +564,7 @@ export default function VolunteerDetailPage() {
     setIsExporting(true);
     try {
         const promises = sessionIds.map(id =>
-            fetch(`${API_BASE_URL}/api/sessions/${id}/`, { headers: { 'Authorization': `Token ${authToken}` } })
-            .then(res => {
-                if (!res.ok) throw new Error(`HTTP error for session ${id}: ${res.status}`);
-                return res.json();
-            })
+            api.get(`/api/sessions/${id}/`, { errorMessage: `Failed to fetch session ${id}` })
         );
         const results = await Promise.allSettled(promises);
 
@@ -661,9 +608,7 @@ export default function VolunteerDetailPage() {
     if (!session || !volunteer) return;
     setExportingId(session.id);
     try {
-        const res = await fetch(`${API_BASE_URL}/api/sessions/${session.id}/`, { headers: { 'Authorization': `Token ${authToken}` } });
-        if (!res.ok) throw new Error(`Failed to fetch session ${session.id}`);
-        const detailedSession = await res.json();
+        const detailedSession = await api.get(`/api/sessions/${session.id}/`, { errorMessage: `Failed to fetch session ${session.id}` });
         
         const runDate = (detailedSession.timeseries_data && detailedSession.timeseries_data.length > 0)
             ? new Date(detailedSession.timeseries_data[0].timestamp)
@@ -706,7 +651,7 @@ export default function VolunteerDetailPage() {
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 items-start">
           <div className="lg:col-span-1 space-y-6">
             <VolunteerSummaryCard volunteer={volunteer} onEdit={() => setIsModalOpen(true)} />
-            <SessionUploader volunteerId={volunteerId} onUploadSuccess={triggerRefetch} />
+            {can('sessions.upload') && <SessionUploader volunteerId={volunteerId} onUploadSuccess={triggerRefetch} />}
           </div>
           <div className="lg:col-span-2">
             <div className="bg-white p-6 rounded-xl shadow-lg">
@@ -715,14 +660,22 @@ export default function VolunteerDetailPage() {
                   <div className="flex items-center gap-x-4 gap-y-2 flex-wrap">
                     {selectedSessions.size > 0 && (
                       <>
-                        <button onClick={handleExportSelected} disabled={isExporting} className="flex items-center gap-1.5 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-md px-3 py-2 disabled:bg-slate-400">
-                          <CloudArrowDownIcon className="w-4 h-4"/>
-                          {isExporting ? 'Exporting...' : `Export (${selectedSessions.size})`}
-                        </button>
-                        <button onClick={handleDeleteSelected} className="flex items-center gap-1.5 text-sm font-semibold text-white bg-red-600 hover:bg-red-700 rounded-md px-3 py-2">
-                          <TrashIcon className="w-4 h-4"/>
-                          Delete ({selectedSessions.size})
+                        {can('data.export') && (
+                          <button onClick={handleExportSelected} disabled={isExporting} className="flex items-center gap-1.5 text-sm font-semibold text-white bg-emerald-600 hover:bg-emerald-700 rounded-md px-3 py-2 disabled:bg-slate-400">
+                            <CloudArrowDownIcon className="w-4 h-4"/>
+                            {isExporting ? 'Exporting...' : `Export (${selectedSessions.size})`}
+                          </button>
+                        )}
+                        <button onClick={() => setAgreementSessionIds(Array.from(selectedSessions))} className="flex items-center gap-1.5 text-sm font-semibold text-indigo-700 bg-white border border-indigo-200 hover:bg-indigo-50 rounded-md px-3 py-2">
+                          <ScaleIcon className="w-4 h-4"/>
+                          Agreement ({selectedSessions.size})
                         </button>
+                        {can('sessions.delete') && (
+                          <button onClick={handleDeleteSelected} className="flex items-center gap-1.5 text-sm font-semibold text-white bg-red-600 hover:bg-red-700 rounded-md px-3 py-2">
+                            <TrashIcon className="w-4 h-4"/>
+                            Delete ({selectedSessions.size})
+                          </button>
+                        )}
                       </>
                     )}
                     <div className="flex items-center gap-2">
@@ -772,12 +725,12 @@ export default function VolunteerDetailPage() {
                                         <SessionListItem 
                                             key={session.id} 
                                             session={session} 
-                                            onDelete={handleSingleDelete} 
+                                            onDelete={can('sessions.delete') ? handleSingleDelete : undefined} 
                                             sortBy={sortBy}
                                             isSelected={selectedSessions.has(session.id)}
                                             onSelect={handleSelectSession}
-                                            onReuploadSuccess={triggerRefetch}
-                                            onExport={handleExportSingleSession}
+                                            onReuploadSuccess={can('sessions.upload') ? triggerRefetch : undefined}
+                                            onExport={can('data.export') ? handleExportSingleSession : undefined}
                                             isExporting={exportingId === session.id}
                                         />
                                     ))}
@@ -799,6 +752,9 @@ export default function VolunteerDetailPage() {
         </div>
       </div>
       
+      {agreementSessionIds && (
+        <AgreementReportModal sessionIds={agreementSessionIds} onClose={() => setAgreementSessionIds(null)} />
+      )}
       {isModalOpen && (
         <VolunteerDetailModal 
           volunteer={volunteer} 
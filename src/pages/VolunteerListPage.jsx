@@ -16,8 +16,8 @@ import {
     TrashIcon, 
     ArrowTopRightOnSquareIcon
 } from '@heroicons/react/24/outline';
+import { api, fetchAllPages } from '../utils/api';
 
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
 const ITEMS_PER_PAGE = 10;
 
 const StatusBadge = ({ status }) => {
@@ -49,7 +49,7 @@ const SortableHeader = ({ children, name, sortConfig, onSort }) => {
 
 export default function VolunteerListPage() {
   const { state: locationState } = useLocation();
-  const { authToken } = useAuth();
+  const { authToken, can } = useAuth();
   const navigate = useNavigate();
   
   const [allVolunteers, setAllVolunteers] = useState([]);
@@ -73,24 +73,9 @@ export default function VolunteerListPage() {
       setIsLoading(true);
       setError(null); // Reset error state on new fetch
 
-      let allData = []; // To store volunteers from all pages
-      let nextUrl = `${API_BASE_URL}/api/volunteers/`; // Start with the first page
-
       try {
-        // Loop while there is a 'next' URL to fetch
-        while (nextUrl) {
-          const response = await fetch(nextUrl, {
-            headers: { 'Authorization': `Token ${authToken}` },
-          });
-          if (!response.ok) throw new Error('Failed to fetch volunteer data.');
-          const data = await response.json();
-
-          // Add the results from this page to our main array
-          allData.push(...(data.results || (Array.isArray(data) ? data : [])));
-          
-          // Get the URL for the next page, or null if this is the last page
-          nextUrl = data.next;
-        }
+        // Follows the paginated 'next' links so we get ALL volunteers
+        const allData = await fetchAllPages('/api/volunteers/', { errorMessage: 'Failed to fetch volunteer data.' });
 
         // Now, allData contains ALL volunteers
         setAllVolunteers(allData);
@@ -157,13 +142,7 @@ export default function VolunteerListPage() {
   const handleDeleteVolunteer = async (id) => {
     if (window.confirm("Are you sure? This cannot be undone.")) {
       try {
-        const response = await fetch(`${API_BASE_URL}/api/volunteers/${id}/`, { 
-          method: 'DELETE', 
-          headers: { 'Authorization': `Token ${authToken}` } 
-        });
-        if (!response.ok) {
-            throw new Error('Failed to delete volunteer.');
-        }
+        await api.delete(`/api/volunteers/${id}/`, { errorMessage: 'Failed to delete volunteer.' });
         setAllVolunteers(allVolunteers.filter(v => v.id !== id));
       } catch (err) { alert(`Error: ${err.message}`); }
     }
@@ -246,7 +225,7 @@ export default function VolunteerListPage() {
                       <div className="flex items-center gap-x-4">
                         <button onClick={() => handleOpenModal(v)} className="p-2 rounded-md text-slate-500 hover:bg-slate-100 hover:text-sky-700" title="Quick View/Edit Status"><PencilSquareIcon className="h-5 w-5" /></button>
                         {v.status === 'approved' && (<button onClick={() => goToDetailPage(v.id)} className="p-2 rounded-md text-slate-500 hover:bg-slate-100 hover:text-green-700" title="Go to Volunteer Workspace"><ArrowTopRightOnSquareIcon className="h-5 w-5" /></button>)}
-                        <button onClick={() => handleDeleteVolunteer(v.id)} disabled={v.status !== 'pending'} className="p-2 rounded-md text-slate-500 hover:bg-rose-100 hover:text-rose-700 disabled:opacity-50 disabled:cursor-not-allowed" title="Delete Registration"><TrashIcon className="h-5 w-5" /></button>
+                        {can('volunteers.delete') && (<button onClick={() => handleDeleteVolunteer(v.id)} disabled={v.status !== 'pending'} className="p-2 rounded-md text-slate-500 hover:bg-rose-100 hover:text-rose-700 disabled:opacity-50 disabled:cursor-not-allowed" title="Delete Registration"><TrashIcon className="h-5 w-5" /></button>)}
                       </div>
                     </td>
                   </tr>
@@ -273,7 +252,7 @@ export default function VolunteerListPage() {
                     <div className="mt-4 flex items-center justify-end gap-x-2">
                         <button onClick={() => handleOpenModal(v)} className="p-2 rounded-md text-slate-500 hover:bg-slate-100 hover:text-sky-700" title="Quick View/Edit Status"><PencilSquareIcon className="h-5 w-5" /></button>
                         {v.status === 'approved' && (<button onClick={() => goToDetailPage(v.id)} className="p-2 rounded-md text-slate-500 hover:bg-slate-100 hover:text-green-700" title="Go to Volunteer Workspace"><ArrowTopRightOnSquareIcon className="h-5 w-5" /></button>)}
-                        <button onClick={() => handleDeleteVolunteer(v.id)} disabled={v.status !== 'pending'} className="p-2 rounded-md text-slate-500 hover:bg-rose-100 hover:text-rose-700 disabled:opacity-50 disabled:cursor-not-allowed" title="Delete Registration"><TrashIcon className="h-5 w-5" /></button>
+                        {can('volunteers.delete') && (<button onClick={() => handleDeleteVolunteer(v.id)} disabled={v.status !== 'pending'} className="p-2 rounded-md text-slate-500 hover:bg-rose-100 hover:text-rose-700 disabled:opacity-50 disabled:cursor-not-allowed" title="Delete Registration"><TrashIcon className="h-5 w-5" /></button>)}
                     </div>
                 </div>
               ))}
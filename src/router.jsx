@@ -1,14 +1,18 @@
 import { createBrowserRouter, Navigate } from 'react-router-dom';
 import App from './App';
 import ProtectedRoute from './components/ProtectedRoute';
+import RequirePermission from './components/RequirePermission';
 import LoginPage from './pages/LoginPage';
 import DashboardPage from './pages/DashboardPage';
 import VolunteerListPage from './pages/VolunteerListPage';
 import VolunteerDetailPage from './pages/VolunteerDetailPage';
-import SessionDetailPage, { loader as sessionDetailLoader } from './pages/SessionDetailPage';
+import SessionDetailPage from './pages/SessionDetailPage';
+import { loader as sessionLoader } from './pages/SessionDetailPage.loader';
 // --- Add import for the new chart page ---
-import SessionChartPage, { loader as sessionChartLoader } from './pages/SessionChartPage'; 
+import SessionChartPage from './pages/SessionChartPage';
 import SessionNotFound from './components/SessionNotFound';
+import BenchmarkPage from './pages/BenchmarkPage';
+import AnnotationQueuePage from './pages/AnnotationQueuePage';
 
 
 const router = createBrowserRouter([
@@ -29,25 +33,33 @@ const router = createBrowserRouter([
           },
           {
             path: 'volunteers',
-            element: <VolunteerListPage />,
+            element: <RequirePermission permission="volunteers.view"><VolunteerListPage /></RequirePermission>,
           },
           {
             path: 'volunteers/:volunteerId',
-            element: <VolunteerDetailPage />,
+            element: <RequirePermission permission="volunteers.view"><VolunteerDetailPage /></RequirePermission>,
           },
           {
             path: 'sessions/:sessionId',
-            element: <SessionDetailPage />,
-            loader: sessionDetailLoader,
+            element: <RequirePermission permission="sessions.view"><SessionDetailPage /></RequirePermission>,
+            loader: sessionLoader,
             errorElement: <SessionNotFound />,
           },
           // --- This is the new route for the isolated chart page ---
           {
             path: 'sessions/:sessionId/chart',
-            element: <SessionChartPage />,
-            loader: sessionChartLoader,
+            element: <RequirePermission permission="sessions.view"><SessionChartPage /></RequirePermission>,
+            loader: sessionLoader,
             errorElement: <SessionNotFound />,
           },
+          {
+            path: 'benchmark',
+            element: <RequirePermission permission="sessions.view"><BenchmarkPage /></RequirePermission>,
+          },
+          {
+            path: 'annotation-queue',
+            element: <RequirePermission permission="annotations.edit"><AnnotationQueuePage /></RequirePermission>,
+          },
         ],
       },
       {
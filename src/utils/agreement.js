@@ -0,0 +1,143 @@
+// Inter-annotator agreement. Each annotator labels a session independently into their own
+// annotation set; the session's own anomaly_class column is the adjudicated gold label.
+import { NORMAL_CLASS, normalizePointClass } from './anomalyClasses';
+
+/** The pseudo-annotator that stands for the session's adjudicated labels. */
+export const GOLD_ANNOTATOR = 'gold';
+
+/**
+ * Normalises the annotation sets of a session as returned by the backend.
+ * Sets only list the points their annotator marked as anomalous; everything else is Normal.
+ * @param {object[]|undefined} rawSets - Items like `{ annotator, updated_at, labels: [{ timestamp, anomaly_class }] }`.
+ * @returns {Array<{annotator: string, updated_at: string|null, labels: Map<string, string>}>} The sets, by annotator name.
+ */
+export function normalizeAnnotationSets(rawSets) {
+  if (!Array.isArray(rawSets)) return [];
+  return rawSets
+    .filter(set => set && set.annotator)
+    .map(set => ({
+      annotator: String(set.annotator),
+      updated_at: set.updated_at ?? null,
+      // Every listed point is an anomaly, so one without a known class counts as unclassified.
+      labels: new Map((set.labels || []).map(label => [label.timestamp, normalizePointClass({ anomaly: 1, ...label })])),
+    }))
+    .sort((a, b) => a.annotator.localeCompare(b.annotator));
+}
+
+/**
+ * Lists the anomalous points of a session in the shape annotation sets are saved in.
+ * @param {Array<{timestamp: string, anomaly_class: string}>} rows - The labelled rows.
+ * @returns {Array<{timestamp: string, anomaly_class: string}>} One entry per non-Normal row.
+ */
+export function toAnnotationLabels(rows) {
+  return rows
+    .filter(row => row.anomaly_class && row.anomaly_class !== NORMAL_CLASS)
+    .map(row => ({ timestamp: row.timestamp, anomaly_class: row.anomaly_class }));
+}
+
+/**
+ * Works out the class an annotator gave every row of a session.
+ * @param {Array<{timestamp: string}>} rows - The session rows (with `anomaly_class` for the gold labels).
+ * @param {string} annotator - An annotator name, or GOLD_ANNOTATOR.
+ * @param {object[]} sets - Normalised annotation sets.
+ * @returns {string[]|null} One class per row, or null when the annotator has no set for this session.
+ */
+export function getAnnotatorClasses(rows, annotator, sets) {
+  if (annotator === GOLD_ANNOTATOR) return rows.map(row => normalizePointClass(row));
+  const set = sets.find(s => s.annotator === annotator);
+  if (!set) return null;
+  return rows.map(row => set.labels.get(row.timestamp) || NORMAL_CLASS);
+}
+
+/**
+ * Counts how two annotators' classes line up, row by row.
+ * @param {string[]} classesA - One class per row from the first annotator.
+ * @param {string[]} classesB - One class per row from the second annotator.
+ * @returns {Object<string, number>} Counts keyed by `${classA}|${classB}`.
+ */
+export function buildConfusion(classesA, classesB) {
+  const confusion = {};
+  const length = Math.min(classesA.length, classesB.length);
+  for (let i = 0; i < length; i++) {
+    const key = `${classesA[i]}|${classesB[i]}`;
+    confusion[key] = (confusion[key] || 0) + 1;
+  }
+  return confusion;
+}
+
+/**
+ * Adds up confusion counts, e.g. over a set of sessions.
+ * @param {Array<Object<string, number>>} confusions - Results of buildConfusion.
+ * @returns {Object<string, number>} The summed counts.
+ */
+export function mergeConfusions(confusions) {
+  const merged = {};
+  confusions.forEach(confusion => {
+    Object.entries(confusion).forEach(([key, count]) => { merged[key] = (merged[key] || 0) + count; });
+  });
+  return merged;
+}
+
+/**
+ * Computes percent agreement and Cohen's kappa over the anomaly classes.
+ * Kappa is null when it is undefined, i.e. when chance agreement is already perfect
+ * (both annotators used a single, identical class throughout).
+ * @param {Object<string, number>} confusion - Counts from buildConfusion or mergeConfusions.
+ * @returns {{ total: number, agreed: number, percentAgreement: number|null, kappa: number|null }}
+ */
+export function computeAgreement(confusion) {
+  let total = 0;
+  let agreed = 0;
+  const marginalA = {};
+  const marginalB = {};
+  Object.entries(confusion).forEach(([key, count]) => {
+    const [classA, classB] = key.split('|');
+    total += count;
+    if (classA === classB) agreed += count;
+    marginalA[classA] = (marginalA[classA] || 0) + count;
+    marginalB[classB] = (marginalB[classB] || 0) + count;
+  });
+  if (total === 0) return { total, agreed, percentAgreement: null, kappa: null };
+
+  const observed = agreed / total;
+  const expected = Object.keys(marginalA).reduce((sum, cls) => sum + (marginalA[cls] / total) * ((marginalB[cls] || 0) / total), 0);
+  const kappa = expected === 1 ? null : (observed - expected) / (1 - expected);
+  return { total, agreed, percentAgreement: observed * 100, kappa };
+}
+
+/**
+ * Finds the runs of consecutive rows where two annotators disagree.
+ * @param {string[]} classesA - One class per row from the first annotator.
+ * @param {string[]} classesB - One class per row from the second annotator.
+ * @returns {Array<{start: number, end: number}>} Inclusive row index ranges.
+ */
+export function findDisagreementSegments(classesA, classesB) {
+  const segments = [];
+  let current = null;
+  const length = Math.min(classesA.length, classesB.length);
+  for (let i = 0; i < length; i++) {
+    if (classesA[i] !== classesB[i]) {
+      if (current && current.end === i - 1) current.end = i;
+      else {
+        current = { start: i, end: i };
+        segments.push(current);
+      }
+    }
+  }
+  return segments;
+}
+
+/**
+ * Describes a kappa value with the usual Landis & Koch bands.
+ * @param {number|null} kappa - Cohen's kappa.
+ * @returns {string} e.g. "Substantial".
+ */
+export function describeKappa(kappa) {
+  if (kappa == null) return 'n/a';
+  if (kappa < 0) return 'Poor';
+  if (kappa <= 0.2) return 'Slight';
+  if (kappa <= 0.4) return 'Fair';
+  if (kappa <= 0.6) return 'Moderate';
+  if (kappa <= 0.8) return 'Substantial';
+  return 'Almost perfect';
+}
@@ -0,0 +1,76 @@
+// The saved change sets of a session: every anomaly label save and every admin_label change,
+// recorded by the backend with who made it and when.
+import { normalizePointClass } from './anomalyClasses';
+
+export const HISTORY_KINDS = {
+  ANOMALIES: 'anomalies',
+  ADMIN_LABEL: 'admin_label',
+};
+
+// Older entries may store the binary anomaly flag instead of a class.
+const toClass = (value) => (typeof value === 'number' ? normalizePointClass({ anomaly: value }) : normalizePointClass({ anomaly: 1, anomaly_class: value }));
+
+/**
+ * Normalises a session's change history as returned by the backend.
+ * @param {object[]|undefined} rawEntries - Items like `{ id, kind, author, created_at, changes: [{ timestamp, from, to }] }`
+ *   or, for admin label changes, `{ id, kind: 'admin_label', author, created_at, from, to }`.
+ * @returns {object[]} The entries, newest first. Anomaly entries have `changes`; admin label entries have `adminLabel: { from, to }`.
+ */
+export function normalizeHistory(rawEntries) {
+  if (!Array.isArray(rawEntries)) return [];
+  return rawEntries
+    .filter(entry => entry && entry.created_at)
+    .map(entry => {
+      const isAdminLabel = entry.kind === HISTORY_KINDS.ADMIN_LABEL;
+      return {
+        id: String(entry.id),
+        kind: isAdminLabel ? HISTORY_KINDS.ADMIN_LABEL : HISTORY_KINDS.ANOMALIES,
+        author: entry.author ?? null,
+        created_at: entry.created_at,
+        changes: isAdminLabel ? [] : (entry.changes || []).map(change => ({ timestamp: change.timestamp, from: toClass(change.from), to: toClass(change.to) })),
+        adminLabel: isAdminLabel ? { from: entry.from ?? null, to: entry.to ?? null } : null,
+      };
+    })
+    .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at));
+}
+
+/**
+ * Works out the point labels that undo every anomaly change saved after an entry,
+ * i.e. that bring the session back to how it was right after that entry was saved.
+ * @param {object[]} entries - Normalised history, newest first.
+ * @param {string} entryId - The entry to go back to.
+ * @returns {Map<string, string>} Class by timestamp for every point changed since.
+ */
+export function getRevertLabels(entries, entryId) {
+  const labels = new Map();
+  const index = entries.findIndex(entry => entry.id === entryId);
+  if (index === -1) return labels;
+  // Walk from the newest change back, so a point changed several times ends up with
+  // its value from before the oldest of those changes.
+  entries.slice(0, index)
+    .filter(entry => entry.kind === HISTORY_KINDS.ANOMALIES)
+    .forEach(entry => entry.changes.forEach(change => labels.set(change.timestamp, change.from)));
+  return labels;
+}
+
+/**
+ * Groups the points changed by an entry into runs, for previewing it on the anomaly timeline.
+ * @param {Array<{timestamp: string}>} rows - The session rows.
+ * @param {object} entry - A normalised anomaly history entry.
+ * @returns {Array<{start: number, end: number, anomalyClass: string}>} Index ranges (inclusive) with the class they were given.
+ */
+export function getChangedSegments(rows, entry) {
+  const changedTo = new Map(entry.changes.map(change => [change.timestamp, change.to]));
+  const segments = [];
+  let current = null;
+  rows.forEach((row, index) => {
+    const anomalyClass = changedTo.get(row.timestamp);
+    if (anomalyClass && current && current.end === index - 1 && current.anomalyClass === anomalyClass) {
+      current.end = index;
+    } else if (anomalyClass) {
+      current = { start: index, end: index, anomalyClass };
+      segments.push(current);
+    }
+  });
+  return segments;
+}
@@ -0,0 +1,73 @@
+// The anomaly taxonomy used for manual labels, both for a whole session (admin_label)
+// and for single points (anomaly_class). The binary `anomaly` field is kept in sync
+// (0 for Normal, 1 for any anomaly class) for the ML code and older exports.
+
+export const NORMAL_CLASS = 'Normal';
+// Points labelled before classes existed only have anomaly = 1.
+export const UNCLASSIFIED_CLASS = 'Unclassified Anomaly';
+// Irregular beats, e.g. the ectopic beats found in RR-interval data.
+export const ARRHYTHMIC_CLASS = 'Arrhythmic Anomaly';
+
+export const ANOMALY_CLASSES = [
+  { value: NORMAL_CLASS, label: 'Normal', shortLabel: 'N', color: '#22c55e', stroke: '#16a34a' },
+  { value: 'Ischemic Anomaly', label: 'Ischemic', shortLabel: 'I', color: '#ef4444', stroke: '#b91c1c' },
+  { value: ARRHYTHMIC_CLASS, label: 'Arrhythmic', shortLabel: 'A', color: '#ea580c', stroke: '#9a3412' },
+];
+
+// The classes an annotator can give to a point; Normal is applied by erasing.
+export const LABEL_CLASSES = ANOMALY_CLASSES.filter(c => c.value !== NORMAL_CLASS);
+
+const UNCLASSIFIED = { value: UNCLASSIFIED_CLASS, label: 'Unclassified', shortLabel: 'U', color: '#db2777', stroke: '#9d174d' };
+
+/**
+ * Looks up the display details of a class.
+ * @param {string} value - A class value such as 'Ischemic Anomaly'.
+ * @returns {{value: string, label: string, shortLabel: string, color: string, stroke: string}} The class, or the unclassified entry.
+ */
+export function getClassInfo(value) {
+  return ANOMALY_CLASSES.find(c => c.value === value) || UNCLASSIFIED;
+}
+
+/**
+ * Works out the class of a raw time-series row from the server.
+ * @param {{anomaly?: number|string, anomaly_class?: string}} row - The row.
+ * @returns {string} A class value; anomalies without a known class are unclassified.
+ */
+export function normalizePointClass(row) {
+  const known = ANOMALY_CLASSES.find(c => c.value === row.anomaly_class);
+  if (known) return known.value;
+  return Number(row.anomaly) === 1 ? UNCLASSIFIED_CLASS : NORMAL_CLASS;
+}
+
+/**
+ * Returns a copy of a row with a new class, keeping the binary `anomaly` field in sync.
+ * @param {object} row - The row.
+ * @param {string} anomalyClass - The new class value.
+ * @returns {object} The updated row.
+ */
+export function withPointClass(row, anomalyClass) {
+  return { ...row, anomaly_class: anomalyClass, anomaly: anomalyClass === NORMAL_CLASS ? 0 : 1 };
+}
+
+/**
+ * Splits rows into runs of consecutive points with the same (non-Normal) class,
+ * e.g. for the anomaly timeline.
+ * @param {Array<{anomaly_class: string}>} rows - The rows, in time order.
+ * @returns {Array<{start: number, end: number, anomalyClass: string}>} Index ranges (inclusive) of each run.
+ */
+export function findClassSegments(rows) {
+  const segments = [];
+  let current = null;
+  rows.forEach((row, index) => {
+    const anomalyClass = row.anomaly_class;
+    if (anomalyClass && anomalyClass !== NORMAL_CLASS && current?.anomalyClass === anomalyClass) {
+      current.end = index;
+    } else if (anomalyClass && anomalyClass !== NORMAL_CLASS) {
+      current = { start: index, end: index, anomalyClass };
+      segments.push(current);
+    } else {
+      current = null;
+    }
+  });
+  return segments;
+}
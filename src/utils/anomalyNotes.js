@@ -0,0 +1,53 @@
+// Free-text notes that annotators attach to a time range of a session, e.g. why a segment
+// was flagged. A note covers every row from start_timestamp to end_timestamp (inclusive).
+
+const createNoteId = () => (window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random()}`);
+
+/**
+ * Normalises the notes of a session as returned by the backend.
+ * @param {object[]|undefined} rawNotes - The session's `anomaly_notes`.
+ * @returns {Array<{id: string, start_timestamp: string, end_timestamp: string, text: string, author: string|null, created_at: string|null}>} The notes, oldest range first.
+ */
+export function normalizeNotes(rawNotes) {
+  if (!Array.isArray(rawNotes)) return [];
+  return rawNotes
+    .filter(note => note && note.start_timestamp && note.end_timestamp)
+    .map(note => ({
+      id: String(note.id ?? createNoteId()),
+      start_timestamp: note.start_timestamp,
+      end_timestamp: note.end_timestamp,
+      text: note.text ?? '',
+      author: note.author ?? null,
+      created_at: note.created_at ?? null,
+    }))
+    .sort((a, b) => Date.parse(a.start_timestamp) - Date.parse(b.start_timestamp));
+}
+
+/**
+ * Creates a new note for a range of rows.
+ * @param {object} fields
+ * @param {string} fields.startTimestamp - Timestamp of the first row covered.
+ * @param {string} fields.endTimestamp - Timestamp of the last row covered.
+ * @param {string} fields.text - The note.
+ * @param {string|null} fields.author - Username of the annotator.
+ * @returns {object} The note.
+ */
+export function createNote({ startTimestamp, endTimestamp, text, author }) {
+  const [start, end] = Date.parse(startTimestamp) <= Date.parse(endTimestamp) ? [startTimestamp, endTimestamp] : [endTimestamp, startTimestamp];
+  return { id: createNoteId(), start_timestamp: start, end_timestamp: end, text: text.trim(), author, created_at: new Date().toISOString() };
+}
+
+/**
+ * Finds the note text for every row, e.g. for a `note` column in the CSV export.
+ * Rows covered by several notes get all of them, separated by " | ".
+ * @param {Array<{timestamp: string}>} rows - The session rows.
+ * @param {object[]} notes - Normalised notes.
+ * @returns {string[]} One entry per row; empty when no note covers it.
+ */
+export function getNoteTextsByRow(rows, notes) {
+  const ranges = notes.map(note => ({ start: Date.parse(note.start_timestamp), end: Date.parse(note.end_timestamp), text: note.text }));
+  return rows.map(row => {
+    const time = Date.parse(row.timestamp);
+    return ranges.filter(range => time >= range.start && time <= range.end).map(range => range.text).join(' | ');
+  });
+}
@@ -0,0 +1,102 @@
+// Continuous anomaly scores. Next to each `*_prediction` column the backend may send the model's raw
+// score as `*_score`; thresholding the score gives a binary prediction that replaces the model's own,
+// and sweeping the threshold gives the precision-recall curve.
+import { scoreCounts } from './evaluation';
+
+const toScore = (value) => (value == null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+/**
+ * The score column that belongs to a prediction column.
+ * @param {string} predictionKey - e.g. "lstm_prediction".
+ * @returns {string} e.g. "lstm_score".
+ */
+export function getScoreKey(predictionKey) {
+  return predictionKey.replace(/_prediction$/, '_score');
+}
+
+/**
+ * Keeps the models that have a score on at least one row.
+ * @param {object[]} rows - The session rows.
+ * @param {Array<{key: string}>} sources - The prediction columns.
+ * @returns {Array<{key: string}>} The sources with scores, in the same order.
+ */
+export function findScoredSources(rows, sources) {
+  return sources.filter(({ key }) => key.endsWith('_prediction') && rows.some(row => toScore(row[getScoreKey(key)]) != null));
+}
+
+/**
+ * The lowest and highest score of a model.
+ * @param {object[]} rows - The session rows.
+ * @param {string} scoreKey - The score column.
+ * @returns {{min: number, max: number}|null} The range, or null when the model has no scores.
+ */
+export function getScoreRange(rows, scoreKey) {
+  let min = Infinity;
+  let max = -Infinity;
+  rows.forEach(row => {
+    const score = toScore(row[scoreKey]);
+    if (score == null) return;
+    if (score < min) min = score;
+    if (score > max) max = score;
+  });
+  return min <= max ? { min, max } : null;
+}
+
+/**
+ * Replaces the predictions of the thresholded models with `score >= threshold`.
+ * Rows without a score keep the model's own prediction.
+ * @param {object[]} rows - The session rows.
+ * @param {Object<string, number>} thresholds - Threshold per prediction column.
+ * @returns {object[]} New rows; the same rows when no model is thresholded.
+ */
+export function withScoreThresholds(rows, thresholds) {
+  const entries = Object.entries(thresholds);
+  if (entries.length === 0) return rows;
+  return rows.map(row => {
+    const next = { ...row };
+    entries.forEach(([key, threshold]) => {
+      const score = toScore(row[getScoreKey(key)]);
+      if (score != null) next[key] = score >= threshold ? 1 : 0;
+    });
+    return next;
+  });
+}
+
+/**
+ * Point-wise precision and recall of a model's scores against the manual labels at every threshold.
+ * @param {Array<{anomaly: number}>} rows - The session rows with manual labels.
+ * @param {string} scoreKey - The score column.
+ * @param {number} [maxPoints=200] - The most curve points to return; the curve is thinned out evenly beyond that.
+ * @returns {{ points: Array<{threshold: number, precision: number, recall: number, f1: number|null}>,
+ *   averagePrecision: number|null, best: object|null }} The curve from the highest threshold down, the average
+ *   precision (area under the step curve) and the point with the best F1. Empty when there are no labelled anomalies.
+ */
+export function computePrCurve(rows, scoreKey, maxPoints = 200) {
+  const scored = rows
+    .map(row => ({ score: toScore(row[scoreKey]), truth: Number(row.anomaly) === 1 }))
+    .filter(point => point.score != null)
+    .sort((a, b) => b.score - a.score);
+  const positives = scored.filter(point => point.truth).length;
+  if (positives === 0) return { points: [], averagePrecision: null, best: null };
+
+  const points = [];
+  let tp = 0;
+  let fp = 0;
+  let averagePrecision = 0;
+  let best = null;
+  scored.forEach((point, index) => {
+    if (point.truth) tp++;
+    else fp++;
+    // Points with the same score are flagged together, so only the last of them makes a curve point.
+    if (scored[index + 1]?.score === point.score) return;
+    const { precision, recall, f1 } = scoreCounts({ tp, fp, fn: positives - tp, tn: scored.length - positives - fp });
+    averagePrecision += (recall - (points[points.length - 1]?.recall ?? 0)) * precision;
+    const curvePoint = { threshold: point.score, precision, recall, f1 };
+    points.push(curvePoint);
+    if ((f1 ?? -1) > (best?.f1 ?? -1)) best = curvePoint;
+  });
+
+  const step = Math.ceil(points.length / maxPoints);
+  const thinned = step > 1 ? points.filter((_, index) => index % step === 0 || index === points.length - 1) : points;
+  return { points: thinned, averagePrecision, best };
+}
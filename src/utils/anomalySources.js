@@ -0,0 +1,13 @@
+// The ML prediction columns stored on each time-series row (0 = normal, 1 = anomaly),
+// shared by the session chart overlay, the model evaluation and the benchmark.
+// Each model has its own color so several can be overlaid on the chart at once.
+export const anomalySources = [
+  { key: 'ensemble_prediction', label: 'Ensemble Prediction', color: '#8b5cf6' },
+  { key: 'lof_prediction', label: 'LOF Prediction', color: '#0ea5e9' },
+  { key: 'iforest_prediction', label: 'Isolation Forest', color: '#eab308' },
+  { key: 'ocsvm_prediction', label: 'OCSVM Prediction', color: '#14b8a6' },
+  { key: 'kmeans_prediction', label: 'K-Means Prediction', color: '#64748b' },
+  { key: 'lstm_prediction', label: 'LSTM Prediction', color: '#6366f1' },
+  { key: 'usad_prediction', label: 'USAD Prediction', color: '#a16207' },
+  { key: 'mp_prediction', label: 'MP Prediction', color: '#d946ef' },
+];
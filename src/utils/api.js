@@ -0,0 +1,169 @@
+// Shared client for talking to the Django REST backend.
+// Every request goes through `apiRequest` so the token header, body encoding,
+// error messages and expired-session handling live in one place.
+import { getAuthToken, removeAuthToken } from './auth';
+
+export const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://127.0.0.1:8000';
+
+/**
+ * Error thrown for any non-2xx response.
+ * `message` is already normalized from the response body, so it can be shown to the user as-is.
+ */
+export class ApiError extends Error {
+  constructor(message, status, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Replaced by AuthProvider so a 401 goes through the router instead of a full page reload.
+let unauthorizedHandler = () => {
+  window.location.assign('/login');
+};
+
+/**
+ * Registers the callback that runs when the backend rejects our token (HTTP 401).
+ * The token has already been removed from storage when the callback runs.
+ * @param {Function} handler - The callback to run.
+ * @returns {Function} A function that restores the default handler.
+ */
+export function setUnauthorizedHandler(handler) {
+  unauthorizedHandler = handler;
+  return () => {
+    unauthorizedHandler = () => window.location.assign('/login');
+  };
+}
+
+const buildUrl = (path) => (/^https?:\/\//i.test(path) ? path : `${API_BASE_URL}${path}`);
+
+/**
+ * Turns a DRF error payload into a single readable message.
+ * Handles `{ detail }`, `{ non_field_errors: [] }` and `{ field: ['msg'] }` shapes.
+ * @param {*} data - The parsed response body.
+ * @param {string} fallback - The message to use when the body has nothing useful.
+ * @returns {string} The error message.
+ */
+export function normalizeErrorMessage(data, fallback) {
+  if (!data) return fallback;
+  if (typeof data === 'string') return data.length < 200 ? data : fallback;
+  if (data.detail) return String(data.detail);
+  if (Array.isArray(data.non_field_errors)) return data.non_field_errors.join(' ');
+  const fieldMessages = Object.entries(data)
+    .filter(([, value]) => typeof value === 'string' || Array.isArray(value))
+    .map(([field, value]) => `${field}: ${[].concat(value).join(' ')}`);
+  return fieldMessages.length > 0 ? fieldMessages.join(' ') : fallback;
+}
+
+const parseBody = async (response) => {
+  if (response.status === 204) return null;
+  const contentType = response.headers.get('Content-Type') || '';
+  if (contentType.includes('application/json')) return response.json();
+  const text = await response.text();
+  return text || null;
+};
+
+/**
+ * Sends a request to the backend.
+ * Plain objects are sent as JSON; FormData is passed through so the browser sets the multipart boundary.
+ * @param {string} path - An API path like `/api/sessions/` or an absolute URL (e.g. a DRF `next` link).
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - The HTTP method.
+ * @param {object|FormData} [options.body] - The request body.
+ * @param {object} [options.headers] - Extra headers.
+ * @param {AbortSignal} [options.signal] - Signal used to cancel the request.
+ * @param {boolean} [options.auth=true] - Whether to send the token and treat a 401 as an expired session.
+ * @param {string} [options.errorMessage] - Message to use when the error response has no detail.
+ * @returns {Promise<*>} The parsed response body, or null for an empty response.
+ * @throws {ApiError} When the response status is not 2xx.
+ */
+export async function apiRequest(path, { method = 'GET', body, headers = {}, signal, auth = true, errorMessage } = {}) {
+  const requestHeaders = { ...headers };
+  const token = auth ? getAuthToken() : null;
+  if (token) {
+    requestHeaders.Authorization = `Token ${token}`;
+  }
+
+  let requestBody = body;
+  if (body != null && !(body instanceof FormData)) {
+    requestHeaders['Content-Type'] = 'application/json';
+    requestBody = JSON.stringify(body);
+  }
+
+  const response = await fetch(buildUrl(path), { method, headers: requestHeaders, body: requestBody, signal });
+  const data = await parseBody(response).catch(() => null);
+
+  // Only the token this request sent has expired. Parallel requests with the same token all get a 401,
+  // and a late one must not remove a token stored since by a new login, so the first 401 for the
+  // current token logs out and the others find it already gone (or replaced).
+  if (response.status === 401 && token && getAuthToken() === token) {
+    removeAuthToken();
+    unauthorizedHandler();
+  }
+  if (!response.ok) {
+    const fallback = errorMessage || `Request failed with status ${response.status}.`;
+    throw new ApiError(normalizeErrorMessage(data, fallback), response.status, data);
+  }
+  return data;
+}
+
+export const api = {
+  get: (path, options) => apiRequest(path, { ...options, method: 'GET' }),
+  post: (path, body, options) => apiRequest(path, { ...options, method: 'POST', body }),
+  patch: (path, body, options) => apiRequest(path, { ...options, method: 'PATCH', body }),
+  delete: (path, options) => apiRequest(path, { ...options, method: 'DELETE' }),
+};
+
+/**
+ * Follows DRF `next` links and collects the results of every page.
+ * Also accepts endpoints that return a plain array.
+ * @param {string} path - The first page to request.
+ * @param {object} [options] - Options passed to every `apiRequest` call.
+ * @returns {Promise<Array>} The results from all pages.
+ */
+export async function fetchAllPages(path, options) {
+  const allResults = [];
+  let nextUrl = path;
+  while (nextUrl) {
+    const data = await api.get(nextUrl, options);
+    allResults.push(...(data?.results || (Array.isArray(data) ? data : [])));
+    nextUrl = data?.next || null;
+  }
+  return allResults;
+}
+
+/**
+ * Fetches the detail of several sessions a few at a time, since each one carries its full time series.
+ * Only what `summarize` returns is kept, so each time series can be garbage collected once it is summarized.
+ * A session that fails to load is reported in `failed` instead of failing the others.
+ * @param {Array<{id: number}>} sessions - The sessions to fetch.
+ * @param {Function} summarize - Called with each session detail; its return value is collected.
+ * @param {object} [options] - Options passed to every `apiRequest` call.
+ * @param {number} [options.concurrency=4] - How many sessions to fetch at once.
+ * @param {Function} [options.onProgress] - Called after each session with the number done so far, failed or not.
+ * @param {AbortSignal} [options.signal] - Stops all the workers; the promise then rejects with an AbortError.
+ * @returns {Promise<{ results: Array, failed: Array<{id: number, message: string}> }>} The summaries, in the
+ *   order the sessions finished loading, and the sessions that could not be loaded.
+ */
+export async function mapSessionDetails(sessions, summarize, { concurrency = 4, onProgress, ...options } = {}) {
+  const results = [];
+  const failed = [];
+  let next = 0;
+  const worker = async () => {
+    while (next < sessions.length) {
+      options.signal?.throwIfAborted();
+      const { id } = sessions[next++];
+      try {
+        const session = await api.get(`/api/sessions/${id}/`, { errorMessage: `Failed to fetch session ${id}`, ...options });
+        results.push(summarize(session));
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        failed.push({ id, message: err.message });
+      }
+      onProgress?.(results.length + failed.length);
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+  return { results, failed };
+}
@@ -0,0 +1,213 @@
+// Rule-based detectors for sensor artifacts (jumps, flatlines, dropouts, impossible rates, cadence
+// lock-in). They run in the browser over the chart rows and add one 0/1 column per rule, so the rules
+// can be overlaid, copied and evaluated like the ML models. Settings are kept in localStorage.
+import { findSamplingGaps } from './dataQuality';
+
+// Also watched by useArtifactRuleSettings to keep other open tabs in sync.
+export const RULE_SETTINGS_STORAGE_KEY = 'hr-artifact-rules';
+const KEY_PREFIX = 'artifact:';
+export const ANY_ARTIFACT_KEY = `${KEY_PREFIX}any`;
+
+export const ARTIFACT_RULES = [
+  {
+    id: 'hr_jump',
+    label: 'HR jump',
+    description: 'Heart rate changes faster than a heart can.',
+    color: '#78350f',
+    params: [{ key: 'maxDelta', label: 'Max change', unit: 'bpm/s', defaultValue: 40, min: 1 }],
+  },
+  {
+    id: 'flatline',
+    label: 'Flatline',
+    description: 'Heart rate stays at exactly the same value for too long.',
+    color: '#57534e',
+    params: [{ key: 'minDuration', label: 'Min duration', unit: 's', defaultValue: 15, min: 1 }],
+  },
+  {
+    id: 'dropout',
+    label: 'Dropout',
+    description: 'The sensor gave no heart rate reading.',
+    color: '#a8a29e',
+    params: [],
+  },
+  {
+    id: 'above_max',
+    label: 'Above age max',
+    description: 'Heart rate above the age-predicted maximum (220 − age).',
+    color: '#be123c',
+    params: [{ key: 'percent', label: 'Limit', unit: '% of max', defaultValue: 100, min: 50 }],
+  },
+  {
+    id: 'cadence_lock',
+    label: 'Cadence lock-in',
+    description: 'Heart rate follows the cadence, a sign the sensor picks up the step rhythm.',
+    color: '#0f766e',
+    params: [
+      { key: 'tolerance', label: 'Tolerance', unit: 'bpm', defaultValue: 3, min: 0 },
+      { key: 'minDuration', label: 'Min duration', unit: 's', defaultValue: 30, min: 1 },
+    ],
+  },
+];
+
+/**
+ * The settings every rule starts with: all rules on, with their default parameters.
+ * @returns {Object<string, object>} `{ enabled, ...params }` per rule id.
+ */
+export function getDefaultRuleSettings() {
+  return Object.fromEntries(ARTIFACT_RULES.map(rule => [
+    rule.id,
+    { enabled: true, ...Object.fromEntries(rule.params.map(param => [param.key, param.defaultValue])) },
+  ]));
+}
+
+/**
+ * Reads a parameter value typed by the user.
+ * @param {{min: number}} param - The parameter, from ARTIFACT_RULES.
+ * @param {*} value - The typed value.
+ * @returns {number|null} The value as a number, or null when it is empty, not a number or below the parameter's minimum.
+ */
+export function parseRuleParam(param, value) {
+  if (value === '' || value == null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) && number >= param.min ? number : null;
+}
+
+/**
+ * Reads the saved settings on top of the defaults, so rules added later still get settings.
+ * Saved parameters that are no longer valid (see parseRuleParam) fall back to the default.
+ * @returns {Object<string, object>} See getDefaultRuleSettings.
+ */
+export function loadRuleSettings() {
+  const defaults = getDefaultRuleSettings();
+  try {
+    const saved = JSON.parse(localStorage.getItem(RULE_SETTINGS_STORAGE_KEY) || '{}');
+    return Object.fromEntries(ARTIFACT_RULES.map(rule => {
+      const ruleSettings = { ...defaults[rule.id], ...saved?.[rule.id] };
+      rule.params.forEach(param => {
+        if (parseRuleParam(param, ruleSettings[param.key]) == null) ruleSettings[param.key] = param.defaultValue;
+      });
+      return [rule.id, ruleSettings];
+    }));
+  } catch {
+    return defaults;
+  }
+}
+
+/**
+ * Replaces the saved settings.
+ * @param {Object<string, object>} settings - See getDefaultRuleSettings.
+ */
+export function saveRuleSettings(settings) {
+  localStorage.setItem(RULE_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+}
+
+/**
+ * The age-predicted maximum heart rate (220 − age) of a volunteer on a given day.
+ * @param {string} dateOfBirth - e.g. "1990-05-17".
+ * @param {string|Date} onDate - The day of the run.
+ * @returns {number|null} The maximum in bpm, or null when the date of birth is missing or invalid.
+ */
+export function getAgePredictedMaxHr(dateOfBirth, onDate) {
+  const birth = new Date(dateOfBirth);
+  const day = new Date(onDate);
+  if (!dateOfBirth || isNaN(birth) || isNaN(day)) return null;
+  let age = day.getFullYear() - birth.getFullYear();
+  if (day.getMonth() < birth.getMonth() || (day.getMonth() === birth.getMonth() && day.getDate() < birth.getDate())) age--;
+  return age > 0 ? 220 - age : null;
+}
+
+// Flags every run of consecutive rows matching `matches` that lasts at least `minDuration` seconds.
+// A run ends at a sampling gap (`runBreaks` holds the index of the first row after each gap), since
+// nothing is known about the heart rate while the sensor was silent.
+const flagLongRuns = (rows, matches, minDuration, runBreaks) => {
+  const flags = rows.map(() => false);
+  let start = null;
+  rows.forEach((row, index) => {
+    if (start != null && (runBreaks.has(index) || !matches(row, rows[index - 1]))) {
+      if (rows[index - 1].elapsed_time - rows[start].elapsed_time >= minDuration) flags.fill(true, start, index);
+      start = null;
+    }
+    if (start == null && matches(row, null)) start = index;
+  });
+  if (start != null && rows[rows.length - 1].elapsed_time - rows[start].elapsed_time >= minDuration) flags.fill(true, start);
+  return flags;
+};
+
+const DETECTORS = {
+  hr_jump: (rows, { maxDelta }) => rows.map((row, index) => {
+    const previous = rows[index - 1];
+    if (!previous || row.heart_rate == null || previous.heart_rate == null) return false;
+    // Gaps shorter than a second are treated as a second, so closely spaced samples aren't over-counted.
+    const seconds = Math.max(row.elapsed_time - previous.elapsed_time, 1);
+    return Math.abs(row.heart_rate - previous.heart_rate) / seconds > maxDelta;
+  }),
+  flatline: (rows, { minDuration }, { runBreaks }) => flagLongRuns(
+    rows,
+    (row, previous) => row.heart_rate != null && (!previous || row.heart_rate === previous.heart_rate),
+    minDuration,
+    runBreaks
+  ),
+  dropout: (rows) => rows.map(row => row.heart_rate == null),
+  above_max: (rows, { percent }, { maxHeartRate }) => rows.map(row => row.heart_rate != null && row.heart_rate > (maxHeartRate * percent) / 100),
+  cadence_lock: (rows, { tolerance, minDuration }, { runBreaks }) => flagLongRuns(
+    rows,
+    row => row.heart_rate != null && row.cadence != null && row.cadence > 0 && Math.abs(row.heart_rate - row.cadence) <= tolerance,
+    minDuration,
+    runBreaks
+  ),
+};
+
+/**
+ * The rules that can run: enabled, and with the data they need (the age rule needs the maximum heart rate).
+ * @param {Object<string, object>} settings - See getDefaultRuleSettings.
+ * @param {{ maxHeartRate: number|null }} context - Facts about the volunteer.
+ * @returns {object[]} The entries of ARTIFACT_RULES that run.
+ */
+export function getActiveRules(settings, { maxHeartRate }) {
+  return ARTIFACT_RULES.filter(rule => settings[rule.id]?.enabled && (rule.id !== 'above_max' || maxHeartRate));
+}
+
+/**
+ * The column a rule's result is stored under on each row.
+ * @param {string} ruleId - The rule id.
+ * @returns {string} e.g. "artifact:flatline".
+ */
+export function getRuleKey(ruleId) {
+  return `${KEY_PREFIX}${ruleId}`;
+}
+
+/**
+ * Lists the active rules in the same `{ key, label, color }` shape as anomalySources, led by a source
+ * that flags a point when any rule does.
+ * @param {Object<string, object>} settings - See getDefaultRuleSettings.
+ * @param {{ maxHeartRate: number|null }} context - Facts about the volunteer.
+ * @returns {Array<{key: string, label: string, color: string, kind: string}>} No sources when no rule runs.
+ */
+export function toArtifactSources(settings, context) {
+  const rules = getActiveRules(settings, context);
+  if (rules.length === 0) return [];
+  return [
+    { key: ANY_ARTIFACT_KEY, label: 'Artifact rules (any)', color: '#44403c', kind: 'rule' },
+    ...rules.map(rule => ({ key: getRuleKey(rule.id), label: `Rule: ${rule.label}`, color: rule.color, kind: 'rule' })),
+  ];
+}
+
+/**
+ * Runs the active rules and adds their results to each row.
+ * @param {Array<{elapsed_time: number, heart_rate: number, cadence: number}>} rows - The chart rows, in time order.
+ * @param {Object<string, object>} settings - See getDefaultRuleSettings.
+ * @param {{ maxHeartRate: number|null }} context - Facts about the volunteer.
+ * @returns {object[]} New rows with a 0/1 column per active rule and ANY_ARTIFACT_KEY; the same rows when no rule runs.
+ */
+export function withArtifactRules(rows, settings, context) {
+  const rules = getActiveRules(settings, context);
+  if (rules.length === 0 || rows.length === 0) return rows;
+  const runBreaks = new Set(findSamplingGaps(rows).gaps.map(gap => gap.endIndex));
+  const results = rules.map(rule => ({ key: getRuleKey(rule.id), flags: DETECTORS[rule.id](rows, settings[rule.id], { ...context, runBreaks }) }));
+  return rows.map((row, index) => {
+    const next = { ...row };
+    results.forEach(({ key, flags }) => { next[key] = flags[index] ? 1 : 0; });
+    next[ANY_ARTIFACT_KEY] = results.some(({ flags }) => flags[index]) ? 1 : 0;
+    return next;
+  });
+}
@@ -1,12 +1,15 @@
 // This utility assumes you store your auth token in localStorage upon login.
 // If you use another method, you'll need to adjust this file.
 
+// Also watched by AuthContext to keep other open tabs in sync.
+export const AUTH_TOKEN_KEY = 'authToken';
+
 /**
  * Retrieves the authentication token from localStorage.
  * @returns {string|null} The auth token or null if not found.
  */
 export function getAuthToken() {
-  const token = localStorage.getItem('authToken');
+  const token = localStorage.getItem(AUTH_TOKEN_KEY);
   return token;
 }
 
@@ -18,12 +21,40 @@ export function setAuthToken(token) {
   if (!token) {
     return;
   }
-  localStorage.setItem('authToken', token);
+  localStorage.setItem(AUTH_TOKEN_KEY, token);
 }
 
 /**
  * Removes the authentication token from localStorage.
  */
 export function removeAuthToken() {
-  localStorage.removeItem('authToken');
-}
\ No newline at end of file
+  localStorage.removeItem(AUTH_TOKEN_KEY);
+}
+
+/**
+ * Builds the login URL that remembers where the user was trying to go.
+ * @param {{pathname: string, search?: string, hash?: string}} location - The location to return to after login.
+ * @returns {string} The login path, with a `next` query parameter when there is somewhere to return to.
+ */
+export function getLoginPath(location) {
+  if (!location || location.pathname === '/' || location.pathname.startsWith('/login')) {
+    return '/login';
+  }
+  const target = `${location.pathname}${location.search || ''}${location.hash || ''}`;
+  return `/login?next=${encodeURIComponent(target)}`;
+}
+
+/**
+ * Reads the `next` query parameter written by `getLoginPath`.
+ * Only in-app paths are accepted, so a crafted link cannot send the user to another site.
+ * @param {string} search - The query string of the login page, e.g. `?next=%2Fsessions%2F412`.
+ * @param {string} [fallback='/dashboard'] - The path to use when there is no valid `next` value.
+ * @returns {string} The path to navigate to after login.
+ */
+export function getPostLoginPath(search, fallback = '/dashboard') {
+  const next = new URLSearchParams(search).get('next');
+  if (!next || !next.startsWith('/') || next.startsWith('//') || next.startsWith('/login')) {
+    return fallback;
+  }
+  return next;
+}
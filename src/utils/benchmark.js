@@ -0,0 +1,86 @@
+// Aggregates the per-session model evaluation over many sessions for the benchmark page.
+// Scores are micro-averaged: the confusion counts of all sessions in a group are summed first.
+import { NORMAL_CLASS, normalizePointClass } from './anomalyClasses';
+import { evaluateModels, scoreCounts } from './evaluation';
+
+export const BENCHMARK_PROTOCOLS = {
+  POINTWISE: 'pointwise',
+  ADJUSTED: 'adjusted',
+};
+
+/**
+ * Evaluates every model on one session.
+ * @param {object} session - A session detail with `timeseries_data`.
+ * @param {Array<{key: string, label: string}>} sources - The prediction columns.
+ * @returns {{ hasAnomalies: boolean, results: object[] }} Whether the manual labels contain any anomaly, and
+ *   the evaluateModels result for the session.
+ */
+export function evaluateSession(session, sources) {
+  const rows = (session.timeseries_data || []).map(row => {
+    const newRow = {};
+    for (const key in row) { newRow[key.toLowerCase()] = row[key]; }
+    newRow.anomaly = normalizePointClass(newRow) === NORMAL_CLASS ? 0 : 1;
+    return newRow;
+  });
+  return { hasAnomalies: rows.some(row => row.anomaly === 1), results: evaluateModels(rows, sources) };
+}
+
+const sumCounts = (counts) => counts.reduce(
+  (total, c) => ({ tp: total.tp + c.tp, fp: total.fp + c.fp, fn: total.fn + c.fn, tn: total.tn + c.tn }),
+  { tp: 0, fp: 0, fn: 0, tn: 0 }
+);
+
+/**
+ * Scores every model over a group of evaluated sessions.
+ * @param {object[]} sessions - Items like `{ evaluation: { results } }` (see evaluateSession).
+ * @param {Array<{key: string, label: string}>} sources - The prediction columns.
+ * @param {string} protocol - One of BENCHMARK_PROTOCOLS.
+ * @returns {Array<{ key: string, label: string, sessions: number, tp: number, fp: number, fn: number, tn: number,
+ *   precision: number|null, recall: number|null, f1: number|null }>} One entry per model.
+ */
+export function aggregateModels(sessions, sources, protocol) {
+  return sources.map(({ key, label }) => {
+    const scored = sessions
+      .map(session => session.evaluation.results.find(result => result.key === key))
+      .filter(result => result && result.points > 0);
+    return { key, label, sessions: scored.length, ...scoreCounts(sumCounts(scored.map(result => result[protocol]))) };
+  });
+}
+
+/**
+ * Splits sessions into groups, e.g. by volunteer.
+ * @param {object[]} sessions - The evaluated sessions.
+ * @param {Function} getGroup - Returns the group of a session, e.g. the volunteer id.
+ * @param {Function} [getName=getGroup] - Returns the name to show for the group, e.g. the volunteer's name, which
+ *   need not be unique.
+ * @returns {Array<{ key: *, name: string, sessions: object[] }>} The groups, by name.
+ */
+export function groupSessions(sessions, getGroup, getName = getGroup) {
+  const groups = new Map();
+  sessions.forEach(session => {
+    const key = getGroup(session) ?? 'Unknown';
+    if (!groups.has(key)) groups.set(key, { key, name: String(getName(session) || 'Unknown'), sessions: [] });
+    groups.get(key).sessions.push(session);
+  });
+  return Array.from(groups.values()).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Ranks the models by overall F1 and adds how much their F1 varies between volunteers.
+ * @param {object[]} overall - aggregateModels over all sessions.
+ * @param {Array<{ name: string, scores: object[] }>} volunteerScores - aggregateModels per volunteer.
+ * @returns {object[]} The overall entries, best first, each with `rank`, `volunteerMean`, `volunteerStd` and `volunteerCount`.
+ */
+export function rankModels(overall, volunteerScores) {
+  return overall
+    .map(model => {
+      const f1s = volunteerScores
+        .map(group => group.scores.find(score => score.key === model.key)?.f1)
+        .filter(f1 => f1 != null);
+      const mean = f1s.length ? f1s.reduce((sum, f1) => sum + f1, 0) / f1s.length : null;
+      const std = f1s.length > 1 ? Math.sqrt(f1s.reduce((sum, f1) => sum + (f1 - mean) ** 2, 0) / (f1s.length - 1)) : null;
+      return { ...model, volunteerMean: mean, volunteerStd: std, volunteerCount: f1s.length };
+    })
+    .sort((a, b) => (b.f1 ?? -1) - (a.f1 ?? -1))
+    .map((model, index) => ({ ...model, rank: model.f1 != null ? index + 1 : null }));
+}
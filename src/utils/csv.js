@@ -0,0 +1,48 @@
+// CSV exports and file downloads shared by the session, volunteer and benchmark pages.
+
+// Values with a separator, a quote or a line break (e.g. free-text notes) must be quoted.
+const NEEDS_QUOTES = /[",\r\n]/;
+
+/**
+ * Turns rows into CSV text.
+ * @param {object[]} data - The rows.
+ * @param {string[]} headers - The columns to write, in order; missing values are left empty.
+ * @returns {string} The CSV, with a header row.
+ */
+export function convertToCSV(data, headers) {
+  const headerRow = headers.join(',');
+  const bodyRows = data.map(row =>
+    headers.map(header => {
+      const stringValue = String(row[header] ?? '');
+      return NEEDS_QUOTES.test(stringValue) ? `"${stringValue.replace(/"/g, '""')}"` : stringValue;
+    }).join(',')
+  );
+  return [headerRow, ...bodyRows].join('\n');
+}
+
+/**
+ * Makes the browser download some text as a file.
+ * @param {string} content - The file content.
+ * @param {string} type - The MIME type, e.g. 'image/svg+xml;charset=utf-8;'.
+ * @param {string} filename - The name to save the file as.
+ */
+export function downloadFile(content, type, filename) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Makes the browser download CSV text as a file.
+ * @param {string} csvString - The CSV, e.g. from convertToCSV.
+ * @param {string} filename - The name to save the file as.
+ */
+export function downloadCSV(csvString, filename) {
+  downloadFile(csvString, 'text/csv;charset=utf-8;', filename);
+}
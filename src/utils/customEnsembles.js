@@ -0,0 +1,87 @@
+// Custom k-of-n ensembles composed in the browser from the ML prediction columns: a point is an
+// anomaly when at least k of the chosen models flag it. Recipes are kept in localStorage so they
+// can be reused on every session.
+
+// Also watched by useEnsembleRecipes to keep other open tabs in sync.
+export const ENSEMBLE_STORAGE_KEY = 'hr-custom-ensembles';
+const KEY_PREFIX = 'custom:';
+// Picked to stay apart from the model colours in anomalySources and the label class colours.
+const ENSEMBLE_COLORS = ['#65a30d', '#1e40af', '#22d3ee', '#4a044e'];
+
+/**
+ * Reads the saved recipes.
+ * @returns {Array<{name: string, models: string[], k: number}>} The recipes, by name.
+ */
+export function loadEnsembleRecipes() {
+  try {
+    const recipes = JSON.parse(localStorage.getItem(ENSEMBLE_STORAGE_KEY) || '[]');
+    return Array.isArray(recipes) ? recipes.filter(r => r && r.name && Array.isArray(r.models) && r.k > 0) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Replaces the saved recipes.
+ * @param {Array<{name: string, models: string[], k: number}>} recipes - The recipes to keep.
+ */
+export function saveEnsembleRecipes(recipes) {
+  localStorage.setItem(ENSEMBLE_STORAGE_KEY, JSON.stringify(recipes));
+}
+
+/**
+ * The column a recipe's composed prediction is stored under on each row.
+ * @param {{name: string}} recipe - The recipe.
+ * @returns {string} e.g. "custom:Deep models".
+ */
+export function getEnsembleKey(recipe) {
+  return `${KEY_PREFIX}${recipe.name}`;
+}
+
+/**
+ * Lists recipes in the same `{ key, label, color }` shape as anomalySources, so they can be chosen
+ * and evaluated like any other model.
+ * @param {object[]} recipes - The recipes.
+ * @returns {Array<{key: string, label: string, color: string, kind: string}>} One source per recipe.
+ */
+export function toEnsembleSources(recipes) {
+  return recipes.map((recipe, index) => ({
+    key: getEnsembleKey(recipe),
+    label: `${recipe.name} (${recipe.k} of ${recipe.models.length})`,
+    color: ENSEMBLE_COLORS[index % ENSEMBLE_COLORS.length],
+    kind: 'ensemble',
+  }));
+}
+
+/**
+ * Composes a recipe's prediction for one row.
+ * @param {object} row - A time-series row with the model prediction columns.
+ * @param {{models: string[], k: number}} recipe - The recipe.
+ * @returns {number|null} 1 or 0, or null when none of the chosen models has a prediction for the row.
+ */
+export function composePrediction(row, recipe) {
+  let votes = 0;
+  let voters = 0;
+  recipe.models.forEach(key => {
+    if (row[key] == null || row[key] === '') return;
+    voters++;
+    if (Number(row[key]) === 1) votes++;
+  });
+  if (voters === 0) return null;
+  return votes >= recipe.k ? 1 : 0;
+}
+
+/**
+ * Adds the composed prediction of every recipe to each row.
+ * @param {object[]} rows - The rows.
+ * @param {object[]} recipes - The recipes.
+ * @returns {object[]} New rows with one extra column per recipe (see getEnsembleKey); the same rows when there are no recipes.
+ */
+export function withCustomEnsembles(rows, recipes) {
+  if (recipes.length === 0) return rows;
+  return rows.map(row => {
+    const composed = { ...row };
+    recipes.forEach(recipe => { composed[getEnsembleKey(recipe)] = composePrediction(row, recipe); });
+    return composed;
+  });
+}
@@ -0,0 +1,147 @@
+// Checks whether a session's recording can be trusted: missing heart rate, gaps in the sampling,
+// GPS accuracy and broken timestamps, summed up in a letter grade.
+
+const GPS_ACCURACY_BINS = [
+  { label: '≤ 5 m', max: 5 },
+  { label: '5–10 m', max: 10 },
+  { label: '10–20 m', max: 20 },
+  { label: '20–50 m', max: 50 },
+  { label: '> 50 m', max: Infinity },
+];
+
+const GRADES = [
+  { grade: 'A', minScore: 90, label: 'Excellent' },
+  { grade: 'B', minScore: 75, label: 'Good' },
+  { grade: 'C', minScore: 60, label: 'Fair' },
+  { grade: 'D', minScore: 40, label: 'Poor' },
+  { grade: 'F', minScore: -Infinity, label: 'Unreliable' },
+];
+
+/**
+ * Whether a row has a heart-rate reading. Rows without one are missing data: they count against the
+ * quality grade, are shaded on the chart with the sampling gaps and are never labelled.
+ * @param {{heart_rate: number}} row - A session row.
+ * @returns {boolean} True when the row has a heart rate.
+ */
+export const hasHeartRate = (row) => row?.heart_rate != null;
+
+const quantile = (sorted, q) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))] : null);
+
+/**
+ * Finds the places where the sampling stops for much longer than usual.
+ * @param {Array<{timestamp: string}>} rows - The session rows, in recording order.
+ * @param {object} [options]
+ * @param {number} [options.gapFactor=3] - How many times the median interval a pause must last to count as a gap.
+ * @param {number} [options.minGapSeconds=5] - The shortest pause that counts as a gap.
+ * @returns {{ medianInterval: number|null, gaps: Array<{startIndex: number, endIndex: number, duration: number}> }}
+ *   The median sampling interval in seconds and the gaps, each between the last row before it and the first row after it.
+ */
+export function findSamplingGaps(rows, { gapFactor = 3, minGapSeconds = 5 } = {}) {
+  const intervals = [];
+  for (let i = 1; i < rows.length; i++) {
+    const seconds = (Date.parse(rows[i].timestamp) - Date.parse(rows[i - 1].timestamp)) / 1000;
+    if (seconds > 0) intervals.push({ index: i, seconds });
+  }
+  if (intervals.length === 0) return { medianInterval: null, gaps: [] };
+  const medianInterval = quantile(intervals.map(interval => interval.seconds).sort((a, b) => a - b), 0.5);
+  const minGap = Math.max(minGapSeconds, medianInterval * gapFactor);
+  const gaps = intervals
+    .filter(interval => interval.seconds >= minGap)
+    .map(interval => ({ startIndex: interval.index - 1, endIndex: interval.index, duration: interval.seconds }));
+  return { medianInterval, gaps };
+}
+
+/**
+ * Finds the stretches of a session without heart-rate data: the sampling gaps, and the runs of rows that
+ * exist but have no heart rate.
+ * @param {Array<{timestamp: string, heart_rate: number}>} rows - The session rows, in recording order.
+ * @param {Array<{startIndex: number, endIndex: number}>} [gaps] - The sampling gaps, when already found with findSamplingGaps.
+ * @returns {Array<{startIndex: number, endIndex: number}>} Inclusive index ranges from the last row before the missing
+ *   data to the first row after it, merged where they touch, in order.
+ */
+export function findMissingRanges(rows, gaps = findSamplingGaps(rows).gaps) {
+  const ranges = gaps.map(({ startIndex, endIndex }) => ({ startIndex, endIndex }));
+  let runStart = null;
+  rows.forEach((row, index) => {
+    if (!hasHeartRate(row) && runStart == null) runStart = index;
+    if (runStart != null && (hasHeartRate(row) || index === rows.length - 1)) {
+      const runEnd = hasHeartRate(row) ? index - 1 : index;
+      ranges.push({ startIndex: Math.max(0, runStart - 1), endIndex: Math.min(rows.length - 1, runEnd + 1) });
+      runStart = null;
+    }
+  });
+  ranges.sort((a, b) => a.startIndex - b.startIndex);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.startIndex <= last.endIndex) last.endIndex = Math.max(last.endIndex, range.endIndex);
+    else merged.push(range);
+    return merged;
+  }, []);
+}
+
+/**
+ * Summarizes the GPS accuracy readings.
+ * @param {Array<{gps_accuracy: number}>} rows - The session rows.
+ * @returns {{ count: number, median: number, p90: number, max: number, bins: Array<{label: string, count: number}> }|null}
+ *   Null when the session has no GPS accuracy readings.
+ */
+export function summarizeGpsAccuracy(rows) {
+  const values = rows
+    .map(row => row.gps_accuracy)
+    .filter(value => value != null && value !== '' && !isNaN(Number(value)))
+    .map(Number)
+    .sort((a, b) => a - b);
+  if (values.length === 0) return null;
+  const bins = GPS_ACCURACY_BINS.map(bin => ({ label: bin.label, count: 0 }));
+  values.forEach(value => { bins[GPS_ACCURACY_BINS.findIndex(bin => value <= bin.max)].count++; });
+  return { count: values.length, median: quantile(values, 0.5), p90: quantile(values, 0.9), max: values[values.length - 1], bins };
+}
+
+/**
+ * Runs every check over a session.
+ * @param {Array<{timestamp: string, heart_rate: number, gps_accuracy: number}>} rows - The session rows, in recording order.
+ * @returns {{ points: number, nullHeartRate: number, nullHeartRatePercent: number, medianInterval: number|null,
+ *   gaps: object[], gapSeconds: number, gapPercent: number, gps: object|null, outOfOrder: number, duplicates: number,
+ *   score: number, grade: string, gradeLabel: string, issues: string[] }} The findings, a 0–100 score, its grade and
+ *   the reasons points were taken off.
+ */
+export function assessDataQuality(rows) {
+  const points = rows.length;
+  const nullHeartRate = rows.filter(row => !hasHeartRate(row)).length;
+  const nullHeartRatePercent = points ? (nullHeartRate / points) * 100 : 0;
+
+  const { medianInterval, gaps } = findSamplingGaps(rows);
+  const gapSeconds = gaps.reduce((sum, gap) => sum + gap.duration, 0);
+  const duration = points > 1 ? (Date.parse(rows[points - 1].timestamp) - Date.parse(rows[0].timestamp)) / 1000 : 0;
+  const gapPercent = duration > 0 ? Math.min(100, (gapSeconds / duration) * 100) : 0;
+
+  let outOfOrder = 0;
+  const seen = new Set();
+  let duplicates = 0;
+  rows.forEach((row, index) => {
+    const time = Date.parse(row.timestamp);
+    if (index > 0 && time < Date.parse(rows[index - 1].timestamp)) outOfOrder++;
+    if (seen.has(time)) duplicates++;
+    else seen.add(time);
+  });
+
+  const gps = summarizeGpsAccuracy(rows);
+
+  // Points are taken off for each problem, weighted by how much it undermines the labels.
+  const issues = [];
+  let score = 100;
+  const penalize = (amount, issue) => {
+    if (amount <= 0) return;
+    score -= amount;
+    issues.push(issue);
+  };
+  penalize(Math.min(40, nullHeartRatePercent * 2), `${nullHeartRatePercent.toFixed(1)}% of points have no heart rate`);
+  penalize(Math.min(30, gapPercent * 1.5), `${gaps.length} sampling gap${gaps.length === 1 ? '' : 's'} covering ${gapPercent.toFixed(1)}% of the session`);
+  penalize(outOfOrder > 0 ? Math.min(15, 5 + (outOfOrder / Math.max(points, 1)) * 100) : 0, `${outOfOrder} timestamp${outOfOrder === 1 ? '' : 's'} out of order`);
+  penalize(duplicates > 0 ? Math.min(10, 2 + (duplicates / Math.max(points, 1)) * 100) : 0, `${duplicates} duplicate timestamp${duplicates === 1 ? '' : 's'}`);
+  penalize(gps && gps.median > 20 ? Math.min(10, (gps.median - 20) / 3) : 0, `GPS accuracy is poor (median ${gps?.median.toFixed(1)} m)`);
+  score = Math.max(0, Math.round(score));
+
+  const { grade, label: gradeLabel } = GRADES.find(g => score >= g.minScore);
+  return { points, nullHeartRate, nullHeartRatePercent, medianInterval, gaps, gapSeconds, gapPercent, gps, outOfOrder, duplicates, score, grade, gradeLabel, issues };
+}
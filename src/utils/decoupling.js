@@ -0,0 +1,97 @@
+// Cardiac drift: heart rate creeping up while the pace stays the same. It is measured as the aerobic
+// decoupling (Pa:HR) between two parts of a session: how much the efficiency factor, the distance
+// covered per heartbeat, dropped from the first part to the second.
+
+// Slower than this (m/s) the volunteer is standing or walking, and the pace says nothing about effort.
+const MIN_SPEED = 0.5;
+
+const isUsable = (row) => row.heart_rate != null && row.heart_rate > 0 && row.speed != null && row.speed >= MIN_SPEED;
+
+/**
+ * Splits a session into two halves of equal duration.
+ * @param {Array<{elapsed_time: number}>} rows - The chart rows, in time order.
+ * @returns {Array<{startIndex: number, endIndex: number}>} The two halves, or an empty list for fewer than two rows.
+ */
+export function getHalves(rows) {
+  if (rows.length < 2) return [];
+  const middle = (rows[0].elapsed_time + rows[rows.length - 1].elapsed_time) / 2;
+  const secondStart = Math.max(1, rows.findIndex(row => row.elapsed_time > middle));
+  return [{ startIndex: 0, endIndex: secondStart - 1 }, { startIndex: secondStart, endIndex: rows.length - 1 }];
+}
+
+/**
+ * The efficiency factor of a part of the session.
+ * @param {Array<{heart_rate: number, speed: number}>} rows - The chart rows.
+ * @param {{startIndex: number, endIndex: number}} range - The part, inclusive.
+ * @returns {{ efficiency: number, avgHeartRate: number, avgSpeed: number, points: number }|null} Metres per
+ *   heartbeat with the averages it comes from, or null when the part has no moving heart-rate readings.
+ */
+export function computeEfficiency(rows, { startIndex, endIndex }) {
+  let heartRateSum = 0;
+  let speedSum = 0;
+  let points = 0;
+  for (let i = startIndex; i <= endIndex; i++) {
+    if (!rows[i] || !isUsable(rows[i])) continue;
+    heartRateSum += rows[i].heart_rate;
+    speedSum += rows[i].speed;
+    points++;
+  }
+  if (points === 0) return null;
+  const avgHeartRate = heartRateSum / points;
+  const avgSpeed = speedSum / points;
+  return { efficiency: (avgSpeed * 60) / avgHeartRate, avgHeartRate, avgSpeed, points };
+}
+
+/**
+ * Compares two parts of a session.
+ * @param {object[]} rows - The chart rows.
+ * @param {{startIndex: number, endIndex: number}} first - The earlier part.
+ * @param {{startIndex: number, endIndex: number}} second - The later part.
+ * @returns {{ first: object, second: object, decoupling: number, heartRateDrift: number, speedChange: number }|null}
+ *   The efficiency of both parts (see computeEfficiency), the decoupling in percent (positive when the
+ *   efficiency dropped), the change in average heart rate in bpm and in average speed in percent. Null when a
+ *   part has no usable readings.
+ */
+export function computeDecoupling(rows, first, second) {
+  const a = computeEfficiency(rows, first);
+  const b = computeEfficiency(rows, second);
+  if (!a || !b) return null;
+  return {
+    first: a,
+    second: b,
+    decoupling: ((a.efficiency - b.efficiency) / a.efficiency) * 100,
+    heartRateDrift: b.avgHeartRate - a.avgHeartRate,
+    speedChange: ((b.avgSpeed - a.avgSpeed) / a.avgSpeed) * 100,
+  };
+}
+
+/**
+ * Heartbeats per kilometre (heart rate × pace) over a trailing window, for every row. It rises when the
+ * heart works harder for the same pace.
+ * @param {Array<{timestamp: string, heart_rate: number, speed: number}>} rows - The rows, in time order.
+ * @param {number} [windowSeconds=60] - The length of the trailing window.
+ * @returns {Array<number|null>} One value per row; null where the window holds too few moving readings.
+ */
+export function computeHrPerPaceSeries(rows, windowSeconds = 60) {
+  const times = rows.map(row => Date.parse(row.timestamp) / 1000);
+  let from = 0;
+  let heartRateSum = 0;
+  let speedSum = 0;
+  let points = 0;
+  return rows.map((row, index) => {
+    if (isUsable(row)) {
+      heartRateSum += row.heart_rate;
+      speedSum += row.speed;
+      points++;
+    }
+    while (times[from] <= times[index] - windowSeconds) {
+      if (isUsable(rows[from])) {
+        heartRateSum -= rows[from].heart_rate;
+        speedSum -= rows[from].speed;
+        points--;
+      }
+      from++;
+    }
+    return points >= 5 ? (heartRateSum * 1000) / (speedSum * 60) : null;
+  });
+}
@@ -0,0 +1,90 @@
+// Unsaved anomaly edits are kept in IndexedDB so they survive a crash, a closed tab or an
+// expired token. Drafts are stored per user and session; see useAnnotationDraft.
+
+const DB_NAME = 'hr-anomaly-drafts';
+const STORE_NAME = 'drafts';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser.'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user leaves private browsing.
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+}
+
+async function runRequest(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Builds the storage key for a user's draft of a session.
+ * @param {string|number} userId - The signed-in user's id or username.
+ * @param {string|number} sessionId - The session being labelled.
+ * @returns {string} The draft key.
+ */
+export function getDraftKey(userId, sessionId) {
+  return `${userId}:${sessionId}`;
+}
+
+/**
+ * Reads a draft.
+ * @param {string} key - The key from getDraftKey.
+ * @returns {Promise<object|null>} The draft, or null if there is none.
+ */
+export async function loadDraft(key) {
+  return (await runRequest('readonly', store => store.get(key))) ?? null;
+}
+
+/**
+ * Saves (or replaces) a draft.
+ * @param {string} key - The key from getDraftKey.
+ * @param {object} draft - The draft to store.
+ * @returns {Promise<void>}
+ */
+export async function saveDraft(key, draft) {
+  await runRequest('readwrite', store => store.put(draft, key));
+}
+
+/**
+ * Deletes a draft. Deleting a draft that doesn't exist is not an error.
+ * @param {string} key - The key from getDraftKey.
+ * @returns {Promise<void>}
+ */
+export async function deleteDraft(key) {
+  await runRequest('readwrite', store => store.delete(key));
+}
+
+/**
+ * Summarises the server's labels for a session, so a draft can tell whether they
+ * changed (e.g. someone else saved) after the draft was written.
+ * @param {Array<{anomaly_class: string}>} rows - The session rows as loaded from the server.
+ * @returns {string} A short fingerprint of the labels.
+ */
+export function getLabelFingerprint(rows) {
+  let hash = 5381;
+  for (const row of rows) {
+    const label = String(row.anomaly_class);
+    for (let i = 0; i < label.length; i++) {
+      hash = ((hash * 33) ^ label.charCodeAt(i)) >>> 0;
+    }
+  }
+  return `${rows.length}-${hash.toString(36)}`;
+}
@@ -0,0 +1,93 @@
+// Scores ML anomaly predictions against the manual labels of a session.
+// Both are binary per point: the manual `anomaly` flag (any anomaly class) and a model's 0/1 prediction.
+
+/**
+ * Finds the runs of consecutive anomalous points.
+ * @param {boolean[]} flags - One flag per point.
+ * @returns {Array<{start: number, end: number}>} Inclusive index ranges.
+ */
+export function findEvents(flags) {
+  const events = [];
+  let current = null;
+  flags.forEach((flag, index) => {
+    if (flag && current) current.end = index;
+    else if (flag) {
+      current = { start: index, end: index };
+      events.push(current);
+    } else current = null;
+  });
+  return events;
+}
+
+/**
+ * Point-adjusts predictions: when a model flags any point of a labelled anomaly event, the whole
+ * event counts as detected. This is the usual event-wise protocol for time-series anomaly detection.
+ * @param {boolean[]} truth - The manual labels.
+ * @param {boolean[]} predicted - The model's predictions.
+ * @returns {boolean[]} The adjusted predictions.
+ */
+export function pointAdjust(truth, predicted) {
+  const adjusted = [...predicted];
+  findEvents(truth).forEach(({ start, end }) => {
+    if (predicted.slice(start, end + 1).some(Boolean)) adjusted.fill(true, start, end + 1);
+  });
+  return adjusted;
+}
+
+/**
+ * Computes precision, recall and F1 of the anomaly class from confusion counts.
+ * Scores whose denominator is zero are null rather than 0, so "no anomalies" is not shown as a failure.
+ * @param {{ tp: number, fp: number, fn: number, tn: number }} counts - The confusion matrix.
+ * @returns {{ tp: number, fp: number, fn: number, tn: number, precision: number|null, recall: number|null, f1: number|null }}
+ */
+export function scoreCounts({ tp, fp, fn, tn }) {
+  const precision = tp + fp > 0 ? tp / (tp + fp) : null;
+  const recall = tp + fn > 0 ? tp / (tp + fn) : null;
+  let f1 = null;
+  if (precision != null && recall != null) f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  // Anomalies that were never predicted, or predictions where there are none, still score 0.
+  else if (tp + fp + fn > 0) f1 = 0;
+  return { tp, fp, fn, tn, precision, recall, f1 };
+}
+
+/**
+ * Computes the confusion matrix and precision, recall and F1 of the anomaly class.
+ * @param {boolean[]} truth - The manual labels.
+ * @param {boolean[]} predicted - The predictions, same length.
+ * @returns {object} See scoreCounts.
+ */
+export function scorePredictions(truth, predicted) {
+  let tp = 0, fp = 0, fn = 0, tn = 0;
+  truth.forEach((isAnomaly, index) => {
+    if (isAnomaly && predicted[index]) tp++;
+    else if (!isAnomaly && predicted[index]) fp++;
+    else if (isAnomaly) fn++;
+    else tn++;
+  });
+  return scoreCounts({ tp, fp, fn, tn });
+}
+
+/**
+ * Evaluates every model against the manual labels, point-wise and point-adjusted.
+ * Points a model has no prediction for (null or missing) are left out of that model's scores.
+ * @param {Array<{anomaly: number}>} rows - The session rows with manual labels and prediction columns.
+ * @param {Array<{key: string, label: string}>} sources - The prediction columns to evaluate.
+ * @returns {Array<{ key: string, label: string, points: number, events: number, pointwise: object, adjusted: object }|{ key: string, label: string, points: 0 }>}
+ *   One entry per model; models without any predictions only have `points: 0`.
+ */
+export function evaluateModels(rows, sources) {
+  return sources.map(({ key, label }) => {
+    const scored = rows.filter(row => row[key] != null && row[key] !== '');
+    if (scored.length === 0) return { key, label, points: 0 };
+    const truth = scored.map(row => Number(row.anomaly) === 1);
+    const predicted = scored.map(row => Number(row[key]) === 1);
+    return {
+      key,
+      label,
+      points: scored.length,
+      events: findEvents(truth).length,
+      pointwise: scorePredictions(truth, predicted),
+      adjusted: scorePredictions(truth, pointAdjust(truth, predicted)),
+    };
+  });
+}
@@ -0,0 +1,85 @@
+// Heart-rate training zones and the time spent in each. Zones are fractions of either the maximum heart
+// rate or, with the Karvonen method, of the heart-rate reserve (max − resting) on top of the resting rate.
+import { findSamplingGaps } from './dataQuality';
+
+export const ZONE_MODELS = {
+  PERCENT_MAX: 'percent_max',
+  KARVONEN: 'karvonen',
+};
+
+export const HR_ZONES = [
+  { id: 1, label: 'Zone 1', name: 'Recovery', from: 0.5, to: 0.6, color: '#60a5fa' },
+  { id: 2, label: 'Zone 2', name: 'Endurance', from: 0.6, to: 0.7, color: '#34d399' },
+  { id: 3, label: 'Zone 3', name: 'Tempo', from: 0.7, to: 0.8, color: '#facc15' },
+  { id: 4, label: 'Zone 4', name: 'Threshold', from: 0.8, to: 0.9, color: '#fb923c' },
+  { id: 5, label: 'Zone 5', name: 'Maximum', from: 0.9, to: 1, color: '#f87171' },
+];
+
+/**
+ * Works out the heart rates that bound each zone.
+ * @param {object} settings
+ * @param {string} settings.model - One of ZONE_MODELS.
+ * @param {number} settings.maxHeartRate - The maximum heart rate in bpm.
+ * @param {number} [settings.restingHeartRate] - The resting heart rate in bpm, used by the Karvonen model.
+ * @returns {Array<object>} The HR_ZONES entries with `lower` and `upper` in bpm, or an empty list without a maximum.
+ */
+export function getZoneBounds({ model, maxHeartRate, restingHeartRate }) {
+  if (!maxHeartRate) return [];
+  const base = model === ZONE_MODELS.KARVONEN ? restingHeartRate || 0 : 0;
+  const range = maxHeartRate - base;
+  if (range <= 0) return [];
+  return HR_ZONES.map(zone => ({ ...zone, lower: base + range * zone.from, upper: base + range * zone.to }));
+}
+
+/**
+ * How hard a heart rate is, as used to pick its zone.
+ * @param {number} heartRate - The heart rate in bpm.
+ * @param {object} settings - See getZoneBounds.
+ * @returns {number|null} The percentage of the maximum (or of the reserve, for Karvonen), or null without a heart rate.
+ */
+export function getIntensity(heartRate, { model, maxHeartRate, restingHeartRate }) {
+  if (heartRate == null || !maxHeartRate) return null;
+  const base = model === ZONE_MODELS.KARVONEN ? restingHeartRate || 0 : 0;
+  return maxHeartRate > base ? ((heartRate - base) / (maxHeartRate - base)) * 100 : null;
+}
+
+/**
+ * Finds the zone a heart rate is in.
+ * @param {number} heartRate - The heart rate in bpm.
+ * @param {object[]} zones - See getZoneBounds.
+ * @returns {object|null} The zone; heart rates above the maximum count as the top zone. Null below the first zone.
+ */
+export function getZone(heartRate, zones) {
+  if (heartRate == null || zones.length === 0 || heartRate < zones[0].lower) return null;
+  return zones.find(zone => heartRate < zone.upper) || zones[zones.length - 1];
+}
+
+/**
+ * Adds up the time spent in each zone. Each sample counts until the next one, except across a sampling
+ * gap (see findSamplingGaps), which is missing data rather than time spent in a zone.
+ * @param {Array<{timestamp: string, heart_rate: number}>} rows - The session rows, in time order.
+ * @param {object[]} zones - See getZoneBounds.
+ * @param {Array<{endIndex: number}>} [gaps] - The sampling gaps, when already found with findSamplingGaps.
+ * @returns {{ zones: Array<object>, belowSeconds: number, totalSeconds: number }} Every zone with `seconds` and
+ *   `percent` of the time with a heart rate, plus the time spent below the first zone.
+ */
+export function computeTimeInZones(rows, zones, gaps = findSamplingGaps(rows).gaps) {
+  const gapEnds = new Set(gaps.map(gap => gap.endIndex));
+  const seconds = zones.map(() => 0);
+  let belowSeconds = 0;
+  let totalSeconds = 0;
+  for (let i = 0; i < rows.length - 1; i++) {
+    if (rows[i].heart_rate == null) continue;
+    const duration = (Date.parse(rows[i + 1].timestamp) - Date.parse(rows[i].timestamp)) / 1000;
+    if (!(duration > 0) || gapEnds.has(i + 1)) continue;
+    const zone = getZone(rows[i].heart_rate, zones);
+    if (zone) seconds[zones.indexOf(zone)] += duration;
+    else belowSeconds += duration;
+    totalSeconds += duration;
+  }
+  return {
+    zones: zones.map((zone, index) => ({ ...zone, seconds: seconds[index], percent: totalSeconds ? (seconds[index] / totalSeconds) * 100 : 0 })),
+    belowSeconds,
+    totalSeconds,
+  };
+}
@@ -0,0 +1,140 @@
+// Heart-rate variability from beat-to-beat RR intervals, as recorded by many Garmin and Polar devices.
+// Ectopic beats and implausible intervals are flagged and left out of the metrics, since a single
+// premature beat inflates RMSSD far more than any real change in variability.
+
+// RR intervals outside this range (30–200 bpm) are sensor artifacts rather than beats.
+const MIN_RR_MS = 300;
+const MAX_RR_MS = 2000;
+
+const toNumbers = (value) => {
+  if (Array.isArray(value)) return value.map(Number).filter(n => !isNaN(n) && n > 0);
+  if (typeof value === 'string') return value.split(/[\s,;|]+/).map(Number).filter(n => !isNaN(n) && n > 0);
+  const number = Number(value);
+  return value != null && value !== '' && !isNaN(number) && number > 0 ? [number] : [];
+};
+
+// FIT files store RR intervals in seconds; the backend may pass them on as is or in milliseconds.
+const toMilliseconds = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length && sorted[Math.floor(sorted.length / 2)] < 10 ? values.map(v => v * 1000) : values;
+};
+
+/**
+ * Collects the RR intervals of a session, from `rr_intervals` / `rr_interval` columns on the rows
+ * or from a session-level `rr_intervals` list.
+ * @param {object} session - The session detail.
+ * @param {Array<{timestamp: string}>} rows - The normalized time-series rows, in time order.
+ * @returns {Array<{time: number, rr: number}>} Each beat with its time in seconds from the first row and its
+ *   RR interval in ms. Empty when the session has no RR data.
+ */
+export function extractRrIntervals(session, rows) {
+  if (rows.length === 0) return [];
+  const startTime = Date.parse(rows[0].timestamp);
+  const beats = [];
+
+  rows.forEach(row => {
+    const values = toNumbers(row.rr_intervals ?? row.rr_interval);
+    // Several beats recorded with one row follow each other from the row's time on.
+    let time = (Date.parse(row.timestamp) - startTime) / 1000;
+    values.forEach(rr => {
+      beats.push({ time, rr });
+      time += rr < 10 ? rr : rr / 1000;
+    });
+  });
+
+  if (beats.length === 0 && Array.isArray(session.rr_intervals)) {
+    let time = 0;
+    session.rr_intervals.forEach(entry => {
+      if (entry && typeof entry === 'object') {
+        const rr = toNumbers(entry.rr ?? entry.rr_interval)[0];
+        if (rr) beats.push({ time: (Date.parse(entry.timestamp) - startTime) / 1000, rr });
+        return;
+      }
+      const rr = toNumbers(entry)[0];
+      if (!rr) return;
+      beats.push({ time, rr });
+      time += rr < 10 ? rr : rr / 1000;
+    });
+  }
+
+  const milliseconds = toMilliseconds(beats.map(beat => beat.rr));
+  return beats.map((beat, index) => ({ time: beat.time, rr: milliseconds[index] })).sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Flags the beats that are not normal sinus beats: intervals outside 300–2000 ms (artifacts), and
+ * intervals that differ from the median of their neighbours by more than `tolerance` (ectopic beats).
+ * @param {Array<{rr: number}>} beats - See extractRrIntervals.
+ * @param {object} [options]
+ * @param {number} [options.tolerance=0.2] - The allowed deviation from the local median, as a fraction.
+ * @param {number} [options.window=5] - How many beats on each side make up the local median.
+ * @returns {Array<'normal'|'ectopic'|'artifact'>} One flag per beat.
+ */
+export function classifyBeats(beats, { tolerance = 0.2, window = 5 } = {}) {
+  const plausible = beats.map(beat => beat.rr >= MIN_RR_MS && beat.rr <= MAX_RR_MS);
+  return beats.map((beat, index) => {
+    if (!plausible[index]) return 'artifact';
+    const neighbours = [];
+    for (let i = Math.max(0, index - window); i <= Math.min(beats.length - 1, index + window); i++) {
+      if (i !== index && plausible[i]) neighbours.push(beats[i].rr);
+    }
+    if (neighbours.length < 2) return 'normal';
+    neighbours.sort((a, b) => a - b);
+    const median = neighbours[Math.floor(neighbours.length / 2)];
+    return Math.abs(beat.rr - median) > tolerance * median ? 'ectopic' : 'normal';
+  });
+}
+
+// The successive differences between normal beats that directly follow each other.
+const successiveDifferences = (beats, flags, from = 0, to = beats.length) => {
+  const differences = [];
+  for (let i = Math.max(from, 1); i < to; i++) {
+    if (flags[i] === 'normal' && flags[i - 1] === 'normal') differences.push(beats[i].rr - beats[i - 1].rr);
+  }
+  return differences;
+};
+
+const rootMeanSquare = (values) => Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length);
+
+/**
+ * The standard time-domain HRV metrics over the normal beats.
+ * @param {Array<{rr: number}>} beats - See extractRrIntervals.
+ * @param {string[]} flags - See classifyBeats.
+ * @returns {{ beats: number, normalBeats: number, ectopicBeats: number, artifacts: number, meanRr: number|null,
+ *   rmssd: number|null, sdnn: number|null, pnn50: number|null }} Intervals in ms and pNN50 in percent; the metrics
+ *   are null when there are too few normal beats.
+ */
+export function computeHrvMetrics(beats, flags) {
+  const normal = beats.filter((_, index) => flags[index] === 'normal').map(beat => beat.rr);
+  const differences = successiveDifferences(beats, flags);
+  const meanRr = normal.length ? normal.reduce((sum, rr) => sum + rr, 0) / normal.length : null;
+  return {
+    beats: beats.length,
+    normalBeats: normal.length,
+    ectopicBeats: flags.filter(flag => flag === 'ectopic').length,
+    artifacts: flags.filter(flag => flag === 'artifact').length,
+    meanRr,
+    rmssd: differences.length ? rootMeanSquare(differences) : null,
+    sdnn: normal.length > 1 ? Math.sqrt(normal.reduce((sum, rr) => sum + (rr - meanRr) ** 2, 0) / (normal.length - 1)) : null,
+    pnn50: differences.length ? (differences.filter(d => Math.abs(d) > 50).length / differences.length) * 100 : null,
+  };
+}
+
+/**
+ * RMSSD over a trailing window, worked out at the time of every row so it can be drawn on the chart.
+ * @param {Array<{time: number, rr: number}>} beats - See extractRrIntervals.
+ * @param {string[]} flags - See classifyBeats.
+ * @param {number[]} times - The row times, in seconds from the first row, ascending.
+ * @param {number} [windowSeconds=30] - The length of the trailing window.
+ * @returns {Array<number|null>} One RMSSD per row; null where the window holds fewer than five usable differences.
+ */
+export function computeRollingRmssd(beats, flags, times, windowSeconds = 30) {
+  let from = 0;
+  let to = 0;
+  return times.map(time => {
+    while (to < beats.length && beats[to].time <= time) to++;
+    while (from < to && beats[from].time <= time - windowSeconds) from++;
+    const differences = successiveDifferences(beats, flags, from + 1, to);
+    return differences.length >= 5 ? rootMeanSquare(differences) : null;
+  });
+}
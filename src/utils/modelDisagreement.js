@@ -0,0 +1,73 @@
+// How much the ML models disagree on each point, for the heat strip under the session chart and the
+// annotation queue. A point's disagreement score is how many models flag it. Sessions with the highest
+// total score are the most informative to label next (active learning). Separately, the split counts how
+// far the models are from agreeing on a point, which is highest where about half of them flag it.
+
+/**
+ * Counts the models that flag one row.
+ * @param {object} row - A time-series row with the prediction columns.
+ * @param {Array<{key: string}>} sources - The prediction columns.
+ * @returns {{ votes: number, voters: number }} How many models flag the row, out of those with a prediction.
+ */
+export function countVotes(row, sources) {
+  let votes = 0;
+  let voters = 0;
+  sources.forEach(({ key }) => {
+    if (row[key] == null || row[key] === '') return;
+    voters++;
+    if (Number(row[key]) === 1) votes++;
+  });
+  return { votes, voters };
+}
+
+/**
+ * How far a point is from a unanimous verdict: the number of models that would have to change their
+ * prediction for all of them to agree. Not the disagreement score, which is the vote count itself.
+ * @param {{ votes: number, voters: number }} count - See countVotes.
+ * @returns {number} 0 when the models agree, up to half the number of models.
+ */
+export function splitOf({ votes, voters }) {
+  return Math.min(votes, voters - votes);
+}
+
+/**
+ * Splits the rows into runs with the same number of flagging models, leaving out the runs no model flags.
+ * @param {object[]} rows - The rows.
+ * @param {Array<{key: string}>} sources - The prediction columns.
+ * @returns {Array<{ start: number, end: number, votes: number, voters: number }>} Inclusive index ranges.
+ */
+export function findVoteRuns(rows, sources) {
+  const runs = [];
+  rows.forEach((row, index) => {
+    const count = countVotes(row, sources);
+    if (count.votes === 0) return;
+    const last = runs[runs.length - 1];
+    if (last && last.end === index - 1 && last.votes === count.votes && last.voters === count.voters) last.end = index;
+    else runs.push({ start: index, end: index, ...count });
+  });
+  return runs;
+}
+
+/**
+ * Sums up the disagreement over a whole session.
+ * @param {object[]} rows - The session rows.
+ * @param {Array<{key: string}>} sources - The prediction columns.
+ * @returns {{ points: number, flagged: number, total: number, mean: number, contested: number, splitTotal: number }}
+ *   The number of points, how many of them at least one model flags, the summed disagreement score (model flags)
+ *   and its mean per point, how many points the models split on and the summed split (see splitOf).
+ */
+export function summarizeDisagreement(rows, sources) {
+  let flagged = 0;
+  let total = 0;
+  let contested = 0;
+  let splitTotal = 0;
+  rows.forEach(row => {
+    const count = countVotes(row, sources);
+    const split = splitOf(count);
+    if (count.votes > 0) flagged++;
+    total += count.votes;
+    if (split > 0) contested++;
+    splitTotal += split;
+  });
+  return { points: rows.length, flagged, total, mean: rows.length ? total / rows.length : 0, contested, splitTotal };
+}
@@ -0,0 +1,62 @@
+// Role-based permissions for the admin panel.
+// The backend is still the authority on what each account may do; these checks only
+// decide which actions and pages the UI offers, so users don't hit 403s they can't act on.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  ANNOTATOR: 'annotator',
+  VIEWER: 'viewer',
+};
+
+export const ROLE_LABELS = {
+  [ROLES.ADMIN]: 'Admin',
+  [ROLES.ANNOTATOR]: 'Research Assistant',
+  [ROLES.VIEWER]: 'Viewer',
+};
+
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    'volunteers.view', 'volunteers.edit', 'volunteers.delete',
+    'sessions.view', 'sessions.upload', 'sessions.delete',
+    'annotations.edit', 'annotations.adjudicate', 'data.export',
+  ],
+  // Research assistants label data but never remove volunteers or sessions.
+  [ROLES.ANNOTATOR]: ['volunteers.view', 'sessions.view', 'sessions.upload', 'annotations.edit', 'data.export'],
+  [ROLES.VIEWER]: ['volunteers.view', 'sessions.view', 'data.export'],
+};
+
+// Names the backend may use for the same role.
+const ROLE_ALIASES = {
+  admin: ROLES.ADMIN,
+  administrator: ROLES.ADMIN,
+  annotator: ROLES.ANNOTATOR,
+  research_assistant: ROLES.ANNOTATOR,
+  ra: ROLES.ANNOTATOR,
+  viewer: ROLES.VIEWER,
+  read_only: ROLES.VIEWER,
+};
+
+/**
+ * Works out the role of a user profile returned by the backend.
+ * Uses the explicit `role` field when present; otherwise Django staff accounts are admins
+ * and everyone else is a viewer.
+ * @param {object} profile - The user profile.
+ * @returns {string|null} One of ROLES, or null when the role is not recognised.
+ */
+export function resolveRole(profile) {
+  if (!profile) return null;
+  if (profile.role) {
+    return ROLE_ALIASES[String(profile.role).toLowerCase().replace(/[\s-]+/g, '_')] || null;
+  }
+  return profile.is_superuser || profile.is_staff ? ROLES.ADMIN : ROLES.VIEWER;
+}
+
+/**
+ * Checks whether a role grants a permission.
+ * @param {string|null} role - One of ROLES.
+ * @param {string} permission - A permission such as 'sessions.delete'.
+ * @returns {boolean} True if the role grants the permission.
+ */
+export function hasPermission(role, permission) {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}